@@ -0,0 +1,338 @@
+/**
+ * Audit Output Parsers
+ * Normalizes the JSON audit output of npm, pnpm, Yarn (classic and berry) and bun
+ * into severity counts and advisory records. Used by audit-package.js.
+ */
+
+const SEVERITIES = ['critical', 'high', 'moderate', 'low', 'info'];
+
+// Limit on dependency paths kept per advisory to keep summaries readable
+const MAX_PATHS_PER_ADVISORY = 10;
+
+// Map severity names from the various audit formats onto the npm levels
+function normalizeSeverity(severity) {
+  const value = String(severity || '').toLowerCase();
+  if (value === 'medium') {
+    return 'moderate';
+  }
+  return SEVERITIES.includes(value) ? value : 'info';
+}
+
+// Count severities from a list of advisories
+function countSeverities(advisories) {
+  const counts = { critical: 0, high: 0, moderate: 0, low: 0, info: 0 };
+  advisories.forEach(advisory => {
+    counts[normalizeSeverity(advisory.severity)] += 1;
+  });
+  return counts;
+}
+
+// Read severity counts from an npm-style metadata.vulnerabilities object
+function countsFromMetadata(vulns) {
+  return {
+    critical: vulns.critical || 0,
+    high: vulns.high || 0,
+    moderate: vulns.moderate || 0,
+    low: vulns.low || 0,
+    info: vulns.info || 0
+  };
+}
+
+// Prefer the GHSA identifier when the advisory URL carries one
+function getAdvisoryId(url, fallbackId) {
+  const match = String(url || '').match(/GHSA(-[23456789cfghjmpqrvwx]{4}){3}/i);
+  return match ? match[0] : String(fallbackId);
+}
+
+/**
+ * Build a normalized advisory record
+ * @param {object} fields - Advisory fields from any audit format
+ * @returns {object} - { id, package, title, severity, url, vulnerableRange, paths, fixAvailable, fix, cwe }
+ */
+function createAdvisory(fields) {
+  const paths = Array.from(new Set(fields.paths || []));
+  return {
+    id: fields.id,
+    package: fields.package,
+    title: fields.title || '',
+    severity: normalizeSeverity(fields.severity),
+    url: fields.url || '',
+    vulnerableRange: fields.vulnerableRange || '',
+    paths: paths.slice(0, MAX_PATHS_PER_ADVISORY),
+    totalPaths: paths.length,
+    fixAvailable: Boolean(fields.fix),
+    fix: fields.fix || null,
+    cwe: fields.cwe || []
+  };
+}
+
+// Merge records of the same advisory and package. GitHub splits some advisories by
+// version range (e.g. <0.2.4 and >=1.0.0 <1.2.6), and npm 7+ and Yarn 4 report each part
+function mergeAdvisories(advisories) {
+  const byKey = new Map();
+  advisories.forEach(advisory => {
+    const key = `${advisory.id}:${advisory.package}`;
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, advisory);
+      return;
+    }
+    const ranges = [existing.vulnerableRange, advisory.vulnerableRange].filter(Boolean);
+    const paths = Array.from(new Set([...existing.paths, ...advisory.paths]));
+    byKey.set(key, {
+      ...existing,
+      severity: SEVERITIES.indexOf(advisory.severity) < SEVERITIES.indexOf(existing.severity) ? advisory.severity : existing.severity,
+      vulnerableRange: Array.from(new Set(ranges)).join(' || '),
+      paths: paths.slice(0, MAX_PATHS_PER_ADVISORY),
+      totalPaths: Math.max(existing.totalPaths, advisory.totalPaths, paths.length),
+      fixAvailable: existing.fixAvailable || advisory.fixAvailable,
+      fix: existing.fix || advisory.fix,
+      cwe: Array.from(new Set([...existing.cwe, ...advisory.cwe]))
+    });
+  });
+  return Array.from(byKey.values());
+}
+
+// Sort advisories by severity (most severe first), then by package name
+function sortAdvisories(advisories) {
+  return advisories.sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+    a.package.localeCompare(b.package)
+  );
+}
+
+// Normalize an npm v6-style advisory (npm 6, pnpm, Yarn classic, Yarn 2/3)
+function normalizeLegacyAdvisory(advisory) {
+  const paths = [];
+  (advisory.findings || []).forEach(finding => {
+    (finding.paths || []).forEach(findingPath => {
+      // pnpm prefixes paths with the importer ('.>a>b'); drop the root segment
+      paths.push(findingPath.split('>').filter(segment => segment !== '.').join(' > '));
+    });
+  });
+  
+  const patched = advisory.patched_versions;
+  const fix = patched && patched !== '<0.0.0'
+    ? `Upgrade ${advisory.module_name} to ${patched}`
+    : null;
+  
+  return createAdvisory({
+    id: advisory.github_advisory_id || getAdvisoryId(advisory.url, advisory.id),
+    package: advisory.module_name,
+    title: advisory.title,
+    severity: advisory.severity,
+    url: advisory.url,
+    vulnerableRange: advisory.vulnerable_versions,
+    paths,
+    fix,
+    cwe: Array.isArray(advisory.cwe) ? advisory.cwe : (advisory.cwe ? [advisory.cwe] : [])
+  });
+}
+
+// Parse newline-delimited JSON, skipping lines that are not JSON
+function parseJsonLines(output) {
+  return output
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('{'))
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parse npm-style audit JSON (npm, pnpm, and Yarn 2/3 `yarn npm audit`)
+ * npm 7+ reports a `vulnerabilities` map whose `via` entries hold the advisories;
+ * npm 6, pnpm, and Yarn 2/3 report an `advisories` map.
+ * All of these report severity counts in metadata.vulnerabilities
+ * @param {string} output - Raw audit output
+ * @returns {object} - { counts, advisories }
+ */
+function parseNpmAudit(output) {
+  const auditData = JSON.parse(output || '{}');
+  
+  if (auditData.error) {
+    const { summary, detail, code } = auditData.error;
+    throw new Error(summary || detail || code || 'audit request failed');
+  }
+  
+  const advisories = [];
+  
+  if (auditData.advisories) {
+    Object.values(auditData.advisories).forEach(advisory => {
+      advisories.push(normalizeLegacyAdvisory(advisory));
+    });
+  } else if (auditData.vulnerabilities) {
+    const byKey = new Map();
+    
+    Object.values(auditData.vulnerabilities).forEach(vuln => {
+      // node_modules/a/node_modules/b → a > b
+      const paths = (vuln.nodes || []).map(node =>
+        node.replace(/^node_modules\//, '').split('/node_modules/').join(' > ')
+      );
+      
+      (vuln.via || []).forEach(via => {
+        // String entries reference another vulnerable package, not an advisory
+        if (!via || typeof via !== 'object') {
+          return;
+        }
+        
+        const key = `${via.source}:${via.name}`;
+        if (byKey.has(key)) {
+          return;
+        }
+        
+        const affected = auditData.vulnerabilities[via.name] || vuln;
+        let fix = null;
+        if (affected.fixAvailable === true) {
+          fix = 'Run `npm audit fix`';
+        } else if (affected.fixAvailable && typeof affected.fixAvailable === 'object') {
+          const { name, version, isSemVerMajor } = affected.fixAvailable;
+          fix = `Upgrade ${name} to ${version}${isSemVerMajor ? ' (semver-major)' : ''}`;
+        }
+        
+        byKey.set(key, createAdvisory({
+          id: getAdvisoryId(via.url, via.source),
+          package: via.name,
+          title: via.title,
+          severity: via.severity,
+          url: via.url,
+          vulnerableRange: via.range,
+          paths: via.name === vuln.name ? paths : [],
+          fix,
+          cwe: via.cwe
+        }));
+      });
+    });
+    
+    advisories.push(...byKey.values());
+  }
+  
+  const merged = mergeAdvisories(advisories);
+  const counts = auditData.metadata && auditData.metadata.vulnerabilities
+    ? countsFromMetadata(auditData.metadata.vulnerabilities)
+    : countSeverities(merged);
+  
+  return { counts, advisories: sortAdvisories(merged) };
+}
+
+/**
+ * Parse Yarn classic `yarn audit --json` output
+ * Newline-delimited JSON with one auditAdvisory record per resolution
+ * and a final auditSummary record
+ * @param {string} output - Raw audit output
+ * @returns {object} - { counts, advisories }
+ */
+function parseYarnClassicAudit(output) {
+  const records = parseJsonLines(output);
+  
+  const error = records.find(record => record.type === 'error');
+  if (error) {
+    throw new Error(error.data);
+  }
+  
+  // The same advisory is reported once per resolution path; keep one record per ID
+  const byId = new Map();
+  records
+    .filter(record => record.type === 'auditAdvisory' && record.data && record.data.advisory)
+    .forEach(record => {
+      const advisory = normalizeLegacyAdvisory(record.data.advisory);
+      if (!byId.has(advisory.id)) {
+        byId.set(advisory.id, advisory);
+      }
+    });
+  const advisories = mergeAdvisories(Array.from(byId.values()));
+  
+  const summary = records.find(record => record.type === 'auditSummary');
+  const counts = summary && summary.data && summary.data.vulnerabilities
+    ? countsFromMetadata(summary.data.vulnerabilities)
+    : countSeverities(advisories);
+  
+  return { counts, advisories: sortAdvisories(advisories) };
+}
+
+// Turn a Yarn locator of a dependent ('optimist@npm:0.6.1', 'app@workspace:.') into a dependency path
+function dependencyPath(dependent, packageName) {
+  if (/@workspace:\.$/.test(dependent)) {
+    return packageName; // Direct dependency of the project root
+  }
+  const name = dependent.replace(/^(@?[^@]+)@.*$/, '$1');
+  return `${name} > ${packageName}`;
+}
+
+/**
+ * Parse Yarn berry `yarn npm audit --json` output
+ * Yarn 4 prints one record per advisory ({ value, children: { ID, Issue, URL, Severity, ... } });
+ * Yarn 2/3 print a single npm-style report, which is delegated to parseNpmAudit()
+ * @param {string} output - Raw audit output
+ * @returns {object} - { counts, advisories }
+ */
+function parseYarnBerryAudit(output) {
+  const records = parseJsonLines(output);
+  
+  if (records.length === 1 && records[0].metadata) {
+    return parseNpmAudit(JSON.stringify(records[0]));
+  }
+  
+  const advisories = mergeAdvisories(records
+    .filter(record => record.children && record.children.Severity)
+    .map(record => {
+      const details = record.children;
+      return createAdvisory({
+        id: getAdvisoryId(details.URL, details.ID),
+        package: record.value,
+        title: details.Issue,
+        severity: details.Severity,
+        url: details.URL,
+        vulnerableRange: details['Vulnerable Versions'],
+        paths: (details.Dependents || []).map(dependent => dependencyPath(dependent, record.value))
+      });
+    }));
+  
+  return { counts: countSeverities(advisories), advisories: sortAdvisories(advisories) };
+}
+
+/**
+ * Parse `bun audit --json` output
+ * A map of package name to the list of advisories affecting it
+ * @param {string} output - Raw audit output
+ * @returns {object} - { counts, advisories }
+ */
+function parseBunAudit(output) {
+  const auditData = JSON.parse(output || '{}');
+  
+  let advisories = [];
+  Object.entries(auditData).forEach(([packageName, entries]) => {
+    if (!Array.isArray(entries)) {
+      return;
+    }
+    entries.forEach(entry => {
+      advisories.push(createAdvisory({
+        id: getAdvisoryId(entry.url, entry.id),
+        package: packageName,
+        title: entry.title,
+        severity: entry.severity,
+        url: entry.url,
+        vulnerableRange: entry.vulnerable_versions,
+        cwe: entry.cwe
+      }));
+    });
+  });
+  advisories = mergeAdvisories(advisories);
+  
+  return { counts: countSeverities(advisories), advisories: sortAdvisories(advisories) };
+}
+
+module.exports = {
+  SEVERITIES,
+  countSeverities,
+  parseNpmAudit,
+  parseYarnClassicAudit,
+  parseYarnBerryAudit,
+  parseBunAudit
+};
@@ -9,6 +9,8 @@ echo "🏗️  Building and publishing package..."
 # Initialize outputs
 NPM_PUBLISHED="false"
 GITHUB_PUBLISHED="false"
+NPM_PROVENANCE="false"
+SBOM_FILE=""
 
 # Get package details
 # Normalize PACKAGE_PATH to absolute path before cd to avoid relative path issues
@@ -30,12 +32,31 @@ WORKSPACE_ROOT="$PWD"
 cd "$PACKAGE_DIR"
 
 # Ensure .npmrc is available in the package directory
-# (configure-registries.sh writes it to the workspace root)
-if [ "$PWD" != "$WORKSPACE_ROOT" ] && [ -f "$WORKSPACE_ROOT/.npmrc" ]; then
+# (configure-registries.sh writes it to the workspace root, or to NPMRC_SOURCE for parallel builds)
+if [ -n "$NPMRC_SOURCE" ] && [ -f "$NPMRC_SOURCE" ]; then
+  cp "$NPMRC_SOURCE" ".npmrc"
+  echo "📋 Copied package-specific .npmrc to package directory"
+elif [ "$PWD" != "$WORKSPACE_ROOT" ] && [ -f "$WORKSPACE_ROOT/.npmrc" ]; then
   cp "$WORKSPACE_ROOT/.npmrc" ".npmrc"
   echo "📋 Copied .npmrc from workspace root to package directory"
 fi
 
+# publishConfig in package.json takes precedence over the action inputs
+PUBLISH_CONFIG_ACCESS=$(jq -r '.publishConfig.access // empty' "$PACKAGE_PATH")
+PUBLISH_CONFIG_REGISTRY=$(jq -r '.publishConfig.registry // empty' "$PACKAGE_PATH")
+PUBLISH_CONFIG_TAG=$(jq -r '.publishConfig.tag // empty' "$PACKAGE_PATH")
+
+if [ -n "$PUBLISH_CONFIG_ACCESS" ]; then
+  echo "📋 Using publishConfig.access: $PUBLISH_CONFIG_ACCESS"
+  ACCESS="$PUBLISH_CONFIG_ACCESS"
+fi
+
+# publishConfig.tag replaces the stable 'latest' tag only; prerelease builds keep their flow tag
+if [ -n "$PUBLISH_CONFIG_TAG" ] && [ "$NPM_TAG" = "latest" ]; then
+  echo "📋 Using publishConfig.tag: $PUBLISH_CONFIG_TAG (instead of latest)"
+  NPM_TAG="$PUBLISH_CONFIG_TAG"
+fi
+
 # Validate and set access level
 # Treat empty string as 'public' (default)
 if [ -z "$ACCESS" ]; then
@@ -63,87 +84,273 @@ else
   echo "🔐 Package access level: $ACCESS"
 fi
 
-# Update package.json version (no git tag)
-echo "📝 Updating package.json version..."
-jq --arg version "$PACKAGE_VERSION" '.version = $version' "$PACKAGE_PATH" > "${PACKAGE_PATH}.tmp"
-mv "${PACKAGE_PATH}.tmp" "$PACKAGE_PATH"
+# Validate existing version policy
+# Treat empty string as 'skip' (default)
+if [ -z "$EXISTING_VERSION" ]; then
+  EXISTING_VERSION="skip"
+fi
 
-echo "✅ Version updated to $PACKAGE_VERSION"
+if [ "$EXISTING_VERSION" != "skip" ] && [ "$EXISTING_VERSION" != "fail" ]; then
+  echo "❌ Error: Invalid existing-version value '$EXISTING_VERSION'. Must be 'skip' or 'fail'"
+  exit 1
+fi
 
-# Validate and resolve package manager
-# First, validate the PACKAGE_MANAGER input
-# Treat empty string as 'auto'
-if [ -z "$PACKAGE_MANAGER" ]; then
-  PACKAGE_MANAGER="auto"
+# Validate publisher
+# Treat empty string as 'npm' (default)
+if [ -z "$PUBLISH_WITH" ]; then
+  PUBLISH_WITH="npm"
 fi
 
-if [ "$PACKAGE_MANAGER" != "auto" ] && [ "$PACKAGE_MANAGER" != "npm" ] && [ "$PACKAGE_MANAGER" != "yarn" ] && [ "$PACKAGE_MANAGER" != "pnpm" ] && [ "$PACKAGE_MANAGER" != "bun" ]; then
-  echo "❌ Error: Invalid package-manager value '$PACKAGE_MANAGER'. Must be 'auto', 'npm', 'yarn', 'pnpm', or 'bun'"
+if [ "$PUBLISH_WITH" != "npm" ] && [ "$PUBLISH_WITH" != "package-manager" ]; then
+  echo "❌ Error: Invalid publish-with value '$PUBLISH_WITH'. Must be 'npm' or 'package-manager'"
   exit 1
 fi
 
-# Resolve package manager based on input or auto-detection
-if [ "$PACKAGE_MANAGER" = "auto" ]; then
-  # Check for Bun lockfiles - bun.lockb (legacy) takes precedence for backward compatibility
-  if [ -f "bun.lockb" ]; then
-    PKG_MANAGER="bun"
-  elif [ -f "bun.lock" ]; then
-    PKG_MANAGER="bun"
-  elif [ -f "pnpm-lock.yaml" ]; then
-    PKG_MANAGER="pnpm"
-  elif [ -f "yarn.lock" ]; then
-    PKG_MANAGER="yarn"
-  elif [ -f "package-lock.json" ]; then
-    PKG_MANAGER="npm"
+# Validate provenance (npm registry only; the attestation is signed with the workflow's OIDC token)
+if [ "$PROVENANCE" = "true" ] && [ "$PUBLISH_ENABLED" = "true" ]; then
+  if [ "$REGISTRY" = "github" ]; then
+    echo "⚠️  Warning: GitHub Packages does not support provenance, publishing without it"
   else
-    PKG_MANAGER="npm"
+    if [ -z "$ACTIONS_ID_TOKEN_REQUEST_URL" ] || [ -z "$ACTIONS_ID_TOKEN_REQUEST_TOKEN" ]; then
+      echo "❌ Error: provenance requires an OIDC token, but this workflow cannot request one"
+      echo "   Grant it with 'permissions: id-token: write' on the job (pull requests from forks never get an OIDC token)"
+      exit 1
+    fi
+    if [ "$ACCESS" = "restricted" ]; then
+      echo "❌ Error: provenance is only supported for public packages (access: restricted)"
+      exit 1
+    fi
+    echo "🔏 Provenance: enabled for NPM"
   fi
-else
-  PKG_MANAGER="$PACKAGE_MANAGER"
 fi
 
-# Verify the selected package manager is available
-if [ "$PKG_MANAGER" = "bun" ]; then
-  if ! command -v bun >/dev/null 2>&1; then
-    echo "❌ Error: Bun is selected but 'bun' command is not found. Please install Bun using 'oven-sh/setup-bun@v2' or similar action."
-    exit 1
+# Name the package is published under on GitHub Packages (which only accepts scoped packages)
+# Usage: github_package_name <package name>
+github_package_name() {
+  local name="$1"
+  if [[ "$name" == @* ]]; then
+    echo "$name"
+  elif [ -n "$PACKAGE_SCOPE" ]; then
+    # Use provided scope
+    if [[ "$PACKAGE_SCOPE" == @* ]]; then
+      echo "${PACKAGE_SCOPE}/${name}"
+    else
+      echo "@${PACKAGE_SCOPE}/${name}"
+    fi
+  else
+    # Auto-scope using repository owner
+    if [ -z "$GITHUB_REPOSITORY_OWNER" ]; then
+      echo "❌ Error: GITHUB_REPOSITORY_OWNER environment variable not set" >&2
+      return 1
+    fi
+    echo "@${GITHUB_REPOSITORY_OWNER}/${name}"
   fi
-elif [ "$PKG_MANAGER" = "pnpm" ]; then
-  if ! command -v pnpm >/dev/null 2>&1; then
-    echo "❌ Error: pnpm is selected but 'pnpm' command is not found. Please install pnpm using 'pnpm/action-setup@v2' or similar action."
-    exit 1
+}
+
+# Additional registry targets (registry-targets input, validated by configure-registries.sh)
+REGISTRY_TARGETS="${REGISTRY_TARGETS:-[]}"
+mapfile -t TARGET_NAMES < <(echo "$REGISTRY_TARGETS" | jq -r '.[].name')
+# Publish status per target: true, false, already-published or dry-run
+declare -A TARGET_STATUS=()
+
+# Read a field of a registry target
+# Usage: target_field <target name> <field>
+target_field() {
+  echo "$REGISTRY_TARGETS" | jq -r --arg name "$1" --arg field "$2" '.[] | select(.name == $name) | .[$field] // empty'
+}
+
+# Name the package is published under on a registry target: unscoped packages get the target's scope
+# Usage: target_package_name <target name> <package name>
+target_package_name() {
+  local scope
+  scope=$(target_field "$1" scope)
+  if [[ "$2" == @* ]] || [ -z "$scope" ]; then
+    echo "$2"
+  elif [[ "$scope" == @* ]]; then
+    echo "${scope}/$2"
+  else
+    echo "@${scope}/$2"
   fi
-elif [ "$PKG_MANAGER" = "yarn" ]; then
-  if ! command -v yarn >/dev/null 2>&1; then
-    echo "❌ Error: Yarn is selected but 'yarn' command is not found. Please install Yarn or use 'actions/setup-node' with appropriate configuration."
-    exit 1
+}
+
+# Token of a registry target, from the environment variable its token-env names
+# Usage: target_token <target name>
+target_token() {
+  local token_env
+  token_env=$(target_field "$1" token-env)
+  if [ -n "$token_env" ]; then
+    echo "${!token_env}"
+  fi
+}
+
+# publishConfig.registry replaces npm-registry-url; GitHub Packages always uses github-registry-url.
+# npm-token belongs to npm-registry-url and is never sent to another registry: the token comes from
+# the registry target with the same url (its token-env), or from publish-config-registry-token
+if [ -n "$PUBLISH_CONFIG_REGISTRY" ] && [ "${PUBLISH_CONFIG_REGISTRY%/}" != "${NPM_REGISTRY_URL%/}" ]; then
+  if [ "$REGISTRY" = "github" ]; then
+    echo "⚠️  Warning: publishConfig.registry ($PUBLISH_CONFIG_REGISTRY) is ignored when publishing to GitHub Packages"
+  else
+    echo "📋 Using publishConfig.registry: $PUBLISH_CONFIG_REGISTRY"
+    NPM_REGISTRY_URL="$PUBLISH_CONFIG_REGISTRY"
+    # Registry targets with this url get the NPM publish result instead of a second publish
+    PUBLISH_CONFIG_REGISTRY_URL=$(echo "$PUBLISH_CONFIG_REGISTRY" | sed 's|/*$||')
+    PUBLISH_CONFIG_TARGET=$(echo "$REGISTRY_TARGETS" | jq -r --arg url "${PUBLISH_CONFIG_REGISTRY%/}" \
+      'first(.[] | select((.url | sub("/+$"; "")) == $url) | .name) // empty')
+    if [ -n "$PUBLISH_CONFIG_TARGET" ]; then
+      echo "🔐 Authenticating publishConfig.registry with registry target '$PUBLISH_CONFIG_TARGET'"
+      NPM_TOKEN=$(target_token "$PUBLISH_CONFIG_TARGET")
+    elif [ -n "$PUBLISH_CONFIG_REGISTRY_TOKEN" ]; then
+      echo "🔐 Authenticating publishConfig.registry with publish-config-registry-token"
+      NPM_TOKEN="$PUBLISH_CONFIG_REGISTRY_TOKEN"
+    else
+      echo "❌ Error: publishConfig.registry ($PUBLISH_CONFIG_REGISTRY) differs from npm-registry-url, so npm-token is not used for it"
+      echo "   Set publish-config-registry-token, or add a registry target with this url and a token-env"
+      exit 1
+    fi
+    # Path-specific authentication, like configure-registries.sh writes for registry targets
+    PUBLISH_CONFIG_AUTH_PATH=$(echo "$PUBLISH_CONFIG_REGISTRY" | sed 's|https://||' | sed 's|http://||' | sed 's|/*$|/|')
+    if [ -n "$NPM_TOKEN" ] && ! grep -qF "//${PUBLISH_CONFIG_AUTH_PATH}:_authToken=" .npmrc 2>/dev/null; then
+      echo "//${PUBLISH_CONFIG_AUTH_PATH}:_authToken=${NPM_TOKEN}" >> .npmrc
+    fi
   fi
 fi
 
-echo "📦 Using package manager: $PKG_MANAGER"
+# Per-target publish status for the registry-targets output
+registry_target_results() {
+  local results='[]'
+  local name
+  for name in "${TARGET_NAMES[@]}"; do
+    results=$(echo "$results" | jq -c --arg name "$name" --arg url "$(target_field "$name" url)" \
+      --arg package "$(target_package_name "$name" "$PACKAGE_NAME")" --arg published "${TARGET_STATUS[$name]:-false}" \
+      '. + [{"name": $name, "url": $url, "package": $package, "published": $published}]')
+  done
+  echo "$results"
+}
 
-# Install dependencies
-echo "📥 Installing dependencies..."
-if [ "$PKG_MANAGER" = "bun" ]; then
-  bun install --frozen-lockfile
-elif [ "$PKG_MANAGER" = "pnpm" ]; then
-  pnpm install --frozen-lockfile
-elif [ "$PKG_MANAGER" = "yarn" ]; then
-  # Yarn v1 uses --frozen-lockfile, Yarn v2+ uses --immutable
-  # Check major version number
-  YARN_MAJOR_VERSION=$(yarn --version | cut -d. -f1)
-  if [ "$YARN_MAJOR_VERSION" -ge 2 ]; then
-    yarn install --immutable
+# Check whether a version is already on a registry
+# Usage: is_version_published <package name> <registry url> <token>
+# Prints "true" or "false"; returns 1 when the registry could not be queried
+is_version_published() {
+  local check_output
+  local published
+  check_output=$(mktemp)
+  if PACKAGE_NAME="$1" REGISTRY_URL="$2" REGISTRY_TOKEN="$3" GITHUB_OUTPUT="$check_output" \
+    node "$ACTION_PATH/scripts/check-published-version.js" >&2; then
+    published=$(grep "^published=" "$check_output" | tail -1 | cut -d= -f2-)
+    rm -f "$check_output"
+    echo "${published:-false}"
   else
-    yarn install --frozen-lockfile
+    rm -f "$check_output"
+    return 1
   fi
-elif [ -f "package-lock.json" ]; then
-  npm ci
-else
-  npm install
+}
+
+# Pre-publish check: look up the version in each target registry's packument so
+# re-runs skip (or fail fast on) versions that were already published
+ALREADY_PUBLISHED="false"
+if [ "$PUBLISH_ENABLED" = "true" ]; then
+  echo "🔎 Checking registries for an existing $PACKAGE_VERSION..."
+  NPM_EXISTS="false"
+  GITHUB_EXISTS="false"
+  
+  if [ "$REGISTRY" = "npm" ] || [ "$REGISTRY" = "both" ]; then
+    NPM_EXISTS=$(is_version_published "$PACKAGE_NAME" "$NPM_REGISTRY_URL" "$NPM_TOKEN") || {
+      echo "⚠️  Warning: Could not check NPM for an existing version, continuing with publish"
+      NPM_EXISTS="false"
+    }
+  fi
+  
+  if [ "$REGISTRY" = "github" ] || [ "$REGISTRY" = "both" ]; then
+    GITHUB_CHECK_NAME=$(github_package_name "$PACKAGE_NAME")
+    GITHUB_EXISTS=$(is_version_published "$GITHUB_CHECK_NAME" "$GITHUB_REGISTRY_URL" "$GITHUB_TOKEN") || {
+      echo "⚠️  Warning: Could not check GitHub Packages for an existing version, continuing with publish"
+      GITHUB_EXISTS="false"
+    }
+  fi
+  
+  ANY_TARGET_EXISTS="false"
+  ALL_TARGETS_EXIST="true"
+  for target_name in "${TARGET_NAMES[@]}"; do
+    TARGET_EXISTS=$(is_version_published "$(target_package_name "$target_name" "$PACKAGE_NAME")" \
+      "$(target_field "$target_name" url)" "$(target_token "$target_name")") || {
+      echo "⚠️  Warning: Could not check $target_name for an existing version, continuing with publish"
+      TARGET_EXISTS="false"
+    }
+    if [ "$TARGET_EXISTS" = "true" ]; then
+      TARGET_STATUS[$target_name]="already-published"
+      ANY_TARGET_EXISTS="true"
+    else
+      ALL_TARGETS_EXIST="false"
+    fi
+  done
+  
+  if [ "$NPM_EXISTS" = "true" ] || [ "$GITHUB_EXISTS" = "true" ] || [ "$ANY_TARGET_EXISTS" = "true" ]; then
+    if [ "$EXISTING_VERSION" = "fail" ]; then
+      echo "❌ Error: $PACKAGE_NAME@$PACKAGE_VERSION is already published (existing-version: fail)"
+      echo "already-published=true" >> "$GITHUB_OUTPUT"
+      exit 1
+    fi
+    
+    [ "$NPM_EXISTS" = "true" ] && NPM_PUBLISHED="already-published"
+    [ "$GITHUB_EXISTS" = "true" ] && GITHUB_PUBLISHED="already-published"
+    
+    # Nothing left to publish when every target registry already has the version
+    if { [ "$REGISTRY" = "github" ] || [ "$NPM_EXISTS" = "true" ]; } && \
+       { [ "$REGISTRY" = "npm" ] || [ "$GITHUB_EXISTS" = "true" ]; } && \
+       [ "$ALL_TARGETS_EXIST" = "true" ]; then
+      echo "♻️  $PACKAGE_NAME@$PACKAGE_VERSION is already published to every target registry, skipping build and publish"
+      echo "npm-published=$NPM_PUBLISHED" >> "$GITHUB_OUTPUT"
+      echo "github-published=$GITHUB_PUBLISHED" >> "$GITHUB_OUTPUT"
+      echo "registry-targets=$(registry_target_results)" >> "$GITHUB_OUTPUT"
+      echo "already-published=true" >> "$GITHUB_OUTPUT"
+      exit 0
+    fi
+  fi
+  echo ""
 fi
 
-echo "✅ Dependencies installed"
+# Update package.json version (no git tag)
+echo "📝 Updating package.json version..."
+jq --arg version "$PACKAGE_VERSION" '.version = $version' "$PACKAGE_PATH" > "${PACKAGE_PATH}.tmp"
+mv "${PACKAGE_PATH}.tmp" "$PACKAGE_PATH"
+
+echo "✅ Version updated to $PACKAGE_VERSION"
+
+# Resolve package manager (input or lockfile auto-detection)
+# Shared with audit-package.js so both steps agree on the package manager
+PKG_MANAGER=$(bash "$ACTION_PATH/scripts/detect-package-manager.sh")
+
+echo "📦 Using package manager: $PKG_MANAGER"
+
+# Publisher: npm, or the package manager itself (publish-with: package-manager)
+PUBLISHER="npm"
+if [ "$PUBLISH_WITH" = "package-manager" ] && [ "$PKG_MANAGER" != "npm" ]; then
+  PUBLISHER="$PKG_MANAGER"
+  if [ "$PKG_MANAGER" = "yarn" ] && [ "$(yarn --version | cut -d. -f1)" -lt 2 ]; then
+    # Yarn v1 has no 'yarn npm publish'
+    echo "⚠️  Warning: Yarn v1 cannot publish with 'yarn npm publish', publishing with npm"
+    PUBLISHER="npm"
+  fi
+fi
+
+if [ "$PUBLISH_ENABLED" = "true" ]; then
+  echo "📤 Publishing with: $PUBLISHER"
+  if [ "$PROVENANCE" = "true" ] && [ "$REGISTRY" != "github" ] && [ "$PUBLISHER" != "npm" ] && [ "$PUBLISHER" != "pnpm" ]; then
+    echo "❌ Error: provenance is only supported when publishing with npm or pnpm (publish-with: package-manager uses $PUBLISHER)"
+    exit 1
+  fi
+  if [ "$PUBLISHER" = "yarn" ] && [ -n "$(jq -r '.publishConfig.directory // empty' "$PACKAGE_PATH")" ]; then
+    echo "❌ Error: 'yarn npm publish' cannot publish publishConfig.directory; use publish-with: npm"
+    exit 1
+  fi
+fi
+
+# Install dependencies (the monorepo orchestrator installs each workspace once before the builds)
+if [ "$DEPENDENCIES_INSTALLED" = "true" ]; then
+  echo "⏭️  Dependencies already installed by the orchestrator"
+else
+  bash "$ACTION_PATH/scripts/install-dependencies.sh" "$PKG_MANAGER"
+fi
 
 # Run build script if defined
 if [ -n "$BUILD_SCRIPT" ]; then
@@ -173,7 +380,7 @@ WORKSPACE_BACKUP_EXISTS=false
 cleanup_workspace_backup() {
   if [ "$WORKSPACE_BACKUP_EXISTS" = true ] && [ -f "$WORKSPACE_BACKUP" ]; then
     if mv "$WORKSPACE_BACKUP" "$PACKAGE_PATH" 2>/dev/null; then
-      echo "📝 Restored original package.json with workspace protocol" >&2
+      echo "📝 Restored original package.json" >&2
       # Clean up backup file only after successful restore
       rm -f "$WORKSPACE_BACKUP" 2>/dev/null || true
       WORKSPACE_BACKUP_EXISTS=false
@@ -182,7 +389,19 @@ cleanup_workspace_backup() {
     fi
   fi
 }
-trap cleanup_workspace_backup EXIT INT TERM
+
+# Manifest written into publishConfig.directory, and the one it replaced
+PUBLISH_DIR_MANIFEST=""
+PUBLISH_DIR_MANIFEST_BACKUP=""
+cleanup_publish_dir() {
+  if [ -n "$PUBLISH_DIR_MANIFEST_BACKUP" ] && [ -f "$PUBLISH_DIR_MANIFEST_BACKUP" ]; then
+    mv "$PUBLISH_DIR_MANIFEST_BACKUP" "$PUBLISH_DIR_MANIFEST" 2>/dev/null || \
+      echo "⚠️  Failed to restore '$PUBLISH_DIR_MANIFEST'; backup retained at '$PUBLISH_DIR_MANIFEST_BACKUP'" >&2
+  elif [ -n "$PUBLISH_DIR_MANIFEST" ]; then
+    rm -f "$PUBLISH_DIR_MANIFEST" 2>/dev/null || true
+  fi
+}
+trap 'cleanup_workspace_backup; cleanup_publish_dir' EXIT INT TERM
 
 # Check if DISCOVERED_PACKAGES is available and contains packages (using jq for robust check)
 if [ -n "$DISCOVERED_PACKAGES" ] && echo "$DISCOVERED_PACKAGES" | jq -e 'type=="array" and length>0' >/dev/null 2>&1; then
@@ -194,145 +413,337 @@ if [ -n "$DISCOVERED_PACKAGES" ] && echo "$DISCOVERED_PACKAGES" | jq -e 'type=="
   WORKSPACE_BACKUP_EXISTS=true
   
   # Run workspace protocol resolution
-  if node "$ACTION_PATH/scripts/resolve-workspace-protocol.js"; then
+  if WORKSPACE_ROOT="$WORKSPACE_ROOT" node "$ACTION_PATH/scripts/resolve-workspace-protocol.js"; then
     echo "✅ Workspace protocol resolution completed"
   else
-    echo "⚠️  Warning: Workspace protocol resolution failed, continuing with original package.json"
-    # Restore backup if resolution failed
-    if [ -f "$WORKSPACE_BACKUP" ]; then
-      mv "$WORKSPACE_BACKUP" "$PACKAGE_PATH"
-      WORKSPACE_BACKUP_EXISTS=false
+    # Publishing workspace:/catalog: specifiers would break installs; the EXIT trap restores package.json
+    echo "❌ Error: Workspace protocol resolution failed, not publishing"
+    exit 1
+  fi
+  echo ""
+fi
+
+# Apply publishConfig: top-level field overrides (the fields pnpm replaces when packing)
+# and publishing from a subdirectory (publishConfig.directory)
+PUBLISH_CONFIG_FIELDS='["bin","browser","cpu","es2015","esnext","exports","libc","main","module","os","type","types","typesVersions","typings","umd:main","unpkg"]'
+PUBLISH_DIR="$PACKAGE_DIR"
+if jq -e '.publishConfig | type == "object"' "$PACKAGE_PATH" >/dev/null 2>&1; then
+  PUBLISH_CONFIG_DIRECTORY=$(jq -r '.publishConfig.directory // empty' "$PACKAGE_PATH")
+  PUBLISH_CONFIG_OVERRIDES=$(jq -c --argjson fields "$PUBLISH_CONFIG_FIELDS" \
+    '.publishConfig | with_entries(select(.key as $key | $fields | index($key) != null))' "$PACKAGE_PATH")
+  
+  # registry, access, tag and directory are applied by this script; they are removed from the
+  # published manifest so the publisher cannot replace the flow's tag or the target registry
+  if [ "$WORKSPACE_BACKUP_EXISTS" != true ]; then
+    cp "$PACKAGE_PATH" "$WORKSPACE_BACKUP"
+    WORKSPACE_BACKUP_EXISTS=true
+  fi
+  jq --argjson overrides "$PUBLISH_CONFIG_OVERRIDES" '. + $overrides
+    | del(.publishConfig.registry, .publishConfig.access, .publishConfig.tag, .publishConfig.directory)
+    | if .publishConfig == {} then del(.publishConfig) else . end' "$PACKAGE_PATH" > "${PACKAGE_PATH}.tmp"
+  mv "${PACKAGE_PATH}.tmp" "$PACKAGE_PATH"
+  if [ "$PUBLISH_CONFIG_OVERRIDES" != "{}" ]; then
+    echo "📋 Applied publishConfig overrides: $(echo "$PUBLISH_CONFIG_OVERRIDES" | jq -r 'keys | join(", ")')"
+  fi
+  
+  if [ -n "$PUBLISH_CONFIG_DIRECTORY" ]; then
+    if [ ! -d "$PUBLISH_CONFIG_DIRECTORY" ]; then
+      echo "❌ Error: publishConfig.directory '$PUBLISH_CONFIG_DIRECTORY' does not exist (is it created by the build script?)"
+      exit 1
+    fi
+    PUBLISH_DIR=$(realpath "$PUBLISH_CONFIG_DIRECTORY")
+  fi
+  
+  if [ "$PUBLISH_DIR" != "$PACKAGE_DIR" ]; then
+    echo "📂 Publishing from publishConfig.directory: $PUBLISH_CONFIG_DIRECTORY"
+    PUBLISH_DIR_MANIFEST="$PUBLISH_DIR/package.json"
+    if [ -f "$PUBLISH_DIR_MANIFEST" ]; then
+      PUBLISH_DIR_MANIFEST_BACKUP="${PUBLISH_DIR_MANIFEST}.publish-backup"
+      cp "$PUBLISH_DIR_MANIFEST" "$PUBLISH_DIR_MANIFEST_BACKUP"
     fi
+    # Publish the prepared manifest (version, resolved dependencies, overrides). Pack and
+    # publish hooks are dropped: they are written for the package directory, not the subdirectory.
+    jq 'del(.scripts.prepare, .scripts.prepublish, .scripts.prepublishOnly, .scripts.prepack,
+            .scripts.postpack, .scripts.publish, .scripts.postpublish)' \
+      "$PACKAGE_PATH" > "$PUBLISH_DIR_MANIFEST"
+  fi
+  echo ""
+fi
+PUBLISH_MANIFEST="$PUBLISH_DIR/package.json"
+
+# Pack result shared by tarball verification and the tarball diff, so npm pack (and prepack) runs once
+PACK_RESULT_FILE=$(mktemp)
+export PACK_RESULT_FILE
+
+# Verify what npm pack would publish: files package.json points at, deny patterns, size budgets
+if [ "$VERIFY_TARBALL" = "true" ]; then
+  if ! PACKAGE_PATH="$PUBLISH_MANIFEST" node "$ACTION_PATH/scripts/verify-tarball.js"; then
+    rm -f "$PACK_RESULT_FILE"
+    echo "❌ Error: Tarball verification failed, not publishing"
+    exit 1
   fi
   echo ""
 fi
 
+# Compare with the version the latest dist-tag points at, for the PR comment (never fails the build)
+if [ "$TARBALL_DIFF" = "true" ]; then
+  if [ "$REGISTRY" = "github" ]; then
+    DIFF_PACKAGE_NAME=$(github_package_name "$PACKAGE_NAME")
+    DIFF_REGISTRY_URL="$GITHUB_REGISTRY_URL"
+    DIFF_REGISTRY_TOKEN="$GITHUB_TOKEN"
+  else
+    DIFF_PACKAGE_NAME="$PACKAGE_NAME"
+    DIFF_REGISTRY_URL="$NPM_REGISTRY_URL"
+    DIFF_REGISTRY_TOKEN="$NPM_TOKEN"
+  fi
+  if ! PACKAGE_PATH="$PUBLISH_MANIFEST" PACKAGE_NAME="$DIFF_PACKAGE_NAME" REGISTRY_URL="$DIFF_REGISTRY_URL" REGISTRY_TOKEN="$DIFF_REGISTRY_TOKEN" \
+    node "$ACTION_PATH/scripts/diff-tarball.js"; then
+    echo "⚠️  Warning: Could not compare the tarball with the latest published version"
+  fi
+  echo ""
+fi
+rm -f "$PACK_RESULT_FILE"
+
 # Check if publishing is enabled
 if [ "$PUBLISH_ENABLED" != "true" ]; then
   echo "⏭️  Publishing disabled, skipping publish step"
   
   echo "npm-published=$NPM_PUBLISHED" >> "$GITHUB_OUTPUT"
   echo "github-published=$GITHUB_PUBLISHED" >> "$GITHUB_OUTPUT"
+  echo "already-published=$ALREADY_PUBLISHED" >> "$GITHUB_OUTPUT"
+  echo "npm-provenance=$NPM_PROVENANCE" >> "$GITHUB_OUTPUT"
+  echo "registry-targets=$(registry_target_results)" >> "$GITHUB_OUTPUT"
   exit 0
 fi
 
+# Generate the SBOM from the installed dependency tree (after workspace protocol
+# resolution, so it lists the versions that are published). It is written outside
+# the package directory so it never ends up in the tarball.
+if [ "$SBOM" = "true" ]; then
+  SBOM_NAME=$(echo "$PACKAGE_NAME" | sed 's/^@//; s/\//-/g')
+  SBOM_FILE="${RUNNER_TEMP:-/tmp}/package-build-flow-sbom/${SBOM_NAME}.cdx.json"
+  if ! SBOM_FILE="$SBOM_FILE" node "$ACTION_PATH/scripts/generate-sbom.js"; then
+    echo "❌ Error: SBOM generation failed, not publishing"
+    exit 1
+  fi
+  echo ""
+fi
+
+# Publish flags for the NPM registry
+NPM_PUBLISH_FLAGS=()
+# Only add --access flag for scoped packages (@scope/name)
+if [[ "$PACKAGE_NAME" == @*/* ]]; then
+  NPM_PUBLISH_FLAGS+=(--access "$ACCESS")
+elif [ "$PROVENANCE" = "true" ]; then
+  # npm refuses provenance for new packages unless access is explicitly public
+  NPM_PUBLISH_FLAGS+=(--access public)
+fi
+
+# Publish the prepared package (PUBLISH_DIR) with the selected publisher
+# Usage: publish_package <registry url> <token> [flags...]
+publish_package() {
+  local registry_url="$1"
+  local token="$2"
+  shift 2
+  
+  case "$PUBLISHER" in
+    pnpm)
+      # The working tree has the bumped version and resolved dependencies, so skip pnpm's git checks
+      pnpm publish "$PUBLISH_DIR" --tag "$NPM_TAG" --registry "$registry_url" --no-git-checks "$@"
+      ;;
+    bun)
+      # bun publishes the current directory and reads the registry auth from its .npmrc
+      local copied_npmrc=false
+      local status=0
+      if [ "$PUBLISH_DIR" != "$PACKAGE_DIR" ] && [ -f .npmrc ] && [ ! -f "$PUBLISH_DIR/.npmrc" ]; then
+        cp .npmrc "$PUBLISH_DIR/.npmrc"
+        copied_npmrc=true
+      fi
+      (cd "$PUBLISH_DIR" && NPM_CONFIG_REGISTRY="$registry_url" bun publish --tag "$NPM_TAG" "$@") || status=$?
+      if [ "$copied_npmrc" = true ]; then
+        rm -f "$PUBLISH_DIR/.npmrc"
+      fi
+      return $status
+      ;;
+    yarn)
+      if [[ " $* " == *" --dry-run "* ]]; then
+        # yarn npm publish has no dry run
+        echo "ℹ️  yarn npm publish has no dry run, showing npm's"
+        npm publish "$PUBLISH_DIR" --tag "$NPM_TAG" --registry "$registry_url" "$@"
+      else
+        YARN_NPM_PUBLISH_REGISTRY="$registry_url" YARN_NPM_AUTH_TOKEN="$token" \
+          yarn npm publish --tag "$NPM_TAG" "$@"
+      fi
+      ;;
+    *)
+      npm publish "$PUBLISH_DIR" --tag "$NPM_TAG" --registry "$registry_url" "$@"
+      ;;
+  esac
+}
+
+# Publish to the additional registry targets
+# Usage: publish_registry_targets [--dry-run]
+publish_registry_targets() {
+  local target_name target_url target_package target_access
+  local flags
+  for target_name in "${TARGET_NAMES[@]}"; do
+    target_url=$(target_field "$target_name" url)
+    target_package=$(target_package_name "$target_name" "$PACKAGE_NAME")
+    
+    # The NPM publish went to this target's registry (publishConfig.registry) under the same name;
+    # publishing again would fail on the existing version
+    if [ -n "$PUBLISH_CONFIG_REGISTRY_URL" ] && [ "$(echo "$target_url" | sed 's|/*$||')" = "$PUBLISH_CONFIG_REGISTRY_URL" ] && \
+       [ "$target_package" = "$PACKAGE_NAME" ]; then
+      echo "⏭️  $target_name is the publishConfig.registry the package was published to, skipping"
+      TARGET_STATUS[$target_name]="$NPM_PUBLISHED"
+      continue
+    fi
+    
+    if [ "${TARGET_STATUS[$target_name]}" = "already-published" ]; then
+      echo "⏭️  Already published to $target_name, skipping"
+      continue
+    fi
+    
+    target_access=$(target_field "$target_name" access)
+    target_access="${target_access:-$ACCESS}"
+    flags=("$@")
+    if [[ "$target_package" == @*/* ]]; then
+      flags+=(--access "$target_access")
+    elif [ "$target_access" = "restricted" ]; then
+      echo "❌ Failed to publish to $target_name: 'restricted' access is only supported for scoped packages (set the target's scope)"
+      TARGET_STATUS[$target_name]="false"
+      continue
+    fi
+    
+    echo "📤 Publishing to $target_name ($target_url)..."
+    if [ "$target_package" != "$PACKAGE_NAME" ]; then
+      jq --arg name "$target_package" '.name = $name' "$PUBLISH_MANIFEST" > "${PUBLISH_MANIFEST}.tmp"
+      mv "${PUBLISH_MANIFEST}.tmp" "$PUBLISH_MANIFEST"
+      echo "📝 Scoped package name for $target_name: $target_package"
+    fi
+    
+    if publish_package "$target_url" "$(target_token "$target_name")" "${flags[@]}"; then
+      if [ "$1" = "--dry-run" ]; then
+        TARGET_STATUS[$target_name]="dry-run"
+      else
+        TARGET_STATUS[$target_name]="true"
+        echo "✅ Published to $target_name: $target_package@$PACKAGE_VERSION (tag: $NPM_TAG)"
+      fi
+    else
+      echo "❌ Failed to publish to $target_name"
+      TARGET_STATUS[$target_name]="false"
+    fi
+    
+    # Restore original name if changed
+    if [ "$target_package" != "$PACKAGE_NAME" ]; then
+      jq --arg name "$PACKAGE_NAME" '.name = $name' "$PUBLISH_MANIFEST" > "${PUBLISH_MANIFEST}.tmp"
+      mv "${PUBLISH_MANIFEST}.tmp" "$PUBLISH_MANIFEST"
+    fi
+  done
+}
+
 # Dry run mode
 if [ "$DRY_RUN" = "true" ]; then
   echo "🔍 DRY RUN MODE - No actual publishing"
   
-  if [ "$REGISTRY" = "npm" ] || [ "$REGISTRY" = "both" ]; then
+  if [ "$NPM_PUBLISHED" = "already-published" ]; then
+    echo "⏭️  Already published to NPM, skipping"
+  elif [ "$REGISTRY" = "npm" ] || [ "$REGISTRY" = "both" ]; then
     echo "Would publish to NPM:"
-    # Only add --access flag for scoped packages (@scope/name)
-    if [[ "$PACKAGE_NAME" == @*/* ]]; then
-      npm publish --dry-run --tag "$NPM_TAG" --registry "$NPM_REGISTRY_URL" --access "$ACCESS"
-    else
-      npm publish --dry-run --tag "$NPM_TAG" --registry "$NPM_REGISTRY_URL"
-    fi
+    # Provenance is signed at publish time, so a dry run only reports it
+    publish_package "$NPM_REGISTRY_URL" "$NPM_TOKEN" --dry-run "${NPM_PUBLISH_FLAGS[@]}"
     NPM_PUBLISHED="dry-run"
+    if [ "$PROVENANCE" = "true" ]; then
+      echo "🔏 Would publish with provenance"
+      NPM_PROVENANCE="dry-run"
+    fi
   fi
   
-  if [ "$REGISTRY" = "github" ] || [ "$REGISTRY" = "both" ]; then
+  if [ "$GITHUB_PUBLISHED" = "already-published" ]; then
+    echo "⏭️  Already published to GitHub Packages, skipping"
+  elif [ "$REGISTRY" = "github" ] || [ "$REGISTRY" = "both" ]; then
     echo "Would publish to GitHub Packages:"
     
     # Ensure package is scoped for GitHub Packages
-    ORIGINAL_NAME=$(jq -r '.name' "$PACKAGE_PATH")
+    ORIGINAL_NAME=$(jq -r '.name' "$PUBLISH_MANIFEST")
     if [[ "$ORIGINAL_NAME" != @* ]]; then
-      # Determine scope
-      if [ -n "$PACKAGE_SCOPE" ]; then
-        # Use provided scope
-        if [[ "$PACKAGE_SCOPE" == @* ]]; then
-          SCOPED_NAME="${PACKAGE_SCOPE}/${ORIGINAL_NAME}"
-        else
-          SCOPED_NAME="@${PACKAGE_SCOPE}/${ORIGINAL_NAME}"
-        fi
-      else
-        # Auto-scope using repository owner
-        if [ -z "$GITHUB_REPOSITORY_OWNER" ]; then
-          echo "❌ Error: GITHUB_REPOSITORY_OWNER environment variable not set"
-          exit 1
-        fi
-        SCOPED_NAME="@${GITHUB_REPOSITORY_OWNER}/${ORIGINAL_NAME}"
+      SCOPED_NAME=$(github_package_name "$ORIGINAL_NAME")
+      if [ -z "$PACKAGE_SCOPE" ]; then
         echo "💡 Auto-scoping: ${ORIGINAL_NAME} → ${SCOPED_NAME}"
       fi
-      jq --arg name "$SCOPED_NAME" '.name = $name' "$PACKAGE_PATH" > "${PACKAGE_PATH}.tmp"
-      mv "${PACKAGE_PATH}.tmp" "$PACKAGE_PATH"
+      jq --arg name "$SCOPED_NAME" '.name = $name' "$PUBLISH_MANIFEST" > "${PUBLISH_MANIFEST}.tmp"
+      mv "${PUBLISH_MANIFEST}.tmp" "$PUBLISH_MANIFEST"
       echo "📝 Scoped package name: $SCOPED_NAME"
     fi
     
-    npm publish --dry-run --tag "$NPM_TAG" --registry "$GITHUB_REGISTRY_URL" --access "$ACCESS"
+    publish_package "$GITHUB_REGISTRY_URL" "$GITHUB_TOKEN" --dry-run --access "$ACCESS"
     GITHUB_PUBLISHED="dry-run"
     
     # Restore original name if changed
-    if [ "$ORIGINAL_NAME" != "$(jq -r '.name' "$PACKAGE_PATH")" ]; then
-      jq --arg name "$ORIGINAL_NAME" '.name = $name' "$PACKAGE_PATH" > "${PACKAGE_PATH}.tmp"
-      mv "${PACKAGE_PATH}.tmp" "$PACKAGE_PATH"
+    if [ "$ORIGINAL_NAME" != "$(jq -r '.name' "$PUBLISH_MANIFEST")" ]; then
+      jq --arg name "$ORIGINAL_NAME" '.name = $name' "$PUBLISH_MANIFEST" > "${PUBLISH_MANIFEST}.tmp"
+      mv "${PUBLISH_MANIFEST}.tmp" "$PUBLISH_MANIFEST"
     fi
   fi
   
+  publish_registry_targets --dry-run
+  
   echo "npm-published=$NPM_PUBLISHED" >> "$GITHUB_OUTPUT"
   echo "github-published=$GITHUB_PUBLISHED" >> "$GITHUB_OUTPUT"
+  echo "already-published=$ALREADY_PUBLISHED" >> "$GITHUB_OUTPUT"
+  echo "npm-provenance=$NPM_PROVENANCE" >> "$GITHUB_OUTPUT"
+  echo "sbom-file=$SBOM_FILE" >> "$GITHUB_OUTPUT"
+  echo "registry-targets=$(registry_target_results)" >> "$GITHUB_OUTPUT"
   exit 0
 fi
 
 # Publish to NPM
-if [ "$REGISTRY" = "npm" ] || [ "$REGISTRY" = "both" ]; then
+if [ "$NPM_PUBLISHED" = "already-published" ]; then
+  echo "⏭️  Already published to NPM: $PACKAGE_NAME@$PACKAGE_VERSION, skipping"
+elif [ "$REGISTRY" = "npm" ] || [ "$REGISTRY" = "both" ]; then
   echo "📤 Publishing to NPM..."
   
-  # Only add --access flag for scoped packages (@scope/name)
-  if [[ "$PACKAGE_NAME" == @*/* ]]; then
-    if npm publish --tag "$NPM_TAG" --registry "$NPM_REGISTRY_URL" --access "$ACCESS"; then
-      NPM_PUBLISHED="true"
-      echo "✅ Published to NPM: $PACKAGE_NAME@$PACKAGE_VERSION (tag: $NPM_TAG)"
-    else
-      echo "❌ Failed to publish to NPM"
-      NPM_PUBLISHED="false"
+  if [ "$PROVENANCE" = "true" ]; then
+    NPM_PUBLISH_FLAGS+=(--provenance)
+  fi
+  
+  if publish_package "$NPM_REGISTRY_URL" "$NPM_TOKEN" "${NPM_PUBLISH_FLAGS[@]}"; then
+    NPM_PUBLISHED="true"
+    echo "✅ Published to NPM: $PACKAGE_NAME@$PACKAGE_VERSION (tag: $NPM_TAG)"
+    if [ "$PROVENANCE" = "true" ]; then
+      NPM_PROVENANCE="true"
+      echo "🔏 Published with provenance"
     fi
   else
-    if npm publish --tag "$NPM_TAG" --registry "$NPM_REGISTRY_URL"; then
-      NPM_PUBLISHED="true"
-      echo "✅ Published to NPM: $PACKAGE_NAME@$PACKAGE_VERSION (tag: $NPM_TAG)"
-    else
-      echo "❌ Failed to publish to NPM"
-      NPM_PUBLISHED="false"
-    fi
+    echo "❌ Failed to publish to NPM"
+    NPM_PUBLISHED="false"
   fi
 fi
 
 # Publish to GitHub Packages
-if [ "$REGISTRY" = "github" ] || [ "$REGISTRY" = "both" ]; then
+if [ "$GITHUB_PUBLISHED" = "already-published" ]; then
+  echo "⏭️  Already published to GitHub Packages: $PACKAGE_NAME@$PACKAGE_VERSION, skipping"
+elif [ "$REGISTRY" = "github" ] || [ "$REGISTRY" = "both" ]; then
   echo "📤 Publishing to GitHub Packages..."
   
   # Ensure package is scoped for GitHub Packages
-  ORIGINAL_NAME=$(jq -r '.name' "$PACKAGE_PATH")
+  ORIGINAL_NAME=$(jq -r '.name' "$PUBLISH_MANIFEST")
   NEEDS_RESTORE=false
   
   if [[ "$ORIGINAL_NAME" != @* ]]; then
-    # Determine scope
-    if [ -n "$PACKAGE_SCOPE" ]; then
-      # Use provided scope
-      if [[ "$PACKAGE_SCOPE" == @* ]]; then
-        SCOPED_NAME="${PACKAGE_SCOPE}/${ORIGINAL_NAME}"
-      else
-        SCOPED_NAME="@${PACKAGE_SCOPE}/${ORIGINAL_NAME}"
-      fi
-    else
-      # Auto-scope using repository owner
-      if [ -z "$GITHUB_REPOSITORY_OWNER" ]; then
-        echo "❌ Error: GITHUB_REPOSITORY_OWNER environment variable not set"
-        exit 1
-      fi
-      SCOPED_NAME="@${GITHUB_REPOSITORY_OWNER}/${ORIGINAL_NAME}"
+    SCOPED_NAME=$(github_package_name "$ORIGINAL_NAME")
+    if [ -z "$PACKAGE_SCOPE" ]; then
       echo "💡 Auto-scoping: ${ORIGINAL_NAME} → ${SCOPED_NAME}"
     fi
-    jq --arg name "$SCOPED_NAME" '.name = $name' "$PACKAGE_PATH" > "${PACKAGE_PATH}.tmp"
-    mv "${PACKAGE_PATH}.tmp" "$PACKAGE_PATH"
+    jq --arg name "$SCOPED_NAME" '.name = $name' "$PUBLISH_MANIFEST" > "${PUBLISH_MANIFEST}.tmp"
+    mv "${PUBLISH_MANIFEST}.tmp" "$PUBLISH_MANIFEST"
     echo "📝 Scoped package name for GitHub: $SCOPED_NAME"
     NEEDS_RESTORE=true
   fi
   
-  if npm publish --tag "$NPM_TAG" --registry "$GITHUB_REGISTRY_URL" --access "$ACCESS"; then
+  if publish_package "$GITHUB_REGISTRY_URL" "$GITHUB_TOKEN" --access "$ACCESS"; then
     GITHUB_PUBLISHED="true"
-    PUBLISHED_NAME=$(jq -r '.name' "$PACKAGE_PATH")
+    PUBLISHED_NAME=$(jq -r '.name' "$PUBLISH_MANIFEST")
     echo "✅ Published to GitHub Packages: $PUBLISHED_NAME@$PACKAGE_VERSION (tag: $NPM_TAG)"
   else
     echo "❌ Failed to publish to GitHub Packages"
@@ -341,20 +752,30 @@ if [ "$REGISTRY" = "github" ] || [ "$REGISTRY" = "both" ]; then
   
   # Restore original name if changed
   if [ "$NEEDS_RESTORE" = true ]; then
-    jq --arg name "$ORIGINAL_NAME" '.name = $name' "$PACKAGE_PATH" > "${PACKAGE_PATH}.tmp"
-    mv "${PACKAGE_PATH}.tmp" "$PACKAGE_PATH"
+    jq --arg name "$ORIGINAL_NAME" '.name = $name' "$PUBLISH_MANIFEST" > "${PUBLISH_MANIFEST}.tmp"
+    mv "${PUBLISH_MANIFEST}.tmp" "$PUBLISH_MANIFEST"
     echo "📝 Restored original package name"
   fi
 fi
 
+publish_registry_targets
+
 echo ""
 echo "✅ Build and publish complete"
 echo "  NPM Published: $NPM_PUBLISHED"
 echo "  GitHub Published: $GITHUB_PUBLISHED"
+for target_name in "${TARGET_NAMES[@]}"; do
+  echo "  $target_name Published: ${TARGET_STATUS[$target_name]:-false}"
+done
+echo "  NPM Provenance: $NPM_PROVENANCE"
 echo ""
 
 # Set outputs
 echo "npm-published=$NPM_PUBLISHED" >> "$GITHUB_OUTPUT"
 echo "github-published=$GITHUB_PUBLISHED" >> "$GITHUB_OUTPUT"
+echo "already-published=$ALREADY_PUBLISHED" >> "$GITHUB_OUTPUT"
+echo "npm-provenance=$NPM_PROVENANCE" >> "$GITHUB_OUTPUT"
+echo "sbom-file=$SBOM_FILE" >> "$GITHUB_OUTPUT"
+echo "registry-targets=$(registry_target_results)" >> "$GITHUB_OUTPUT"
 
 # Note: Workspace backup restoration happens automatically via EXIT trap
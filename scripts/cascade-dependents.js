@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Dependent Cascade Script
+ * Extends the directly changed packages with their transitive workspace dependents,
+ * so a change in a library also rebuilds every package that consumes it.
+ * Each package records why it was included: a direct change, or a dependency on
+ * another included package.
+ */
+
+const fs = require('fs');
+const { parseDependencyTypes, buildDependencyGraph } = require('./workspace-graph');
+
+// Read inputs from environment
+const DISCOVERED_PACKAGES_JSON = process.env.DISCOVERED_PACKAGES_JSON || '[]';
+const CHANGED_PACKAGES_JSON = process.env.CHANGED_PACKAGES_JSON || '[]';
+const CASCADE_DEPENDENCY_TYPES = process.env.CASCADE_DEPENDENCY_TYPES || '';
+const GITHUB_OUTPUT = process.env.GITHUB_OUTPUT || '';
+
+console.log('🔗 Cascading changes to workspace dependents...');
+
+let discoveredPackages;
+let changedPackages;
+let depTypes;
+try {
+  discoveredPackages = JSON.parse(DISCOVERED_PACKAGES_JSON);
+  changedPackages = JSON.parse(CHANGED_PACKAGES_JSON);
+  depTypes = parseDependencyTypes(CASCADE_DEPENDENCY_TYPES);
+} catch (error) {
+  console.error('❌ Error: Invalid cascade input');
+  console.error(error.message);
+  process.exit(1);
+}
+
+if (!Array.isArray(discoveredPackages) || !Array.isArray(changedPackages)) {
+  console.error('❌ Error: DISCOVERED_PACKAGES_JSON and CHANGED_PACKAGES_JSON must be arrays');
+  process.exit(1);
+}
+
+console.log(`  Propagating through: ${depTypes.join(', ')}`);
+
+const validPackages = discoveredPackages.filter(pkg => pkg && pkg.name && pkg.path);
+const { packageMap, dependents } = buildDependencyGraph(validPackages, depTypes);
+
+// Breadth-first walk from the directly changed packages. Dependents are visited in
+// discovery order, so the first package to pull one in is recorded deterministically.
+const included = new Map();
+const queue = [];
+
+changedPackages.forEach(pkg => {
+  if (!included.has(pkg.name)) {
+    included.set(pkg.name, { name: pkg.name, path: pkg.path, reason: 'changed' });
+    queue.push(pkg.name);
+  }
+});
+
+const discoveryIndex = new Map(validPackages.map((pkg, index) => [pkg.name, index]));
+
+let head = 0;
+while (head < queue.length) {
+  const current = queue[head++];
+  const currentDependents = (dependents.get(current) || [])
+    .slice()
+    .sort((a, b) => discoveryIndex.get(a) - discoveryIndex.get(b));
+
+  currentDependents.forEach(dependent => {
+    if (included.has(dependent)) {
+      return;
+    }
+    const pkg = packageMap.get(dependent);
+    included.set(dependent, { name: pkg.name, path: pkg.path, reason: 'dependent', dependencyOf: current });
+    queue.push(dependent);
+    console.log(`  ➕ ${dependent} (depends on ${current})`);
+  });
+}
+
+const cascadedPackages = Array.from(included.values());
+const addedCount = cascadedPackages.length - changedPackages.length;
+
+if (addedCount === 0) {
+  console.log('  No additional dependents');
+}
+console.log(`✅ ${addedCount} dependent package(s) added`);
+console.log('');
+
+if (GITHUB_OUTPUT) {
+  fs.appendFileSync(GITHUB_OUTPUT, `cascaded-packages=${JSON.stringify(cascadedPackages)}\n`);
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Published Version Check Script
+ * Looks up a package's packument on a registry and reports whether a version
+ * is already published, so re-runs can skip (or fail fast on) existing versions.
+ * Works with any npm-compatible registry (npm, GitHub Packages, Verdaccio).
+ */
+
+const fs = require('fs');
+const { packumentUrl, fetchPackument } = require('./registry-client');
+
+// Read inputs from environment
+const PACKAGE_NAME = process.env.PACKAGE_NAME || '';
+const PACKAGE_VERSION = process.env.PACKAGE_VERSION || '';
+const REGISTRY_URL = process.env.REGISTRY_URL || 'https://registry.npmjs.org';
+const REGISTRY_TOKEN = process.env.REGISTRY_TOKEN || '';
+const GITHUB_OUTPUT = process.env.GITHUB_OUTPUT || '';
+
+if (!PACKAGE_NAME || !PACKAGE_VERSION) {
+  console.error('❌ Error: PACKAGE_NAME and PACKAGE_VERSION are required');
+  process.exit(1);
+}
+
+// Registries drop build metadata on publish (1.2.0-dev.3+sha.abc is stored as 1.2.0-dev.3)
+const REGISTRY_VERSION = PACKAGE_VERSION.split('+')[0];
+
+async function main() {
+  const url = packumentUrl(REGISTRY_URL, PACKAGE_NAME);
+  console.log(`🔎 Checking ${PACKAGE_NAME}@${PACKAGE_VERSION} on ${url.origin}...`);
+
+  const packument = await fetchPackument(url, REGISTRY_TOKEN);
+  const published = Boolean(packument && packument.versions && packument.versions[REGISTRY_VERSION]);
+
+  if (!packument) {
+    console.log('  Package not found on registry (first publish)');
+  } else if (published) {
+    console.log(`  ♻️  Version ${PACKAGE_VERSION} is already published`);
+  } else {
+    console.log(`  Version ${PACKAGE_VERSION} is not published yet`);
+  }
+
+  if (GITHUB_OUTPUT) {
+    fs.appendFileSync(GITHUB_OUTPUT, `published=${published}\n`);
+  }
+}
+
+main().catch(error => {
+  console.error(`⚠️  Could not check the registry: ${error.message}`);
+  process.exit(1);
+});
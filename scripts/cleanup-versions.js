@@ -0,0 +1,678 @@
+#!/usr/bin/env node
+
+/**
+ * Version Cleanup Script
+ * Deprecates (or, with CLEANUP_ACTION=unpublish, unpublishes) prerelease versions
+ * that are no longer needed:
+ * - pr-closed: every version published from a closed pull request, as tracked
+ *   in the PR's sticky comment by pr-comment.js, and the builds of the PR's
+ *   commits found on the registries (in case the comment lost track of some)
+ * - retention: all but the newest RETENTION_COUNT versions of each flow
+ * - run-failed: the versions a monorepo run published before another package
+ *   failed (strict-publish), so no incomplete set of packages stays installable
+ * Dist-tags pointing at cleaned-up versions are moved to the newest remaining
+ * version of the same flow (latest: the newest remaining release), or removed
+ * when none is left.
+ * Every registry the action publishes to is covered: NPM and GitHub Packages per
+ * REGISTRY, and each registry target (REGISTRY_TARGETS) with its url and token-env.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { packumentUrl, fetchPackument } = require('./registry-client');
+const { githubRequest, findStickyComment, readMarker } = require('./sticky-comment');
+const { BUILT_IN_FLOWS, builtInRules, loadFlowConfig } = require('./flow-rules');
+
+// Read inputs from environment
+const CLEANUP_TRIGGER = process.env.CLEANUP_TRIGGER || 'retention';
+const CLEANUP_ACTION = process.env.CLEANUP_ACTION || 'deprecate';
+const RETENTION_COUNT = process.env.RETENTION_COUNT || '0';
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const REGISTRY = process.env.REGISTRY || 'both';
+const NPM_REGISTRY_URL = process.env.NPM_REGISTRY_URL || 'https://registry.npmjs.org';
+const NPM_TOKEN = process.env.NPM_TOKEN || '';
+const GITHUB_REGISTRY_URL = process.env.GITHUB_REGISTRY_URL || 'https://npm.pkg.github.com';
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN || '';
+const PACKAGE_SCOPE = process.env.PACKAGE_SCOPE || '';
+// Additional registries: [{ name, url, token-env, scope, access }] (validated by configure-registries.sh)
+const REGISTRY_TARGETS = process.env.REGISTRY_TARGETS || '[]';
+const PACKAGE_NAMES = process.env.PACKAGE_NAMES || '';
+// run-failed: [{ registry, name, version }] published by the run (registry: npm, github or a
+// target name), and the packages that failed
+const PUBLISHED_VERSIONS = process.env.PUBLISHED_VERSIONS || '[]';
+const FAILED_PACKAGE_NAMES = process.env.FAILED_PACKAGE_NAMES || '';
+const PACKAGE_PATH = process.env.PACKAGE_PATH || './package.json';
+// pr-closed: the monorepo's packages (package-paths, or workspace discovery)
+const MONOREPO_MODE = process.env.MONOREPO_MODE === 'true';
+const PACKAGE_PATHS = process.env.PACKAGE_PATHS || '';
+const WORKSPACE_DETECTION = process.env.WORKSPACE_DETECTION !== 'false';
+const FLOW_CONFIG = process.env.FLOW_CONFIG || '';
+const GITHUB_CONTEXT = JSON.parse(process.env.GITHUB_CONTEXT || '{}');
+const GITHUB_REPOSITORY_OWNER = process.env.GITHUB_REPOSITORY_OWNER || GITHUB_CONTEXT.repository_owner || '';
+const GITHUB_OUTPUT = process.env.GITHUB_OUTPUT || '';
+
+// npmjs.org only allows unpublishing a version within 72 hours of publishing it
+const NPM_UNPUBLISH_WINDOW_MS = 72 * 60 * 60 * 1000;
+const NPMJS_HOST = 'registry.npmjs.org';
+
+// Registry key → { url, token, scope }; registry targets are added by addRegistryTargets()
+const REGISTRIES = {
+  npm: { url: NPM_REGISTRY_URL, token: NPM_TOKEN },
+  github: { url: GITHUB_REGISTRY_URL, token: GITHUB_TOKEN }
+};
+const targetNames = [];
+
+const results = [];
+const distTagResults = [];
+
+/**
+ * Name of a package on GitHub Packages (unscoped names get the configured scope or the owner)
+ * @param {string} name
+ * @returns {string}
+ */
+function githubPackageName(name) {
+  if (name.startsWith('@') || (!PACKAGE_SCOPE && !GITHUB_REPOSITORY_OWNER)) {
+    return name;
+  }
+  const scope = PACKAGE_SCOPE || GITHUB_REPOSITORY_OWNER;
+  return `${scope.startsWith('@') ? scope : `@${scope}`}/${name}`;
+}
+
+// Register each registry target under its name, with the token from the variable its token-env names
+function addRegistryTargets() {
+  let targets;
+  try {
+    targets = JSON.parse(REGISTRY_TARGETS);
+  } catch (error) {
+    throw new Error(`Invalid registry-targets: ${error.message}`);
+  }
+  if (!Array.isArray(targets)) {
+    throw new Error('Invalid registry-targets: expected a JSON array of registry targets');
+  }
+  targets
+    .filter(target => target && typeof target.name === 'string' && typeof target.url === 'string' && !REGISTRIES[target.name])
+    .forEach(target => {
+      REGISTRIES[target.name] = {
+        url: target.url,
+        token: (target['token-env'] && process.env[target['token-env']]) || '',
+        scope: target.scope || ''
+      };
+      targetNames.push(target.name);
+    });
+}
+
+// Registries the action publishes to: npm and/or github per REGISTRY, then the registry targets
+function publishRegistryKeys() {
+  return [...(REGISTRY === 'both' ? ['npm', 'github'] : [REGISTRY]), ...targetNames];
+}
+
+/**
+ * Name of a package on a registry: GitHub Packages and registry targets with a scope
+ * publish unscoped packages under that scope
+ * @param {string} registryKey - "npm", "github" or a registry target name
+ * @param {string} name - Name in package.json
+ * @returns {string}
+ */
+function registryPackageName(registryKey, name) {
+  if (registryKey === 'github') {
+    return githubPackageName(name);
+  }
+  const scope = REGISTRIES[registryKey].scope;
+  if (name.startsWith('@') || !scope) {
+    return name;
+  }
+  return `${scope.startsWith('@') ? scope : `@${scope}`}/${name}`;
+}
+
+/**
+ * Flow a prerelease version belongs to: its first prerelease identifier
+ * @param {string} version - e.g. "1.2.0-dev.4"
+ * @returns {string} - e.g. "dev", or "" for releases
+ */
+function prereleaseFlow(version) {
+  const match = version.match(/^\d+\.\d+\.\d+-([0-9A-Za-z-]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Order versions newest first by publish time
+ * @param {object} packument - Full packument
+ * @returns {Function} - Comparator
+ */
+function newestFirst(packument) {
+  const order = Object.keys(packument.versions);
+  const time = version => Date.parse((packument.time || {})[version] || '') || 0;
+  return (a, b) => (time(b) - time(a)) || (order.indexOf(b) - order.indexOf(a));
+}
+
+// Temporary npm user config holding the registry tokens, so they never appear on a command line.
+// Tokens are set for the full registry path, so registries sharing a host keep their own token
+let npmrcPath = '';
+function npmUserConfig() {
+  if (!npmrcPath) {
+    npmrcPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-')), '.npmrc');
+    const lines = Object.values(REGISTRIES)
+      .filter(registry => registry.token)
+      .map(registry => {
+        const url = new URL(registry.url);
+        return `//${url.host}${url.pathname.replace(/\/*$/, '/')}:_authToken=${registry.token}`;
+      });
+    fs.writeFileSync(npmrcPath, [...new Set(lines)].join('\n') + '\n', { mode: 0o600 });
+  }
+  return npmrcPath;
+}
+
+function runNpm(args, registry) {
+  execFileSync('npm', [...args, '--registry', registry.url, '--userconfig', npmUserConfig()], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+// Last error line printed by npm, or the process error
+function npmErrorMessage(error) {
+  const lines = String(error.stderr || '')
+    .split('\n')
+    .map(line => line.replace(/^npm (ERR!|error)\s*/, '').trim())
+    .filter(line => line && !line.startsWith('A complete log'));
+  return lines[0] || error.message;
+}
+
+/**
+ * Deprecate or unpublish one version
+ * @returns {object} - Result entry
+ */
+function removeVersion(registryKey, name, version, packument, reason) {
+  const registry = REGISTRIES[registryKey];
+  const spec = `${name}@${version}`;
+  const entry = { registry: registryKey, name, version };
+  let action = CLEANUP_ACTION;
+
+  if (action === 'unpublish' && new URL(registry.url).host === NPMJS_HOST) {
+    const publishedAt = Date.parse((packument.time || {})[version] || '');
+    if (!Number.isNaN(publishedAt) && Date.now() - publishedAt > NPM_UNPUBLISH_WINDOW_MS) {
+      console.log(`  ℹ️  ${spec} was published more than 72 hours ago and can no longer be unpublished, deprecating instead`);
+      action = 'deprecate';
+    }
+  }
+
+  if (DRY_RUN) {
+    console.log(`  🔍 Dry run: would ${action} ${spec}`);
+    return { ...entry, result: 'dry-run', action };
+  }
+
+  if (action === 'unpublish') {
+    try {
+      runNpm(['unpublish', spec], registry);
+      console.log(`  🗑️  Unpublished ${spec}`);
+      return { ...entry, result: 'unpublished' };
+    } catch (error) {
+      console.log(`  ⚠️  Could not unpublish ${spec} (${npmErrorMessage(error)}), deprecating instead`);
+    }
+  }
+
+  try {
+    runNpm(['deprecate', spec, reason], registry);
+    console.log(`  ⚠️  Deprecated ${spec}`);
+    return { ...entry, result: 'deprecated' };
+  } catch (error) {
+    const message = npmErrorMessage(error);
+    console.log(`  ❌ Failed to deprecate ${spec}: ${message}`);
+    return { ...entry, result: 'failed', error: message };
+  }
+}
+
+/**
+ * Move dist-tags off cleaned-up versions, or remove them when no version of the flow is left
+ * (latest moves back to the newest remaining release)
+ * @param {object} before - Packument before cleanup (decides which tags pointed at removed versions)
+ * @param {object} current - Packument after cleanup (npm drops tags of unpublished versions itself)
+ */
+function updateDistTags(registryKey, name, before, current, removed) {
+  const registry = REGISTRIES[registryKey];
+  const versions = current.versions || {};
+  const currentTags = current['dist-tags'] || {};
+
+  Object.entries(before['dist-tags'] || {}).forEach(([tag, version]) => {
+    if (!removed.has(version)) {
+      return;
+    }
+
+    // latest only points at a cleaned-up version when releases are cleaned up (run-failed)
+    const flow = tag === 'latest' ? '' : prereleaseFlow(version);
+    const replacement = Object.keys(versions)
+      .filter(v => (tag === 'latest' || flow) && prereleaseFlow(v) === flow && !removed.has(v) && !versions[v].deprecated)
+      .sort(newestFirst(current))[0];
+    const entry = { registry: registryKey, name, tag };
+    if (replacement) {
+      entry.version = replacement;
+    }
+
+    if (DRY_RUN) {
+      console.log(`  🔍 Dry run: would ${replacement ? `move ${tag} to ${replacement}` : `remove ${tag}`}`);
+      distTagResults.push({ ...entry, result: 'dry-run' });
+      return;
+    }
+
+    try {
+      if (replacement) {
+        if (currentTags[tag] !== replacement) {
+          runNpm(['dist-tag', 'add', `${name}@${replacement}`, tag], registry);
+        }
+        console.log(`  ↪️  Moved ${tag} to ${name}@${replacement}`);
+        distTagResults.push({ ...entry, result: 'moved' });
+      } else {
+        if (currentTags[tag]) {
+          runNpm(['dist-tag', 'rm', name, tag], registry);
+        }
+        console.log(`  ✖️  Removed dist-tag ${tag}`);
+        distTagResults.push({ ...entry, result: 'removed' });
+      }
+    } catch (error) {
+      const message = npmErrorMessage(error);
+      console.log(`  ❌ Failed to update dist-tag ${tag}: ${message}`);
+      distTagResults.push({ ...entry, result: 'failed', error: message });
+    }
+  });
+}
+
+/**
+ * Clean up one package on one registry
+ * @param {string} registryKey - "npm", "github" or a registry target name
+ * @param {string} name - Package name on that registry
+ * @param {Function} selectVersions - (packument) => versions to clean up (or a promise of them)
+ * @param {Function} reason - (version) => deprecation message
+ * @param {object} [options]
+ * @param {boolean} [options.releases] - Also clean up releases and the latest version
+ */
+async function cleanupPackage(registryKey, name, selectVersions, reason, options = {}) {
+  const registry = REGISTRIES[registryKey];
+  const url = packumentUrl(registry.url, name);
+  console.log(`📦 ${name} on ${url.host}`);
+
+  let packument;
+  try {
+    packument = await fetchPackument(url, registry.token, { full: true });
+  } catch (error) {
+    console.log(`  ⚠️  Could not read the registry: ${error.message}`);
+    results.push({ registry: registryKey, name, version: '—', result: 'failed', error: error.message });
+    return;
+  }
+  if (!packument || !packument.versions) {
+    console.log('  Not found on the registry, nothing to clean up');
+    return;
+  }
+
+  const latest = (packument['dist-tags'] || {}).latest;
+  const versions = (await selectVersions(packument))
+    // Never touch releases or the version installed by default, unless asked to
+    .filter(version => options.releases || (prereleaseFlow(version) && version !== latest))
+    .filter(version => CLEANUP_ACTION === 'unpublish' || !packument.versions[version].deprecated);
+
+  if (versions.length === 0) {
+    console.log('  Nothing to clean up');
+    return;
+  }
+
+  const removed = new Set();
+  versions.forEach(version => {
+    const result = removeVersion(registryKey, name, version, packument, reason(version));
+    results.push(result);
+    if (result.result !== 'failed') {
+      removed.add(version);
+    }
+  });
+
+  if (removed.size === 0) {
+    return;
+  }
+
+  // Re-read the packument: unpublished versions are gone and npm has dropped their tags
+  let current = packument;
+  if (!DRY_RUN) {
+    try {
+      current = (await fetchPackument(url, registry.token, { full: true })) || { versions: {}, 'dist-tags': {} };
+    } catch (error) {
+      console.log(`  ⚠️  Could not re-read dist-tags: ${error.message}`);
+    }
+  }
+  updateDistTags(registryKey, name, packument, current, removed);
+}
+
+// Packages of the repository: package-paths or the discovered workspace packages in
+// monorepo mode, the package at PACKAGE_PATH otherwise
+function repositoryPackageNames() {
+  const readName = packagePath => {
+    try {
+      return JSON.parse(fs.readFileSync(packagePath, 'utf8')).name || '';
+    } catch (error) {
+      return '';
+    }
+  };
+
+  if (!MONOREPO_MODE) {
+    return [readName(PACKAGE_PATH)].filter(Boolean);
+  }
+  if (PACKAGE_PATHS) {
+    return PACKAGE_PATHS.split(',').map(packagePath => readName(packagePath.trim())).filter(Boolean);
+  }
+  if (!WORKSPACE_DETECTION) {
+    return [];
+  }
+
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-discovery-'));
+  const output = path.join(outputDir, 'github-output');
+  try {
+    execFileSync('bash', [path.join(__dirname, 'discover-workspaces.sh')], {
+      env: { ...process.env, PACKAGE_PATH, GITHUB_OUTPUT: output },
+      stdio: 'ignore'
+    });
+    const line = fs.readFileSync(output, 'utf8').split('\n').find(entry => entry.startsWith('discovered-packages='));
+    return JSON.parse(line.slice('discovered-packages='.length)).map(pkg => pkg.name);
+  } catch (error) {
+    console.log('⚠️  Could not discover the workspace packages');
+    return [];
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+// Commits of a pull request (the API lists at most 250)
+async function pullRequestCommits(owner, repoName, prNumber) {
+  const perPage = 100;
+  const shas = [];
+  for (let page = 1; ; page++) {
+    const commits = await githubRequest(
+      GITHUB_TOKEN,
+      'GET',
+      `/repos/${owner}/${repoName}/pulls/${prNumber}/commits?per_page=${perPage}&page=${page}`
+    );
+    if (!Array.isArray(commits)) {
+      return shas;
+    }
+    shas.push(...commits.map(commit => commit.sha));
+    if (commits.length < perPage) {
+      return shas;
+    }
+  }
+}
+
+/**
+ * Whether a version can be a build of a pull request: a prerelease of a flow the pull_request
+ * event produces, published after the PR was opened
+ * @param {object} pullRequest - pull_request event payload
+ * @returns {Function} - (packument, version) => boolean
+ */
+function pullRequestPrerelease(pullRequest) {
+  const configRules = FLOW_CONFIG ? loadFlowConfig(FLOW_CONFIG).rules : [];
+  const flows = new Set([...configRules, ...builtInRules('', '')]
+    .filter(rule => rule.event === undefined || [].concat(rule.event).some(event => event === '*' || event === 'pull_request'))
+    .map(rule => rule.flow));
+  const openedAt = Date.parse(pullRequest.created_at || '') || 0;
+
+  return (packument, version) => {
+    const publishedAt = Date.parse((packument.time || {})[version] || '') || 0;
+    return flows.has(prereleaseFlow(version)) && publishedAt >= openedAt;
+  };
+}
+
+/**
+ * Recognize versions built from a pull request on the registry, for builds its sticky comment
+ * does not list. pull_request builds run on the PR's test merge commit (a merge whose second
+ * parent is a commit of the PR), or on a PR commit when the workflow checks out the head.
+ * The commit is read from the version ({sha}) and from the gitHead npm records on publish.
+ * @param {object} pullRequest - pull_request event payload
+ * @param {string[]} commits - Full SHAs of the PR's commits
+ * @returns {Function} - async (packument, version) => commit SHA the version was built from, or ''
+ */
+function pullRequestBuildMatcher(owner, repoName, pullRequest, commits) {
+  const isPullRequestPrerelease = pullRequestPrerelease(pullRequest);
+  // The real merge commit of a merged PR is a push build of the base branch
+  const mergeCommit = pullRequest.merged ? pullRequest.merge_commit_sha || '' : '';
+  const isCommit = (sha, full) => Boolean(sha && full && full.startsWith(sha));
+  const checked = new Map();
+
+  const builtFromPullRequest = sha => {
+    if (!checked.has(sha)) {
+      checked.set(sha, (async () => {
+        if (isCommit(sha, mergeCommit)) {
+          return false;
+        }
+        if (commits.some(commit => isCommit(sha, commit))) {
+          return true;
+        }
+        try {
+          const commit = await githubRequest(GITHUB_TOKEN, 'GET', `/repos/${owner}/${repoName}/commits/${sha}`);
+          const parents = (commit.parents || []).map(parent => parent.sha);
+          return parents.length === 2 && commits.includes(parents[1]);
+        } catch (error) {
+          // Unknown commit (e.g. a hex-looking identifier that is not a SHA)
+          return false;
+        }
+      })());
+    }
+    return checked.get(sha);
+  };
+
+  return async (packument, version) => {
+    const manifest = packument.versions[version];
+    if (!isPullRequestPrerelease(packument, version) || manifest.deprecated) {
+      return '';
+    }
+    const identifiers = version.split('-').slice(1).join('-').split('.')
+      .filter(identifier => /^[0-9a-f]{7,40}$/.test(identifier) && /[a-f]/.test(identifier));
+    const gitHead = manifest.gitHead || '';
+    const shas = [gitHead, ...identifiers.filter(identifier => !gitHead.startsWith(identifier))].filter(Boolean);
+    for (const sha of shas) {
+      if (await builtFromPullRequest(sha)) {
+        return sha;
+      }
+    }
+    return '';
+  };
+}
+
+// Versions published from the PR: those tracked in its sticky comment, and the builds of
+// its commits found on the registries
+async function cleanupPullRequest() {
+  const pullRequest = GITHUB_CONTEXT.event?.pull_request;
+  const prNumber = pullRequest?.number;
+  if (!prNumber) {
+    throw new Error('pr-closed cleanup needs a pull_request event');
+  }
+  const [owner, repoName] = (GITHUB_CONTEXT.repository || '').split('/');
+
+  let tracked = null;
+  try {
+    const comment = await findStickyComment(GITHUB_TOKEN, owner, repoName, prNumber);
+    tracked = readMarker(comment?.body, 'published');
+  } catch (error) {
+    console.log(`⚠️  Could not read the PR comment (${error.message}), looking for builds on the registries only`);
+  }
+  tracked = Array.isArray(tracked) ? tracked : [];
+
+  // The marker is only trusted for this repository's packages, under the name each registry has them
+  const packageNames = repositoryPackageNames();
+  const isRepositoryPackage = (registry, name) => packageNames.some(pkg => registryPackageName(registry, pkg) === name);
+  const isPullRequestPrerelease = pullRequestPrerelease(pullRequest);
+
+  const groups = new Map();
+  const addGroup = (registry, name) => {
+    const key = `${registry}:${name}`;
+    if (!groups.has(key)) {
+      groups.set(key, { registry, name, versions: new Set() });
+    }
+    return groups.get(key);
+  };
+  tracked.forEach(({ registry, name, version }) => {
+    if (!REGISTRIES[registry] || !name || !version) {
+      return;
+    }
+    if (!isRepositoryPackage(registry, name)) {
+      console.log(`⚠️  Ignoring tracked ${name}@${version}: not a package of this repository`);
+      return;
+    }
+    // Registries drop build metadata on publish
+    addGroup(registry, name).versions.add(version.split('+')[0]);
+  });
+
+  let matchBuild = null;
+  try {
+    const commits = await pullRequestCommits(owner, repoName, prNumber);
+    if (commits.length > 0) {
+      matchBuild = pullRequestBuildMatcher(owner, repoName, pullRequest, commits);
+      packageNames.forEach(name => {
+        publishRegistryKeys().forEach(registryKey => addGroup(registryKey, registryPackageName(registryKey, name)));
+      });
+    }
+  } catch (error) {
+    console.log(`⚠️  Could not list the commits of PR #${prNumber} (${error.message}), cleaning up the tracked versions only`);
+  }
+
+  if (groups.size === 0) {
+    console.log(`ℹ️  No published versions are recorded for PR #${prNumber} (builds are tracked in the PR comment)`);
+    return;
+  }
+
+  console.log(`🧹 Cleaning up versions published from PR #${prNumber} (${tracked.length} tracked in the PR comment)`);
+  const reason = () => `Prerelease build from pull request #${prNumber}, which has been closed`;
+  for (const { registry, name, versions } of groups.values()) {
+    await cleanupPackage(registry, name, async packument => {
+      const selected = [...versions].filter(v => {
+        if (!packument.versions[v]) {
+          return false;
+        }
+        if (!isPullRequestPrerelease(packument, v)) {
+          console.log(`  ⚠️  Ignoring tracked ${name}@${v}: not a pull request prerelease published since this PR was opened`);
+          return false;
+        }
+        return true;
+      });
+      if (matchBuild) {
+        for (const version of Object.keys(packument.versions)) {
+          if (versions.has(version)) {
+            continue;
+          }
+          const sha = await matchBuild(packument, version);
+          if (sha) {
+            console.log(`  🔎 ${name}@${version} was built from ${sha.substring(0, 7)} of this PR`);
+            selected.push(version);
+          }
+        }
+      }
+      return selected;
+    }, reason);
+  }
+}
+
+// Versions published by a monorepo run in which other packages failed
+async function cleanupFailedRun() {
+  const published = JSON.parse(PUBLISHED_VERSIONS);
+  const failed = FAILED_PACKAGE_NAMES.split(',').map(name => name.trim()).filter(Boolean);
+  if (!Array.isArray(published) || published.length === 0) {
+    console.log('ℹ️  No versions were published in this run');
+    return;
+  }
+
+  console.log(`🧹 Withdrawing ${published.length} version(s) published before ${failed.join(', ') || 'a package'} failed`);
+  const reason = () => `Incomplete release: ${failed.join(', ') || 'another package'} failed to publish in the same run`;
+  for (const { registry, name, version } of published) {
+    if (!REGISTRIES[registry] || !name || !version) {
+      continue;
+    }
+    // Registries drop build metadata on publish
+    const registryVersion = version.split('+')[0];
+    await cleanupPackage(registry, registryPackageName(registry, name), packument => [registryVersion].filter(v => packument.versions[v]), reason, { releases: true });
+  }
+}
+
+// All but the newest RETENTION_COUNT versions of each flow
+async function applyRetention(count) {
+  const flows = new Set(Object.keys(BUILT_IN_FLOWS).filter(flow => flow !== 'release'));
+  if (FLOW_CONFIG) {
+    loadFlowConfig(FLOW_CONFIG).rules.forEach(rule => flows.add(rule.flow));
+  }
+
+  let names = PACKAGE_NAMES.split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0 && fs.existsSync(PACKAGE_PATH)) {
+    names = [JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf8')).name].filter(Boolean);
+  }
+
+  console.log(`🧹 Keeping the newest ${count} version(s) per flow (${[...flows].join(', ')})`);
+  const selectVersions = packument => {
+    const byFlow = {};
+    Object.keys(packument.versions).forEach(version => {
+      const flow = prereleaseFlow(version);
+      if (!flows.has(flow) || (CLEANUP_ACTION !== 'unpublish' && packument.versions[version].deprecated)) {
+        return;
+      }
+      (byFlow[flow] = byFlow[flow] || []).push(version);
+    });
+    return Object.values(byFlow).flatMap(versions => versions.sort(newestFirst(packument)).slice(count));
+  };
+  const reason = version => `Superseded by newer ${prereleaseFlow(version)} builds (only the newest ${count} are kept)`;
+
+  for (const name of names) {
+    for (const registryKey of publishRegistryKeys()) {
+      await cleanupPackage(registryKey, registryPackageName(registryKey, name), selectVersions, reason);
+    }
+  }
+}
+
+async function main() {
+  if (CLEANUP_ACTION !== 'deprecate' && CLEANUP_ACTION !== 'unpublish') {
+    throw new Error(`Invalid cleanup-action '${CLEANUP_ACTION}' (expected 'deprecate' or 'unpublish')`);
+  }
+  if (!['npm', 'github', 'both'].includes(REGISTRY)) {
+    throw new Error(`Invalid registry '${REGISTRY}'`);
+  }
+  addRegistryTargets();
+
+  if (CLEANUP_TRIGGER === 'pr-closed') {
+    await cleanupPullRequest();
+  } else if (CLEANUP_TRIGGER === 'retention') {
+    if (!/^\d+$/.test(RETENTION_COUNT)) {
+      throw new Error(`Invalid retention-count '${RETENTION_COUNT}' (expected a whole number)`);
+    }
+    const count = Number(RETENTION_COUNT);
+    if (count === 0) {
+      console.log('⏭️  Retention policy disabled (retention-count: 0)');
+    } else {
+      await applyRetention(count);
+    }
+  } else if (CLEANUP_TRIGGER === 'run-failed') {
+    await cleanupFailedRun();
+  } else {
+    throw new Error(`Invalid CLEANUP_TRIGGER '${CLEANUP_TRIGGER}' (expected 'pr-closed', 'retention' or 'run-failed')`);
+  }
+
+  const cleaned = results.filter(r => r.result === 'deprecated' || r.result === 'unpublished').length;
+  const failed = results.filter(r => r.result === 'failed').length + distTagResults.filter(t => t.result === 'failed').length;
+
+  console.log('');
+  console.log(`✅ Cleanup complete: ${cleaned} version(s) ${CLEANUP_ACTION === 'unpublish' ? 'unpublished or deprecated' : 'deprecated'}, ${distTagResults.length} dist-tag(s) updated`);
+  if (failed > 0) {
+    console.log(`⚠️  ${failed} cleanup operation(s) failed (see above)`);
+  }
+
+  if (GITHUB_OUTPUT) {
+    fs.appendFileSync(GITHUB_OUTPUT, [
+      `cleanup-results=${JSON.stringify(results)}`,
+      `cleanup-dist-tags=${JSON.stringify(distTagResults)}`,
+      `cleanup-count=${cleaned}`
+    ].join('\n') + '\n');
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(`❌ Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    if (npmrcPath) {
+      fs.rmSync(path.dirname(npmrcPath), { recursive: true, force: true });
+    }
+  });
@@ -2,7 +2,8 @@
 set -e
 
 # Configure NPM Registries
-# Handles authentication for NPM and/or GitHub Packages
+# Handles authentication for NPM and/or GitHub Packages, and for the
+# additional registry targets of the registry-targets input
 
 echo "🔧 Configuring registries..."
 
@@ -16,8 +17,8 @@ fi
 PACKAGE_NAME=$(jq -r '.name' "$PACKAGE_PATH")
 echo "📦 Package name: $PACKAGE_NAME"
 
-# Initialize .npmrc
-NPMRC_FILE=".npmrc"
+# Initialize .npmrc (the monorepo orchestrator passes a per-package file for parallel builds)
+NPMRC_FILE="${NPMRC_FILE:-.npmrc}"
 if [ -f "$NPMRC_FILE" ]; then
   echo "⚠️  Backing up existing .npmrc"
   cp "$NPMRC_FILE" "${NPMRC_FILE}.backup"
@@ -104,6 +105,54 @@ if [ "$REGISTRY" = "github" ] || [ "$REGISTRY" = "both" ]; then
   echo "✅ GitHub Packages configured (scope: $SCOPE)"
 fi
 
+# Configure additional registry targets: JSON array of {name, url, token-env, scope, access}
+REGISTRY_TARGETS="${REGISTRY_TARGETS:-[]}"
+if ! echo "$REGISTRY_TARGETS" | jq -e 'type == "array"' >/dev/null 2>&1; then
+  echo "❌ Error: registry-targets must be a JSON array of registry targets"
+  exit 1
+fi
+
+TARGET_ERRORS=$(echo "$REGISTRY_TARGETS" | jq -r '
+  (to_entries[] | (.key + 1) as $n | .value as $t |
+    if ($t | type) != "object" then "target \($n) must be an object"
+    else
+      (if ($t.name | type) != "string" or ($t.name | test("^[A-Za-z0-9_-]+$") | not)
+        then "target \($n): \"name\" is required (letters, digits, - and _)"
+       elif $t.name == "npm" or $t.name == "github"
+        then "target \($n): \"\($t.name)\" is reserved for the registry input"
+       else empty end),
+      (if ($t.url | type) != "string" or ($t.url | test("^https?://") | not)
+        then "target \($n): \"url\" must be an http(s) URL" else empty end),
+      (if $t["token-env"] != null and (($t["token-env"] | type) != "string" or ($t["token-env"] | test("^[A-Za-z_][A-Za-z0-9_]*$") | not))
+        then "target \($n): \"token-env\" must be an environment variable name" else empty end),
+      (if $t.scope != null and (($t.scope | type) != "string" or ($t.scope | test("^@?[a-z0-9][a-z0-9._-]*$") | not))
+        then "target \($n): \"scope\" must be a scope such as @myorg" else empty end),
+      (if $t.access != null and $t.access != "public" and $t.access != "restricted"
+        then "target \($n): \"access\" must be public or restricted" else empty end)
+    end),
+  ([.[] | objects | .name | strings] | group_by(.) | map(select(length > 1) | .[0])[]
+    | "target name \"\(.)\" is used more than once")')
+if [ -n "$TARGET_ERRORS" ]; then
+  echo "❌ Error: Invalid registry-targets:"
+  echo "$TARGET_ERRORS" | sed 's/^/  - /'
+  exit 1
+fi
+
+while IFS=$'\t' read -r target_name target_url target_token_env; do
+  echo "🔐 Configuring registry target: $target_name"
+  if [ -n "$target_token_env" ]; then
+    target_token="${!target_token_env}"
+    if [ -z "$target_token" ]; then
+      echo "❌ Error: $target_token_env is required when publishing to registry target '$target_name' (set it in the step's env)"
+      exit 1
+    fi
+    # Path-specific authentication, so targets sharing a host (e.g. Artifactory repositories) keep their own token
+    target_auth_path=$(echo "$target_url" | sed 's|https://||' | sed 's|http://||' | sed 's|/*$|/|')
+    echo "//${target_auth_path}:_authToken=${target_token}" >> "$NPMRC_FILE"
+  fi
+  echo "✅ Registry target configured: $target_name ($target_url)"
+done < <(echo "$REGISTRY_TARGETS" | jq -r '.[] | [.name, .url, (.["token-env"] // "")] | @tsv')
+
 # Show configuration (without tokens)
 echo ""
 echo "📋 Registry Configuration:"
@@ -0,0 +1,98 @@
+/**
+ * Conventional Commit Helpers
+ * Shared by conventional-version.js and generate-changelog.js to read and
+ * classify the commits in a git range, optionally scoped to a directory.
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+const BUMP_LEVELS = ['none', 'patch', 'minor', 'major'];
+
+// Run a git command and return trimmed stdout
+function git(args) {
+  return execFileSync('git', args, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 }).trim();
+}
+
+/**
+ * Directory of a package relative to the repository root
+ * @param {string} packagePath - Path to the package's package.json
+ * @returns {string} - POSIX-style directory ('' for the root package)
+ */
+function packageDirectory(packagePath) {
+  const repoRoot = git(['rev-parse', '--show-toplevel']);
+  const dir = path.relative(repoRoot, path.dirname(path.resolve(packagePath)));
+  return dir.split(path.sep).join('/');
+}
+
+/**
+ * Classify a commit as a conventional commit
+ * @param {string} subject - Commit subject line
+ * @param {string} body - Commit body
+ * @returns {object} - { type, scope, description, breaking, bump }
+ */
+function parseCommit(subject, body) {
+  const match = subject.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s+(.+)$/);
+  const breakingFooter = /^BREAKING[ -]CHANGE:/m.test(body);
+
+  if (!match) {
+    return {
+      type: null,
+      scope: null,
+      description: subject,
+      breaking: breakingFooter,
+      bump: breakingFooter ? 'major' : 'none'
+    };
+  }
+
+  const type = match[1].toLowerCase();
+  const breaking = Boolean(match[3]) || breakingFooter;
+
+  let bump = 'none';
+  if (breaking) {
+    bump = 'major';
+  } else if (type === 'feat') {
+    bump = 'minor';
+  } else if (type === 'fix' || type === 'perf') {
+    bump = 'patch';
+  }
+
+  return { type, scope: match[2] || null, description: match[4], breaking, bump };
+}
+
+/**
+ * Read and classify the commits in a range (merge commits excluded)
+ * @param {string} range - git revision range, e.g. "v1.0.0..HEAD"
+ * @param {string} dir - Directory relative to the repository root ('' for all files)
+ * @returns {object[]} - Commits, newest first: { sha, subject, body, ...parseCommit() }
+ */
+function readCommits(range, dir) {
+  // Unit/record separators keep multi-line bodies intact
+  const args = ['log', '--no-merges', '--format=%H%x1f%s%x1f%b%x1e', range];
+  if (dir) {
+    args.push('--', `${dir}/`);
+  }
+
+  return git(args)
+    .split('\x1e')
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map(record => {
+      const [sha, subject = '', body = ''] = record.split('\x1f');
+      return { sha, subject, body, ...parseCommit(subject, body) };
+    });
+}
+
+/**
+ * Highest bump level across commits
+ * @param {object[]} commits - Classified commits
+ * @returns {string} - none, patch, minor, or major
+ */
+function highestBump(commits) {
+  return commits.reduce(
+    (bump, commit) => (BUMP_LEVELS.indexOf(commit.bump) > BUMP_LEVELS.indexOf(bump) ? commit.bump : bump),
+    'none'
+  );
+}
+
+module.exports = { git, packageDirectory, parseCommit, readCommits, highestBump };
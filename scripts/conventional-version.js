@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Conventional Commit Version Script
+ * Computes the next semver version from the commits since the last release tag.
+ * feat → minor, fix/perf → patch, `!` or BREAKING CHANGE → major.
+ * When the package lives in a subdirectory (monorepo mode), only commits touching
+ * that directory are considered, matching detect-changed-packages.sh.
+ */
+
+const fs = require('fs');
+const { git, packageDirectory, readCommits, highestBump } = require('./conventional-commits');
+
+// Read inputs from environment
+const PACKAGE_PATH = process.env.PACKAGE_PATH || './package.json';
+const CURRENT_TAG = process.env.CURRENT_TAG || '';
+const GITHUB_OUTPUT = process.env.GITHUB_OUTPUT || '';
+const GIT_HISTORY_FETCHED = process.env.GIT_HISTORY_FETCHED || '';
+
+const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)$/;
+
+console.log('📝 Analyzing conventional commits...');
+
+if (!fs.existsSync(PACKAGE_PATH)) {
+  console.error(`❌ Error: package.json not found at ${PACKAGE_PATH}`);
+  process.exit(1);
+}
+
+let packageJson;
+try {
+  packageJson = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf8'));
+} catch (error) {
+  console.error(`❌ Error: Failed to read package.json at ${PACKAGE_PATH}`);
+  console.error(error.message);
+  process.exit(1);
+}
+
+const packageName = packageJson.name || '';
+const packageVersion = packageJson.version || '0.0.0';
+
+function parseSemver(version) {
+  const match = String(version).match(SEMVER_PATTERN);
+  return match ? match.slice(1, 4).map(Number) : null;
+}
+
+function compareSemver(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Apply a bump level to a version
+ * @param {number[]} version - [major, minor, patch]
+ * @param {string} level - none, patch, minor, or major
+ * @returns {number[]} - Bumped version
+ */
+function bumpVersion([major, minor, patch], level) {
+  switch (level) {
+    case 'major':
+      return [major + 1, 0, 0];
+    case 'minor':
+      return [major, minor + 1, 0];
+    case 'patch':
+      return [major, minor, patch + 1];
+    default:
+      return [major, minor, patch];
+  }
+}
+
+// Directory to scope commits to, relative to the repository root ('' for the root package)
+let scopeDir = '';
+try {
+  scopeDir = packageDirectory(PACKAGE_PATH);
+} catch (error) {
+  console.error('❌ Error: Not a git repository (conventional commit analysis requires git history)');
+  process.exit(1);
+}
+
+// Tags and history are needed; shallow clones (actions/checkout default) have neither.
+// The monorepo orchestrator fetches them once before building (GIT_HISTORY_FETCHED).
+try {
+  if (GIT_HISTORY_FETCHED !== 'true' && git(['rev-parse', '--is-shallow-repository']) === 'true') {
+    console.log('🔄 Shallow clone detected, fetching history and tags...');
+    try {
+      git(['fetch', '--unshallow', '--tags', '--quiet']);
+    } catch (error) {
+      console.log('⚠️  Warning: Could not fetch full history; use actions/checkout with fetch-depth: 0');
+    }
+  }
+} catch (error) {
+  // Older git without --is-shallow-repository; continue with what is available
+}
+
+// Find the last release tag reachable from HEAD.
+// Packages in a subdirectory first look for their own tags (name@1.2.3 or name@v1.2.3),
+// then fall back to repository-wide tags (1.2.3 or v1.2.3). Prerelease tags are ignored.
+function findLastReleaseTag() {
+  let tags = [];
+  try {
+    tags = git(['tag', '--merged', 'HEAD']).split('\n').filter(Boolean);
+  } catch (error) {
+    return null;
+  }
+
+  tags = tags.filter(tag => tag !== CURRENT_TAG);
+
+  const pickLatest = (prefix) => {
+    let latest = null;
+    tags.forEach(tag => {
+      if (!tag.startsWith(prefix)) {
+        return;
+      }
+      const version = parseSemver(tag.substring(prefix.length).replace(/^v/, ''));
+      if (version && (!latest || compareSemver(version, latest.version) > 0)) {
+        latest = { tag, version };
+      }
+    });
+    return latest;
+  };
+
+  if (scopeDir && packageName) {
+    const packageTag = pickLatest(`${packageName}@`);
+    if (packageTag) {
+      return packageTag;
+    }
+  }
+
+  return pickLatest('');
+}
+
+const lastRelease = findLastReleaseTag();
+
+if (lastRelease) {
+  console.log(`🏷️  Last release tag: ${lastRelease.tag}`);
+} else {
+  console.log('ℹ️  No release tag found, analyzing full history');
+}
+if (scopeDir) {
+  console.log(`📁 Scoping commits to: ${scopeDir}/`);
+}
+
+// Collect commits since the last release
+let commits = [];
+try {
+  commits = readCommits(lastRelease ? `${lastRelease.tag}..HEAD` : 'HEAD', scopeDir);
+} catch (error) {
+  console.error('❌ Error: Failed to read commit history');
+  console.error(error.message);
+  process.exit(1);
+}
+
+console.log(`📊 Commits analyzed: ${commits.length}`);
+
+commits.forEach(commit => {
+  if (commit.bump !== 'none') {
+    console.log(`  ${commit.bump.padEnd(5)} ${commit.sha.substring(0, 7)} ${commit.subject}`);
+  }
+});
+
+const bump = highestBump(commits);
+
+// Compute the next version.
+// Without a release tag there is nothing to bump from, so the package.json version is used.
+// A package.json version ahead of the computed one (manual bump) always wins.
+const currentVersion = parseSemver(packageVersion.split('-')[0].split('+')[0]);
+let nextVersion = currentVersion || [0, 0, 0];
+
+if (lastRelease && bump !== 'none') {
+  const bumped = bumpVersion(lastRelease.version, bump);
+  if (!currentVersion || compareSemver(bumped, currentVersion) > 0) {
+    nextVersion = bumped;
+  } else {
+    console.log(`ℹ️  package.json version ${packageVersion} is ahead of the computed version; keeping it`);
+  }
+} else if (lastRelease && bump === 'none') {
+  console.log('ℹ️  No releasable commits (feat, fix, perf, or breaking changes) since the last release');
+}
+
+const nextVersionString = nextVersion.join('.');
+
+console.log('');
+console.log(`✅ Version bump: ${bump}`);
+console.log(`✅ Next version: ${nextVersionString}`);
+console.log('');
+
+if (GITHUB_OUTPUT) {
+  fs.appendFileSync(GITHUB_OUTPUT, `next-version=${nextVersionString}\n`);
+  fs.appendFileSync(GITHUB_OUTPUT, `version-bump=${bump}\n`);
+  fs.appendFileSync(GITHUB_OUTPUT, `last-release-tag=${lastRelease ? lastRelease.tag : ''}\n`);
+}
@@ -165,6 +165,9 @@ echo ""
 echo "📊 Running git diff: $COMPARE_BASE..HEAD"
 echo ""
 
+# Expose the range so changelog generation can reuse it
+echo "compare-base=$COMPARE_BASE" >> "$GITHUB_OUTPUT"
+
 # Run git diff to get changed files
 set +e
 CHANGED_FILES=$(git diff --name-only "$COMPARE_BASE"..HEAD 2>&1)
@@ -258,13 +261,29 @@ for ((i=0; i<PACKAGE_COUNT; i++)); do
   
   if [ "$PACKAGE_CHANGED" = true ]; then
     echo "  ✅ $PKG_NAME (changes detected in $PKG_DIR)"
-    CHANGED_PACKAGES=$(echo "$CHANGED_PACKAGES" | jq --arg name "$PKG_NAME" --arg path "$PKG_PATH" '. += [{"name": $name, "path": $path}]')
+    CHANGED_PACKAGES=$(echo "$CHANGED_PACKAGES" | jq --arg name "$PKG_NAME" --arg path "$PKG_PATH" '. += [{"name": $name, "path": $path, "reason": "changed"}]')
     CHANGED_COUNT=$((CHANGED_COUNT + 1))
   else
     echo "  ⏭️  $PKG_NAME (no changes)"
   fi
 done
 
+# Cascade to workspace dependents so consumers are rebuilt alongside what they depend on
+if [ -n "$CASCADE_DEPENDENCY_TYPES" ] && [ "$CHANGED_COUNT" -gt 0 ]; then
+  echo ""
+  CASCADE_OUTPUTS=$(mktemp)
+  if GITHUB_OUTPUT="$CASCADE_OUTPUTS" CHANGED_PACKAGES_JSON="$CHANGED_PACKAGES" \
+    node "$ACTION_PATH/scripts/cascade-dependents.js"; then
+    CHANGED_PACKAGES=$(grep "^cascaded-packages=" "$CASCADE_OUTPUTS" | tail -1 | cut -d= -f2-)
+    CHANGED_COUNT=$(echo "$CHANGED_PACKAGES" | jq 'length')
+    rm -f "$CASCADE_OUTPUTS"
+  else
+    rm -f "$CASCADE_OUTPUTS"
+    echo "❌ Error: Failed to cascade changes to dependents"
+    exit 1
+  fi
+fi
+
 echo ""
 echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
 echo "📊 Change Detection Summary"
@@ -6,6 +6,12 @@ set -e
 
 echo "🔍 Detecting build flow..."
 
+PRERELEASE_SCHEME="${PRERELEASE_SCHEME:-sha}"
+if [ "$PRERELEASE_SCHEME" != "sha" ] && [ "$PRERELEASE_SCHEME" != "counter" ]; then
+  echo "❌ Error: Invalid prerelease-scheme '$PRERELEASE_SCHEME' (expected 'sha' or 'counter')"
+  exit 1
+fi
+
 # Parse GitHub context
 EVENT_NAME=$(echo "$GITHUB_CONTEXT" | jq -r '.event_name')
 REF_NAME=$(echo "$GITHUB_CONTEXT" | jq -r '.ref_name // .ref // ""' | sed 's|refs/heads/||')
@@ -40,27 +46,22 @@ fi
 BASE_VERSION=$(jq -r '.version' "$PACKAGE_PATH")
 echo "📦 Current package version: $BASE_VERSION"
 
-# Function to extract prerelease tag from version (e.g., "beta" from "1.0.0-beta.1")
-extract_prerelease_tag() {
-  local version=$1
-  # Match semver format with prerelease identifier: x.y.z<identifier>[.<identifier>][+build]
-  # Capture only the first prerelease identifier segment (alphanumerics and hyphens)
-  if [[ "$version" =~ ^[0-9]+\.[0-9]+\.[0-9]+-([0-9A-Za-z-]+) ]]; then
-    echo "${BASH_REMATCH[1]}"
-  else
-    echo ""
+# Conventional commit versioning: derive the base version from commits since the last release tag
+VERSION_BUMP="none"
+if [ "$CONVENTIONAL_COMMITS" = "true" ]; then
+  CONVENTIONAL_OUTPUT=$(mktemp)
+  if ! GITHUB_OUTPUT="$CONVENTIONAL_OUTPUT" CURRENT_TAG="${RELEASE_TAG:-}" node "$ACTION_PATH/scripts/conventional-version.js"; then
+    rm -f "$CONVENTIONAL_OUTPUT"
+    echo "❌ Error: Conventional commit analysis failed"
+    exit 1
   fi
-}
-
-# Detect build flow type
-BUILD_FLOW_TYPE=""
-PACKAGE_VERSION=""
-NPM_TAG=""
+  BASE_VERSION=$(grep "^next-version=" "$CONVENTIONAL_OUTPUT" | tail -1 | cut -d= -f2-)
+  VERSION_BUMP=$(grep "^version-bump=" "$CONVENTIONAL_OUTPUT" | tail -1 | cut -d= -f2-)
+  rm -f "$CONVENTIONAL_OUTPUT"
+  echo "📦 Conventional commit base version: $BASE_VERSION ($VERSION_BUMP bump)"
+fi
 
 if [ "$EVENT_NAME" = "release" ]; then
-  # GitHub Release event
-  BUILD_FLOW_TYPE="release"
-  
   # Extract version from tag
   # Remove leading 'v' only for semver-style tags like v1.2.3; otherwise keep tag as-is
   if [[ "$RELEASE_TAG" =~ ^v[0-9] ]]; then
@@ -68,83 +69,85 @@ if [ "$EVENT_NAME" = "release" ]; then
   else
     RELEASE_VERSION="$RELEASE_TAG"
   fi
-  PACKAGE_VERSION="$RELEASE_VERSION"
-  
-  # Determine npm tag based on version and prerelease status
-  if [ "$RELEASE_PRERELEASE" = "true" ]; then
-    # For pre-releases, extract the prerelease identifier (e.g., "beta" from "1.0.0-beta.1")
-    PRERELEASE_TAG=$(extract_prerelease_tag "$RELEASE_VERSION")
-    if [ -n "$PRERELEASE_TAG" ]; then
-      NPM_TAG="$PRERELEASE_TAG"
-      echo "🎭 Flow: Pre-release with tag '$PRERELEASE_TAG'"
-    else
-      # No prerelease identifier found, use 'prerelease' as fallback
-      NPM_TAG="prerelease"
-      echo "🎭 Flow: Pre-release (generic)"
+
+  if [ "$CONVENTIONAL_COMMITS" = "true" ]; then
+    # The computed version wins; a prerelease identifier on the tag (e.g. -beta.1) is kept
+    CONVENTIONAL_VERSION="$BASE_VERSION"
+    if [[ "$RELEASE_VERSION" =~ ^[0-9]+\.[0-9]+\.[0-9]+(-[0-9A-Za-z.-]+)$ ]]; then
+      CONVENTIONAL_VERSION="${BASE_VERSION}${BASH_REMATCH[1]}"
     fi
-  else
-    # Standard release uses 'latest' tag
-    NPM_TAG="latest"
-    echo "🎉 Flow: Production release"
-  fi
-  
-  echo "📦 Release Version: $PACKAGE_VERSION"
-  echo "🏷️  NPM Tag: $NPM_TAG"
-elif [ "$EVENT_NAME" = "pull_request" ]; then
-  if [ "$PR_BASE" = "$DEV_BRANCH" ]; then
-    # PR targeting dev branch
-    BUILD_FLOW_TYPE="pr"
-    PACKAGE_VERSION="${BASE_VERSION}-pr.${SHORT_SHA}"
-    NPM_TAG="pr"
-    echo "🔀 Flow: PR to dev branch"
-  elif [ "$PR_BASE" = "$MAIN_BRANCH" ]; then
-    if [ "$PR_HEAD" = "$DEV_BRANCH" ]; then
-      # PR from dev to main
-      BUILD_FLOW_TYPE="dev"
-      PACKAGE_VERSION="${BASE_VERSION}-dev.${SHORT_SHA}"
-      NPM_TAG="dev"
-      echo "🚀 Flow: Dev to main PR"
-    else
-      # PR to main (not from dev)
-      BUILD_FLOW_TYPE="patch"
-      PACKAGE_VERSION="${BASE_VERSION}-patch.${SHORT_SHA}"
-      NPM_TAG="patch"
-      echo "🔧 Flow: Patch PR to main"
+    if [ "$CONVENTIONAL_VERSION" != "$RELEASE_VERSION" ]; then
+      echo "⚠️  Release tag '$RELEASE_TAG' differs from the conventional commit version '$CONVENTIONAL_VERSION'; using $CONVENTIONAL_VERSION"
     fi
-  else
-    # PR to other branch
-    BUILD_FLOW_TYPE="wip"
-    PACKAGE_VERSION="${BASE_VERSION}-wip.${SHORT_SHA}"
-    NPM_TAG="wip"
-    echo "🚧 Flow: WIP PR"
+    RELEASE_VERSION="$CONVENTIONAL_VERSION"
   fi
-elif [ "$EVENT_NAME" = "push" ]; then
-  if [ "$REF_NAME" = "$MAIN_BRANCH" ]; then
-    # Push to main branch - staging
-    BUILD_FLOW_TYPE="staging"
-    PACKAGE_VERSION="${BASE_VERSION}-staging.${SHORT_SHA}"
-    NPM_TAG="staging"
-    echo "🎯 Flow: Staging release (push to main)"
-  elif [ "$REF_NAME" = "$DEV_BRANCH" ]; then
-    # Push to dev branch
-    BUILD_FLOW_TYPE="dev"
-    PACKAGE_VERSION="${BASE_VERSION}-dev.${SHORT_SHA}"
-    NPM_TAG="dev"
-    echo "🔨 Flow: Dev branch push"
+  echo "📦 Release Version: $RELEASE_VERSION"
+fi
+
+# Name of the package on GitHub Packages (scoped with package-scope or the repository owner)
+github_package_name() {
+  local name=$1
+  local scope="${PACKAGE_SCOPE:-$GITHUB_REPOSITORY_OWNER}"
+  if [[ "$name" == @* ]] || [ -z "$scope" ]; then
+    echo "$name"
   else
-    # Push to other branch
-    BUILD_FLOW_TYPE="wip"
-    PACKAGE_VERSION="${BASE_VERSION}-wip.${SHORT_SHA}"
-    NPM_TAG="wip"
-    echo "🚧 Flow: WIP branch push"
+    echo "@${scope#@}/${name}"
   fi
+}
+
+# Registries a {counter} version template reads published versions from. Fixed versioning
+# passes every package name in COUNTER_PACKAGES so the shared counter is above all of them
+COUNTER_REGISTRIES="[]"
+if [ -n "$COUNTER_PACKAGES" ]; then
+  IFS=',' read -ra COUNTER_NAMES <<< "$COUNTER_PACKAGES"
+else
+  COUNTER_NAMES=("$(jq -r '.name // empty' "$PACKAGE_PATH")")
+fi
+for counter_name in "${COUNTER_NAMES[@]}"; do
+  [ -z "$counter_name" ] && continue
+  if [ "${REGISTRY:-both}" = "npm" ] || [ "${REGISTRY:-both}" = "both" ]; then
+    COUNTER_REGISTRIES=$(echo "$COUNTER_REGISTRIES" | jq -c --arg name "$counter_name" \
+      --arg url "${NPM_REGISTRY_URL:-https://registry.npmjs.org}" --arg token "${NPM_TOKEN:-}" \
+      '. += [{name: $name, url: $url, token: $token}]')
+  fi
+  if [ "${REGISTRY:-both}" = "github" ] || [ "${REGISTRY:-both}" = "both" ]; then
+    COUNTER_REGISTRIES=$(echo "$COUNTER_REGISTRIES" | jq -c --arg name "$(github_package_name "$counter_name")" \
+      --arg url "${GITHUB_REGISTRY_URL:-https://npm.pkg.github.com}" --arg token "${GITHUB_TOKEN:-}" \
+      '. += [{name: $name, url: $url, token: $token}]')
+  fi
+done
+
+# Match flow rules: custom rules from the flow config first, then the built-in main/dev rules
+if [ "$EVENT_NAME" = "pull_request" ]; then
+  RULE_BRANCH="$PR_BASE"
 else
-  # Other events
-  BUILD_FLOW_TYPE="wip"
-  PACKAGE_VERSION="${BASE_VERSION}-wip.${SHORT_SHA}"
-  NPM_TAG="wip"
-  echo "❓ Flow: Unknown event type"
+  RULE_BRANCH="$REF_NAME"
+fi
+
+FLOW_OUTPUT=$(mktemp)
+if ! GITHUB_OUTPUT="$FLOW_OUTPUT" \
+  EVENT_NAME="$EVENT_NAME" \
+  BRANCH="$RULE_BRANCH" \
+  HEAD_BRANCH="$PR_HEAD" \
+  RELEASE_PRERELEASE="${RELEASE_PRERELEASE:-false}" \
+  RELEASE_VERSION="${RELEASE_VERSION:-}" \
+  BASE_VERSION="$BASE_VERSION" \
+  SHA="$SHA" \
+  SHORT_SHA="$SHORT_SHA" \
+  PR_NUMBER=$(echo "$GITHUB_CONTEXT" | jq -r '.event.pull_request.number // ""') \
+  RUN_NUMBER=$(echo "$GITHUB_CONTEXT" | jq -r '.run_number // ""') \
+  PRERELEASE_SCHEME="$PRERELEASE_SCHEME" \
+  COUNTER_REGISTRIES="$COUNTER_REGISTRIES" \
+  node "$ACTION_PATH/scripts/match-flow-rule.js"; then
+  rm -f "$FLOW_OUTPUT"
+  echo "❌ Error: Flow rule matching failed"
+  exit 1
 fi
+BUILD_FLOW_TYPE=$(grep "^build-flow-type=" "$FLOW_OUTPUT" | tail -1 | cut -d= -f2-)
+PACKAGE_VERSION=$(grep "^version=" "$FLOW_OUTPUT" | tail -1 | cut -d= -f2-)
+NPM_TAG=$(grep "^npm-tag=" "$FLOW_OUTPUT" | tail -1 | cut -d= -f2-)
+FLOW_PUBLISH=$(grep "^publish=" "$FLOW_OUTPUT" | tail -1 | cut -d= -f2-)
+rm -f "$FLOW_OUTPUT"
 
 # Version prefix is not applied to the package version because it
 # produces invalid semver (e.g., v1.0.0) that npm rejects.
@@ -157,11 +160,17 @@ echo "✅ Flow Detection Complete:"
 echo "  Build Flow Type: $BUILD_FLOW_TYPE"
 echo "  Package Version: $PACKAGE_VERSION"
 echo "  NPM Tag: $NPM_TAG"
+echo "  Publish: $FLOW_PUBLISH"
 echo "  Short SHA: $SHORT_SHA"
+if [ "$CONVENTIONAL_COMMITS" = "true" ]; then
+  echo "  Version Bump: $VERSION_BUMP"
+fi
 echo ""
 
 # Set GitHub Actions outputs
 echo "version=$PACKAGE_VERSION" >> "$GITHUB_OUTPUT"
 echo "npm-tag=$NPM_TAG" >> "$GITHUB_OUTPUT"
 echo "build-flow-type=$BUILD_FLOW_TYPE" >> "$GITHUB_OUTPUT"
+echo "publish=$FLOW_PUBLISH" >> "$GITHUB_OUTPUT"
 echo "short-sha=$SHORT_SHA" >> "$GITHUB_OUTPUT"
+echo "version-bump=$VERSION_BUMP" >> "$GITHUB_OUTPUT"
@@ -0,0 +1,90 @@
+#!/bin/bash
+set -e
+
+# Detect Package Manager
+# Resolves the package manager for the current directory from the
+# PACKAGE_MANAGER input or, when set to 'auto', from the lockfile.
+# Workspace packages have their lockfile at the workspace root, so the
+# lockfile is looked up from the current directory towards the repository root.
+# Prints the resolved name (npm, yarn, pnpm, or bun) on stdout; with --with-root
+# a second line holds the directory of the lockfile (the current directory when
+# there is none). Diagnostics go to stderr so callers can capture the result directly.
+
+# Validate and resolve package manager
+# First, validate the PACKAGE_MANAGER input
+# Treat empty string as 'auto'
+if [ -z "$PACKAGE_MANAGER" ]; then
+  PACKAGE_MANAGER="auto"
+fi
+
+if [ "$PACKAGE_MANAGER" != "auto" ] && [ "$PACKAGE_MANAGER" != "npm" ] && [ "$PACKAGE_MANAGER" != "yarn" ] && [ "$PACKAGE_MANAGER" != "pnpm" ] && [ "$PACKAGE_MANAGER" != "bun" ]; then
+  echo "❌ Error: Invalid package-manager value '$PACKAGE_MANAGER'. Must be 'auto', 'npm', 'yarn', 'pnpm', or 'bun'" >&2
+  exit 1
+fi
+
+# Package manager of the lockfile in a directory (empty when there is none)
+# Bun lockfiles - bun.lockb (legacy) takes precedence for backward compatibility
+lockfile_manager() {
+  if [ -f "$1/bun.lockb" ] || [ -f "$1/bun.lock" ]; then
+    echo "bun"
+  elif [ -f "$1/pnpm-lock.yaml" ]; then
+    echo "pnpm"
+  elif [ -f "$1/yarn.lock" ]; then
+    echo "yarn"
+  elif [ -f "$1/package-lock.json" ] || [ -f "$1/npm-shrinkwrap.json" ]; then
+    echo "npm"
+  fi
+}
+
+# Walk up to the repository root (GITHUB_WORKSPACE, else the git top level) looking for a lockfile
+LOCKFILE_DIR=""
+LOCKFILE_MANAGER=""
+SEARCH_ROOT="${GITHUB_WORKSPACE:-$(git rev-parse --show-toplevel 2>/dev/null || pwd)}"
+SEARCH_ROOT=$(cd "$SEARCH_ROOT" 2>/dev/null && pwd -P || pwd -P)
+SEARCH_DIR=$(pwd -P)
+while true; do
+  LOCKFILE_MANAGER=$(lockfile_manager "$SEARCH_DIR")
+  if [ -n "$LOCKFILE_MANAGER" ]; then
+    LOCKFILE_DIR="$SEARCH_DIR"
+    break
+  fi
+  # Stop at the repository root, and never leave it when starting outside of it
+  if [ "$SEARCH_DIR" = "$SEARCH_ROOT" ] || [ "$SEARCH_DIR" = "/" ] || [[ "$SEARCH_DIR" != "$SEARCH_ROOT"/* ]]; then
+    break
+  fi
+  SEARCH_DIR=$(dirname "$SEARCH_DIR")
+done
+
+# Resolve package manager based on input or auto-detection
+if [ "$PACKAGE_MANAGER" = "auto" ]; then
+  PKG_MANAGER="${LOCKFILE_MANAGER:-npm}"
+else
+  PKG_MANAGER="$PACKAGE_MANAGER"
+fi
+
+if [ -n "$LOCKFILE_DIR" ] && [ "$LOCKFILE_DIR" != "$(pwd -P)" ]; then
+  echo "🔎 Using $LOCKFILE_MANAGER lockfile from $LOCKFILE_DIR" >&2
+fi
+
+# Verify the selected package manager is available
+if [ "$PKG_MANAGER" = "bun" ]; then
+  if ! command -v bun >/dev/null 2>&1; then
+    echo "❌ Error: Bun is selected but 'bun' command is not found. Please install Bun using 'oven-sh/setup-bun@v2' or similar action." >&2
+    exit 1
+  fi
+elif [ "$PKG_MANAGER" = "pnpm" ]; then
+  if ! command -v pnpm >/dev/null 2>&1; then
+    echo "❌ Error: pnpm is selected but 'pnpm' command is not found. Please install pnpm using 'pnpm/action-setup@v2' or similar action." >&2
+    exit 1
+  fi
+elif [ "$PKG_MANAGER" = "yarn" ]; then
+  if ! command -v yarn >/dev/null 2>&1; then
+    echo "❌ Error: Yarn is selected but 'yarn' command is not found. Please install Yarn or use 'actions/setup-node' with appropriate configuration." >&2
+    exit 1
+  fi
+fi
+
+echo "$PKG_MANAGER"
+if [ "$1" = "--with-root" ]; then
+  echo "${LOCKFILE_DIR:-$(pwd -P)}"
+fi
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Tarball Diff Script
+ * Compares the tarball about to be published with the version the registry's
+ * `latest` dist-tag points at: added, removed and changed files, size deltas,
+ * and changes to package.json fields that affect consumers (dependencies,
+ * exports, engines, entry points). The result is rendered in the PR comment.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { packumentUrl, fetchPackument, fetchTarball } = require('./registry-client');
+const { formatSize, packDryRun, readTarball } = require('./tarball');
+
+// Read inputs from environment
+const PACKAGE_PATH = process.env.PACKAGE_PATH || './package.json';
+// Name of the package on the registry being compared against (scoped on GitHub Packages)
+const PACKAGE_NAME = process.env.PACKAGE_NAME || '';
+const REGISTRY_URL = process.env.REGISTRY_URL || 'https://registry.npmjs.org';
+const REGISTRY_TOKEN = process.env.REGISTRY_TOKEN || '';
+// Pack result saved by verify-tarball.js, if it ran
+const PACK_RESULT_FILE = process.env.PACK_RESULT_FILE || '';
+const GITHUB_OUTPUT = process.env.GITHUB_OUTPUT || '';
+
+// package.json fields whose changes are reported
+const MANIFEST_FIELDS = ['main', 'module', 'types', 'type', 'bin', 'exports', 'engines', 'dependencies', 'peerDependencies', 'optionalDependencies'];
+// Fields compared key by key (e.g. one row per dependency)
+const KEYED_FIELDS = ['bin', 'engines', 'dependencies', 'peerDependencies', 'optionalDependencies'];
+// Keep the step output (and the PR comment) a reasonable size
+const FILE_LIST_LIMIT = 50;
+
+function hash(buffer) {
+  return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+function display(value) {
+  return value === undefined ? null : (typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Whether "exports" is a subpath map ({ ".": ..., "./utils": ... }) rather than conditions
+function isSubpathMap(value) {
+  return isObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('.'));
+}
+
+/**
+ * Changes to consumer-facing package.json fields
+ * @param {object} before - package.json of the latest version
+ * @param {object} after - package.json being published
+ * @returns {object[]} - [{ field, key?, before, after }] (null where absent)
+ */
+function diffManifest(before, after) {
+  const changes = [];
+
+  MANIFEST_FIELDS.forEach(field => {
+    const oldValue = before[field];
+    const newValue = after[field];
+    const keyed = field === 'exports'
+      ? isSubpathMap(oldValue) && isSubpathMap(newValue)
+      : KEYED_FIELDS.includes(field) && (oldValue === undefined || isObject(oldValue)) && (newValue === undefined || isObject(newValue));
+
+    if (keyed) {
+      const oldMap = oldValue || {};
+      const newMap = newValue || {};
+      const keys = [...new Set([...Object.keys(oldMap), ...Object.keys(newMap)])].sort();
+      keys.forEach(key => {
+        if (JSON.stringify(oldMap[key]) !== JSON.stringify(newMap[key])) {
+          changes.push({ field, key, before: display(oldMap[key]), after: display(newMap[key]) });
+        }
+      });
+    } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: display(oldValue), after: display(newValue) });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compare the files of the latest tarball with the files about to be packed
+ * @param {Map<string, Buffer>} oldFiles - From readTarball()
+ * @param {object} pack - npm pack --dry-run result
+ * @param {string} packageDir
+ * @returns {object} - { added, removed, changed, unchanged }
+ */
+function diffFiles(oldFiles, pack, packageDir) {
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  const newPaths = new Set();
+
+  pack.files.forEach(({ path: filePath, size }) => {
+    newPaths.add(filePath);
+    // package.json always changes (version); its relevant changes are reported separately
+    if (filePath === 'package.json') {
+      return;
+    }
+    const oldContent = oldFiles.get(filePath);
+    if (!oldContent) {
+      added.push({ path: filePath, size });
+    } else if (hash(oldContent) !== hash(fs.readFileSync(path.join(packageDir, filePath)))) {
+      changed.push({ path: filePath, before: oldContent.length, after: size });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const removed = [...oldFiles.entries()]
+    .filter(([filePath]) => !newPaths.has(filePath) && filePath !== 'package.json')
+    .map(([filePath, content]) => ({ path: filePath, size: content.length }));
+
+  const byPath = (a, b) => a.path.localeCompare(b.path);
+  return { added: added.sort(byPath), removed: removed.sort(byPath), changed: changed.sort(byPath), unchanged };
+}
+
+async function main() {
+  if (!PACKAGE_NAME) {
+    throw new Error('PACKAGE_NAME is required');
+  }
+
+  const packageDir = path.dirname(path.resolve(PACKAGE_PATH));
+  const manifest = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf8'));
+
+  const url = packumentUrl(REGISTRY_URL, PACKAGE_NAME);
+  const packument = await fetchPackument(url, REGISTRY_TOKEN);
+  const latest = packument && packument['dist-tags'] ? packument['dist-tags'].latest : undefined;
+  const latestMetadata = latest && packument.versions ? packument.versions[latest] : undefined;
+  if (!latestMetadata || !latestMetadata.dist || !latestMetadata.dist.tarball) {
+    console.log(`ℹ️  ${PACKAGE_NAME} has no latest version on ${url.host}, nothing to compare with`);
+    return;
+  }
+
+  console.log(`📊 Comparing the tarball with ${PACKAGE_NAME}@${latest} (latest)...`);
+  const pack = PACK_RESULT_FILE && fs.existsSync(PACK_RESULT_FILE) && fs.statSync(PACK_RESULT_FILE).size > 0
+    ? JSON.parse(fs.readFileSync(PACK_RESULT_FILE, 'utf8'))
+    : packDryRun(packageDir);
+
+  const latestTarball = await fetchTarball(latestMetadata.dist.tarball, REGISTRY_TOKEN);
+  const oldFiles = readTarball(latestTarball);
+  const oldManifest = oldFiles.has('package.json') ? JSON.parse(oldFiles.get('package.json').toString('utf8')) : {};
+
+  const { added, removed, changed, unchanged } = diffFiles(oldFiles, pack, packageDir);
+  const oldUnpackedSize = [...oldFiles.values()].reduce((total, content) => total + content.length, 0);
+
+  const diff = {
+    base: latest,
+    packedSize: { before: latestTarball.length, after: pack.size },
+    unpackedSize: { before: oldUnpackedSize, after: pack.unpackedSize },
+    fileCount: { before: oldFiles.size, after: pack.files.length },
+    counts: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+    added: added.slice(0, FILE_LIST_LIMIT),
+    removed: removed.slice(0, FILE_LIST_LIMIT),
+    changed: changed.slice(0, FILE_LIST_LIMIT),
+    manifest: diffManifest(oldManifest, manifest)
+  };
+
+  console.log(`  Files: ${added.length} added, ${removed.length} removed, ${changed.length} changed, ${unchanged} unchanged`);
+  console.log(`  Packed size: ${formatSize(diff.packedSize.before)} → ${formatSize(diff.packedSize.after)}`);
+  console.log(`  Unpacked size: ${formatSize(diff.unpackedSize.before)} → ${formatSize(diff.unpackedSize.after)}`);
+  diff.manifest.forEach(change => {
+    console.log(`  package.json ${change.field}${change.key ? ` ${change.key}` : ''}: ${change.before ?? '(none)'} → ${change.after ?? '(none)'}`);
+  });
+
+  if (GITHUB_OUTPUT) {
+    fs.appendFileSync(GITHUB_OUTPUT, `tarball-diff=${JSON.stringify(diff)}\n`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+});
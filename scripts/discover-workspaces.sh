@@ -2,7 +2,8 @@
 set -e
 
 # Workspace Discovery Script
-# Reads workspaces field from root package.json and discovers all publishable packages
+# Reads workspace patterns from the root package.json `workspaces` field, pnpm-workspace.yaml
+# and lerna.json, and discovers all publishable packages (including those of nested workspace roots)
 
 echo "🔍 Discovering workspace packages..."
 echo ""
@@ -15,309 +16,555 @@ if [ ! -f "$ROOT_PACKAGE_PATH" ]; then
   exit 1
 fi
 
-echo "📄 Reading workspace patterns from: $ROOT_PACKAGE_PATH"
+# Get the directory containing the root package.json and save original working directory
+ORIGINAL_DIR=$(pwd -P)
+ROOT_DIR=$(cd "$(dirname "$ROOT_PACKAGE_PATH")" && pwd -P)
 
-# Extract workspaces field from package.json
-# Handle both array format and object format (with "packages" key)
-set +e
-# Use -c to keep JSON structure for proper re-parsing
-WORKSPACES_RAW=$(jq -c '.workspaces' "$ROOT_PACKAGE_PATH" 2>/dev/null)
-jq_status=$?
-set -e
+# Discover packages
+DISCOVERED_PACKAGES="[]"
+TOTAL_FOUND=0
+SKIPPED_PRIVATE=0
+SKIPPED_NEGATED=0
 
-if [ "$jq_status" -ne 0 ]; then
-  echo "❌ Error: Failed to parse package.json (invalid JSON)"
-  exit 1
-fi
+# Track discovered package paths to avoid duplicates
+declare -A DISCOVERED_PATHS
 
-if [ "$WORKSPACES_RAW" = "null" ] || [ -z "$WORKSPACES_RAW" ]; then
-  echo "❌ Error: No 'workspaces' field found in root package.json"
-  echo "Expected format:"
-  echo '  "workspaces": ["core", "apps/*", "plugins/*"]'
-  echo "or:"
-  echo '  "workspaces": {"packages": ["core", "apps/*"]}'
-  exit 1
-fi
+# Workspace roots still to scan (absolute paths) and roots already scanned
+PENDING_ROOTS=("$ROOT_DIR")
+declare -A SCANNED_ROOTS
+ROOTS_SCANNED=0
 
-# Handle object format (Yarn berry/npm v7+)
-# Query type directly from the JSON structure
-set +e
-WORKSPACES_TYPE=$(echo "$WORKSPACES_RAW" | jq -r 'type' 2>/dev/null)
-type_status=$?
-set -e
+# Path relative to the original working directory, without a leading ./
+# Usage: to_original_relative <path relative to CURRENT_ROOT>
+to_original_relative() {
+  local rel_path="${1#./}"
+  if [ "$REL_ROOT" != "." ]; then
+    if [ "$rel_path" = "." ]; then
+      rel_path="$REL_ROOT"
+    else
+      rel_path="$REL_ROOT/$rel_path"
+    fi
+  fi
+  echo "$rel_path"
+}
 
-if [ "$type_status" -ne 0 ]; then
-  echo "❌ Error: Failed to parse workspaces field (invalid JSON structure)"
-  exit 1
-fi
+# Whether a directory declares its own workspaces (package.json field, pnpm-workspace.yaml or lerna.json)
+is_workspace_root() {
+  local dir="$1"
+  [ -f "$dir/pnpm-workspace.yaml" ] || [ -f "$dir/lerna.json" ] || \
+    jq -e '.workspaces != null' "$dir/package.json" >/dev/null 2>&1
+}
+
+# Print the `packages` list of a pnpm-workspace.yaml, one pattern per line
+# Supports block lists ("  - 'apps/*'") and flow lists ("packages: ['apps/*']")
+read_pnpm_workspace_patterns() {
+  awk -v q="'" '
+    function emit(value) {
+      sub(/[ \t]+#.*$/, "", value)
+      gsub(/^[ \t]+|[ \t]+$/, "", value)
+      gsub("^[\"" q "]|[\"" q "]$", "", value)
+      if (value != "") print value
+    }
+    /^packages:/ {
+      in_packages = 1
+      rest = $0
+      sub(/^packages:[ \t]*/, "", rest)
+      if (rest ~ /^\[/) {
+        sub(/^\[/, "", rest)
+        sub(/\].*$/, "", rest)
+        count = split(rest, items, ",")
+        for (i = 1; i <= count; i++) emit(items[i])
+        in_packages = 0
+      }
+      next
+    }
+    in_packages && /^[ \t]*(#.*)?$/ { next }
+    in_packages && /^[ \t]+-/ {
+      item = $0
+      sub(/^[ \t]+-[ \t]*/, "", item)
+      emit(item)
+      next
+    }
+    { in_packages = 0 }
+  ' "$1"
+}
+
+# Add a workspace pattern of the current root, ignoring duplicates across sources
+# Usage: add_pattern <pattern> <source>
+add_pattern() {
+  local pattern="$1"
+  local source="$2"
+  local existing
+  for existing in "${PATTERNS[@]}"; do
+    if [ "$existing" = "$pattern" ]; then
+      return 0
+    fi
+  done
+  PATTERNS+=("$pattern")
+  PATTERN_SOURCES+=("$source")
+}
+
+# Collect the workspace patterns of the current root into PATTERNS / PATTERN_SOURCES
+# (the source is the configuration file a pattern came from, relative to the original directory)
+read_workspace_patterns() {
+  PATTERNS=()
+  PATTERN_SOURCES=()
+  local source pattern
+
+  # package.json workspaces (npm, Yarn, Bun)
+  if [ -f "package.json" ]; then
+    # Extract workspaces field from package.json
+    # Handle both array format and object format (with "packages" key)
+    set +e
+    # Use -c to keep JSON structure for proper re-parsing
+    WORKSPACES_RAW=$(jq -c '.workspaces' "package.json" 2>/dev/null)
+    jq_status=$?
+    set -e
+
+    if [ "$jq_status" -ne 0 ]; then
+      echo "❌ Error: Failed to parse $(to_original_relative package.json) (invalid JSON)"
+      exit 1
+    fi
+
+    if [ "$WORKSPACES_RAW" != "null" ] && [ -n "$WORKSPACES_RAW" ]; then
+      source=$(to_original_relative package.json)
+      echo "📄 Reading workspace patterns from: $source"
+
+      # Handle object format (Yarn berry/npm v7+)
+      # Query type directly from the JSON structure
+      WORKSPACES_TYPE=$(echo "$WORKSPACES_RAW" | jq -r 'type')
+
+      if [ "$WORKSPACES_TYPE" = "object" ]; then
+        # Extract packages array from object
+        set +e
+        WORKSPACES=$(echo "$WORKSPACES_RAW" | jq -r '.packages // empty | .[]' 2>/dev/null)
+        packages_status=$?
+        set -e
+
+        if [ "$packages_status" -ne 0 ] || [ -z "$WORKSPACES" ]; then
+          echo "❌ Error: workspaces is an object but has no 'packages' array in $source"
+          exit 1
+        fi
+      elif [ "$WORKSPACES_TYPE" = "array" ]; then
+        # Direct array format
+        set +e
+        WORKSPACES=$(echo "$WORKSPACES_RAW" | jq -r '.[]' 2>/dev/null)
+        array_status=$?
+        set -e
+
+        if [ "$array_status" -ne 0 ]; then
+          echo "❌ Error: Failed to parse workspaces array in $source"
+          exit 1
+        fi
+      else
+        echo "❌ Error: workspaces field in $source must be an array or object with packages array"
+        exit 1
+      fi
 
-if [ "$WORKSPACES_TYPE" = "object" ]; then
-  # Extract packages array from object
+      while IFS= read -r pattern; do
+        [ -n "$pattern" ] && add_pattern "$pattern" "$source"
+      done <<< "$WORKSPACES"
+    fi
+  fi
+
+  # pnpm-workspace.yaml (pnpm)
+  if [ -f "pnpm-workspace.yaml" ]; then
+    source=$(to_original_relative pnpm-workspace.yaml)
+    echo "📄 Reading workspace patterns from: $source"
+    while IFS= read -r pattern; do
+      [ -n "$pattern" ] && add_pattern "$pattern" "$source"
+    done < <(read_pnpm_workspace_patterns "pnpm-workspace.yaml")
+  fi
+
+  # lerna.json (Lerna)
+  if [ -f "lerna.json" ]; then
+    source=$(to_original_relative lerna.json)
+
+    set +e
+    LERNA_PACKAGES=$(jq -r 'if (.packages | type) == "array" then .packages[] else empty end' "lerna.json" 2>/dev/null)
+    jq_status=$?
+    set -e
+
+    if [ "$jq_status" -ne 0 ]; then
+      echo "❌ Error: Failed to parse $source (invalid JSON)"
+      exit 1
+    fi
+
+    if [ -n "$LERNA_PACKAGES" ]; then
+      echo "📄 Reading workspace patterns from: $source"
+      while IFS= read -r pattern; do
+        [ -n "$pattern" ] && add_pattern "$pattern" "$source"
+      done <<< "$LERNA_PACKAGES"
+    elif [ ${#PATTERNS[@]} -eq 0 ]; then
+      # Lerna falls back to packages/* when neither lerna.json nor the package manager lists packages
+      echo "📄 Reading workspace patterns from: $source (default: packages/*)"
+      add_pattern "packages/*" "$source"
+    fi
+  fi
+}
+
+# Whether a workspace pattern contains glob syntax (*, ?, [...] or {...})
+is_glob_pattern() {
+  [[ "$1" == *[\*\?\[\{]* ]]
+}
+
+# Convert a workspace glob into an anchored extended regex with the package managers'
+# semantics: * and ? never cross a /, ** matches any number of directories (including none),
+# [...] / [!...] match one character and {a,b} matches either alternative
+glob_to_regex() {
+  local glob="$1"
+  local regex=""
+  local brace_depth=0
+  local i char
+
+  for ((i = 0; i < ${#glob}; i++)); do
+    char="${glob:i:1}"
+    case "$char" in
+      '*')
+        if [ "${glob:i+1:1}" = "*" ]; then
+          if [ "${glob:i+2:1}" = "/" ]; then
+            # "**/" matches zero or more directories
+            regex+="([^/]+/)*"
+            i=$((i + 2))
+          else
+            # Trailing "**" matches the directory itself and everything below it
+            if [ "${regex: -1}" = "/" ]; then
+              regex="${regex%/}(/.*)?"
+            else
+              regex+=".*"
+            fi
+            i=$((i + 1))
+          fi
+        else
+          regex+="[^/]*"
+        fi
+        ;;
+      '?')
+        regex+="[^/]"
+        ;;
+      '[')
+        if [ "${glob:i+1:1}" = "!" ]; then
+          regex+="[^"
+          i=$((i + 1))
+        else
+          regex+="["
+        fi
+        ;;
+      ']')
+        regex+="]"
+        ;;
+      '{')
+        regex+="("
+        brace_depth=$((brace_depth + 1))
+        ;;
+      '}')
+        regex+=")"
+        brace_depth=$((brace_depth - 1))
+        ;;
+      ',')
+        if [ "$brace_depth" -gt 0 ]; then
+          regex+="|"
+        else
+          regex+=","
+        fi
+        ;;
+      '.' | '+' | '(' | ')' | '^' | '$' | '|' | '\')
+        regex+="\\$char"
+        ;;
+      *)
+        regex+="$char"
+        ;;
+    esac
+  done
+
+  echo "^${regex}\$"
+}
+
+# Print the package directories of the current root matching a workspace glob, sorted
+# Like npm, Yarn and pnpm, node_modules and hidden directories are never matched by wildcards
+match_package_dirs() {
+  local pattern="$1"
+
+  # Walk from the longest literal prefix of the pattern
+  local base=""
+  local rest="$pattern"
+  local segment
+  while [[ "$rest" == */* ]]; do
+    segment="${rest%%/*}"
+    if is_glob_pattern "$segment"; then
+      break
+    fi
+    base="${base:+$base/}$segment"
+    rest="${rest#*/}"
+  done
+  base="${base:-.}"
+
+  if [ ! -d "$base" ]; then
+    return 0
+  fi
+
+  # Without ** the depth is bounded by the number of remaining segments
+  local depth_args=()
+  if [[ "$rest" != *"**"* ]]; then
+    local slashes="${rest//[^\/]/}"
+    depth_args=(-maxdepth $((${#slashes} + 2)))
+  fi
+
+  local regex
+  regex=$(glob_to_regex "$pattern")
+
+  local package_json dir
+  find "$base" "${depth_args[@]}" -mindepth 1 \
+    \( -type d \( -name node_modules -o -name '.*' \) -prune \) -o \
+    \( -type f -name package.json -print \) 2>/dev/null | while IFS= read -r package_json; do
+    dir="${package_json%/package.json}"
+    dir="${dir#./}"
+    # The workspace root is never one of its own packages
+    if [ "$dir" != "." ] && [[ "$dir" =~ $regex ]]; then
+      echo "$dir"
+    fi
+  done | LC_ALL=C sort
+}
+
+# Add the package in a directory of the current root to the discovered packages
+# Usage: add_package <directory relative to CURRENT_ROOT> <source>
+add_package() {
+  local dir="$1"
+  local source="$2"
+  local PKG_PATH="$dir/package.json"
+
+  # Normalize paths relative to the original working directory
+  local PKG_PATH_NORMALIZED
+  local PKG_DIR
+  PKG_PATH_NORMALIZED=$(to_original_relative "$PKG_PATH")
+  PKG_DIR=$(to_original_relative "$dir")
+
+  # Check for duplicates AFTER path normalization
+  if [ -n "${DISCOVERED_PATHS[$PKG_PATH_NORMALIZED]}" ]; then
+    echo "    ⏭️  Skipping $PKG_PATH_NORMALIZED (already discovered)"
+    return 0
+  fi
+
+  # Check if package is private - handle jq errors gracefully
   set +e
-  WORKSPACES=$(echo "$WORKSPACES_RAW" | jq -r '.packages // empty | .[]' 2>/dev/null)
-  packages_status=$?
+  IS_PRIVATE=$(jq -r '.private // false' "$PKG_PATH" 2>/dev/null)
+  jq_status=$?
   set -e
-  
-  if [ "$packages_status" -ne 0 ] || [ -z "$WORKSPACES" ]; then
-    echo "❌ Error: workspaces is an object but has no 'packages' array"
-    exit 1
+
+  if [ "$jq_status" -ne 0 ]; then
+    echo "    ⚠️  Warning: Failed to parse $PKG_PATH_NORMALIZED (invalid JSON), skipping"
+    return 0
+  fi
+
+  # Nested workspace roots (usually private) are scanned for their own packages
+  if is_workspace_root "$dir"; then
+    local nested_root
+    nested_root=$(cd "$dir" && pwd -P)
+    if [ "$nested_root" != "$CURRENT_ROOT" ] && [ -z "${SCANNED_ROOTS[$nested_root]}" ]; then
+      echo "    📂 Nested workspace root: $PKG_DIR (queued for discovery)"
+      PENDING_ROOTS+=("$nested_root")
+    fi
   fi
-elif [ "$WORKSPACES_TYPE" = "array" ]; then
-  # Direct array format
+
+  if [ "$IS_PRIVATE" = "true" ]; then
+    echo "    ⏭️  Skipping $PKG_PATH_NORMALIZED (private: true)"
+    SKIPPED_PRIVATE=$((SKIPPED_PRIVATE + 1))
+    return 0
+  fi
+
+  # Extract package metadata - handle jq errors gracefully
   set +e
-  WORKSPACES=$(echo "$WORKSPACES_RAW" | jq -r '.[]' 2>/dev/null)
-  array_status=$?
+  PKG_NAME=$(jq -r '.name // "unknown"' "$PKG_PATH" 2>/dev/null)
+  name_status=$?
+  PKG_VERSION=$(jq -r '.version // "0.0.0"' "$PKG_PATH" 2>/dev/null)
+  version_status=$?
   set -e
-  
-  if [ "$array_status" -ne 0 ]; then
-    echo "❌ Error: Failed to parse workspaces array"
-    exit 1
+
+  if [ "$name_status" -ne 0 ] || [ "$version_status" -ne 0 ]; then
+    echo "    ⚠️  Warning: Failed to read metadata from $PKG_PATH_NORMALIZED, skipping"
+    return 0
   fi
-else
-  echo "❌ Error: workspaces field must be an array or object with packages array"
-  exit 1
-fi
 
-if [ -z "$WORKSPACES" ]; then
-  echo "❌ Error: No workspace patterns found"
-  exit 1
-fi
+  if [ "$PKG_NAME" = "null" ] || [ "$PKG_NAME" = "unknown" ] || [ -z "$PKG_NAME" ]; then
+    echo "    ⚠️  Warning: No package name in $PKG_PATH_NORMALIZED, skipping"
+    return 0
+  fi
 
-echo "📋 Workspace patterns:"
-echo "$WORKSPACES" | sed 's/^/  - /'
-echo ""
+  echo "    ✅ Found: $PKG_NAME ($PKG_PATH_NORMALIZED)"
 
-# Get the directory containing the root package.json and save original working directory
-ORIGINAL_DIR=$(pwd)
-ROOT_DIR=$(dirname "$ROOT_PACKAGE_PATH")
+  # Mark as discovered
+  DISCOVERED_PATHS[$PKG_PATH_NORMALIZED]=1
 
-# Convert to absolute path for later use
-if [[ "$ROOT_DIR" != /* ]]; then
-  ROOT_DIR="$ORIGINAL_DIR/$ROOT_DIR"
-fi
+  # Add to discovered packages
+  DISCOVERED_PACKAGES=$(echo "$DISCOVERED_PACKAGES" | jq \
+    --arg name "$PKG_NAME" \
+    --arg version "$PKG_VERSION" \
+    --arg path "$PKG_PATH_NORMALIZED" \
+    --arg dir "$PKG_DIR" \
+    --arg source "$source" \
+    '. += [{"name": $name, "version": $version, "path": $path, "dir": $dir, "source": $source}]')
 
-cd "$ROOT_DIR"
+  TOTAL_FOUND=$((TOTAL_FOUND + 1))
+}
 
-# Discover packages
-DISCOVERED_PACKAGES="[]"
-TOTAL_FOUND=0
-SKIPPED_PRIVATE=0
-SKIPPED_NEGATED=0
+# Scan workspace roots breadth-first: the root first, then nested roots as they are found
+while [ ${#PENDING_ROOTS[@]} -gt 0 ]; do
+  CURRENT_ROOT="${PENDING_ROOTS[0]}"
+  PENDING_ROOTS=("${PENDING_ROOTS[@]:1}")
 
-# Track discovered package paths to avoid duplicates
-declare -A DISCOVERED_PATHS
+  if [ -n "${SCANNED_ROOTS[$CURRENT_ROOT]}" ]; then
+    continue
+  fi
+  SCANNED_ROOTS[$CURRENT_ROOT]=1
+  ROOTS_SCANNED=$((ROOTS_SCANNED + 1))
 
-echo "🔎 Resolving workspace patterns..."
-echo ""
+  # Calculate relative path from original dir to the current root
+  REL_ROOT=$(realpath --relative-to="$ORIGINAL_DIR" "$CURRENT_ROOT" 2>/dev/null || echo "$CURRENT_ROOT")
 
-# Process each workspace pattern
-while IFS= read -r pattern; do
-  pattern=$(echo "$pattern" | xargs) # Trim whitespace
-  
-  if [ -z "$pattern" ]; then
-    continue
+  cd "$CURRENT_ROOT"
+
+  if [ "$ROOTS_SCANNED" -gt 1 ]; then
+    echo ""
+    echo "📂 Scanning nested workspace root: $REL_ROOT"
   fi
-  
-  # Handle negated patterns (exclusions)
-  if [[ "$pattern" == !* ]]; then
-    echo "  Pattern: $pattern (exclusion - skipping)"
-    echo "    ⚠️  Note: Negated patterns are not yet supported; pattern will be ignored"
-    SKIPPED_NEGATED=$((SKIPPED_NEGATED + 1))
+
+  read_workspace_patterns
+
+  if [ ${#PATTERNS[@]} -eq 0 ]; then
+    if [ "$ROOTS_SCANNED" -eq 1 ]; then
+      echo "❌ Error: No workspace configuration found"
+      echo "Expected one of:"
+      echo '  package.json:        "workspaces": ["core", "apps/*", "plugins/*"]'
+      echo '                       "workspaces": {"packages": ["core", "apps/*"]}'
+      echo "  pnpm-workspace.yaml: packages: ['core', 'apps/*']"
+      echo '  lerna.json:          "packages": ["core", "apps/*"]'
+      exit 1
+    fi
+    echo "  ⚠️  Warning: No workspace patterns found in $REL_ROOT"
     continue
   fi
-  
-  echo "  Pattern: $pattern"
-  
-  # Check if pattern contains glob characters
-  if [[ "$pattern" == *"*"* ]] || [[ "$pattern" == *"?"* ]]; then
-    # Glob pattern - find all matching directories using shell globbing
-    
-    # Extract base directory to quickly skip non-existent roots
-    if [[ "$pattern" == */* ]]; then
-      BASE_DIR="${pattern%/*}"
+
+  echo "📋 Workspace patterns:"
+  printf '  - %s\n' "${PATTERNS[@]}"
+  echo ""
+
+  echo "🔎 Resolving workspace patterns..."
+  echo ""
+
+  # Split the patterns into includes and exclusions the way npm does: an exclusion applies
+  # to every include, except that a later include matched by the exclusion cancels it
+  # (["packages/*", "!packages/b", "packages/b"] keeps packages/b)
+  INCLUDE_PATTERNS=()
+  INCLUDE_SOURCES=()
+  EXCLUDE_PATTERNS=()
+
+  for index in "${!PATTERNS[@]}"; do
+    pattern=$(echo "${PATTERNS[$index]}" | xargs) # Trim whitespace
+
+    if [ -z "$pattern" ]; then
+      continue
+    fi
+
+    # An odd number of leading ! negates the pattern (!!foo is foo)
+    bangs="${pattern%%[!!]*}"
+    pattern="${pattern#"$bangs"}"
+    pattern="${pattern#./}"
+    pattern="${pattern#/}"
+
+    if [ $((${#bangs} % 2)) -eq 1 ]; then
+      EXCLUDE_PATTERNS+=("$pattern")
+      continue
+    fi
+
+    REMAINING_EXCLUDES=()
+    for exclude in "${EXCLUDE_PATTERNS[@]}"; do
+      if [[ "$pattern" =~ $(glob_to_regex "$exclude") ]]; then
+        echo "  ℹ️  Exclusion !$exclude is overridden by later pattern $pattern"
+      else
+        REMAINING_EXCLUDES+=("$exclude")
+      fi
+    done
+    EXCLUDE_PATTERNS=("${REMAINING_EXCLUDES[@]}")
+    INCLUDE_PATTERNS+=("$pattern")
+    INCLUDE_SOURCES+=("${PATTERN_SOURCES[$index]}")
+  done
+
+  EXCLUDE_REGEXES=()
+  for exclude in "${EXCLUDE_PATTERNS[@]}"; do
+    echo "  Exclusion: !$exclude"
+    EXCLUDE_REGEXES+=("$(glob_to_regex "${exclude%/}")")
+  done
+
+  # Resolve the includes in order, collecting each package directory once
+  MATCHED_DIRS=()
+  MATCHED_SOURCES=()
+
+  for index in "${!INCLUDE_PATTERNS[@]}"; do
+    pattern="${INCLUDE_PATTERNS[$index]%/}"
+    source="${INCLUDE_SOURCES[$index]}"
+
+    echo "  Pattern: $pattern"
+
+    # Check if pattern contains glob characters
+    if is_glob_pattern "$pattern"; then
+      mapfile -t PATTERN_DIRS < <(match_package_dirs "$pattern")
+      if [ ${#PATTERN_DIRS[@]} -eq 0 ]; then
+        echo "    ⚠️  Warning: No packages match $pattern"
+      fi
     else
-      BASE_DIR="."
+      # Direct path - check if it's a directory
+      PATTERN_DIRS=()
+      if [ -d "$pattern" ]; then
+        if [ -f "$pattern/package.json" ]; then
+          PATTERN_DIRS=("$pattern")
+        else
+          echo "    ⚠️  Warning: No package.json found in $pattern"
+        fi
+      else
+        echo "    ⚠️  Warning: Directory not found: $pattern"
+      fi
     fi
-    
-    # Find directories matching the pattern
-    if [ -d "$BASE_DIR" ]; then
-      # Use shell globbing by temporarily disabling nomatch error
-      # This is safe because we check if directories exist before processing
-      shopt -s nullglob 2>/dev/null || true
-      
-      # Temporarily disable 'set -e' for glob expansion
-      set +e
-      # Store matching directories in an array
-      MATCHING_DIRS=()
-      for dir in $pattern; do
-        if [ -d "$dir" ]; then
-          MATCHING_DIRS+=("$dir")
+
+    for dir in "${PATTERN_DIRS[@]}"; do
+      already_matched=false
+      for matched in "${MATCHED_DIRS[@]}"; do
+        if [ "$matched" = "$dir" ]; then
+          already_matched=true
+          break
         fi
       done
-      set -e
-      
-      # Re-enable nomatch behavior
-      shopt -u nullglob 2>/dev/null || true
-      
-      # Process matching directories
-      for dir in "${MATCHING_DIRS[@]}"; do
-        PKG_PATH="$dir/package.json"
-        if [ -f "$PKG_PATH" ]; then
-          # Normalize path (remove leading ./)
-          PKG_PATH_NORMALIZED="${PKG_PATH#./}"
-          PKG_DIR="${dir#./}"
-          
-          # Convert path to be relative to original working directory FIRST
-          if [[ "$ROOT_DIR" != "$ORIGINAL_DIR" ]]; then
-            # Calculate relative path from original dir to root dir
-            REL_ROOT=$(realpath --relative-to="$ORIGINAL_DIR" "$ROOT_DIR" 2>/dev/null || echo "$ROOT_DIR")
-            if [ "$REL_ROOT" != "." ]; then
-              PKG_PATH_NORMALIZED="$REL_ROOT/$PKG_PATH_NORMALIZED"
-              PKG_DIR="$REL_ROOT/$PKG_DIR"
-            fi
-          fi
-          
-          # Check for duplicates AFTER path normalization
-          if [ -n "${DISCOVERED_PATHS[$PKG_PATH_NORMALIZED]}" ]; then
-            echo "    ⏭️  Skipping $PKG_PATH_NORMALIZED (already discovered)"
-            continue
-          fi
-          
-          # Check if package is private - handle jq errors gracefully
-          set +e
-          IS_PRIVATE=$(jq -r '.private // false' "$PKG_PATH" 2>/dev/null)
-          jq_status=$?
-          set -e
-          
-          if [ "$jq_status" -ne 0 ]; then
-            echo "    ⚠️  Warning: Failed to parse $PKG_PATH (invalid JSON), skipping"
-            continue
-          fi
-          
-          if [ "$IS_PRIVATE" = "true" ]; then
-            echo "    ⏭️  Skipping $PKG_PATH_NORMALIZED (private: true)"
-            SKIPPED_PRIVATE=$((SKIPPED_PRIVATE + 1))
-            continue
-          fi
-          
-          # Extract package metadata - handle jq errors gracefully
-          set +e
-          PKG_NAME=$(jq -r '.name // "unknown"' "$PKG_PATH" 2>/dev/null)
-          name_status=$?
-          PKG_VERSION=$(jq -r '.version // "0.0.0"' "$PKG_PATH" 2>/dev/null)
-          version_status=$?
-          set -e
-          
-          if [ "$name_status" -ne 0 ] || [ "$version_status" -ne 0 ]; then
-            echo "    ⚠️  Warning: Failed to read metadata from $PKG_PATH, skipping"
-            continue
-          fi
-          
-          if [ "$PKG_NAME" = "null" ] || [ "$PKG_NAME" = "unknown" ] || [ -z "$PKG_NAME" ]; then
-            echo "    ⚠️  Warning: No package name in $PKG_PATH, skipping"
-            continue
-          fi
-          
-          echo "    ✅ Found: $PKG_NAME ($PKG_PATH_NORMALIZED)"
-          
-          # Mark as discovered
-          DISCOVERED_PATHS[$PKG_PATH_NORMALIZED]=1
-          
-          # Add to discovered packages
-          DISCOVERED_PACKAGES=$(echo "$DISCOVERED_PACKAGES" | jq \
-            --arg name "$PKG_NAME" \
-            --arg version "$PKG_VERSION" \
-            --arg path "$PKG_PATH_NORMALIZED" \
-            --arg dir "$PKG_DIR" \
-            '. += [{"name": $name, "version": $version, "path": $path, "dir": $dir}]')
-          
-          TOTAL_FOUND=$((TOTAL_FOUND + 1))
+      if [ "$already_matched" = "true" ]; then
+        continue
+      fi
+
+      excluded=false
+      for exclude_regex in "${EXCLUDE_REGEXES[@]}"; do
+        if [[ "$dir" =~ $exclude_regex ]]; then
+          excluded=true
+          break
         fi
       done
-    fi
-  else
-    # Direct path - check if it's a directory
-    if [ -d "$pattern" ]; then
-      PKG_PATH="$pattern/package.json"
-      
-      if [ -f "$PKG_PATH" ]; then
-        # Normalize path (remove leading ./)
-        PKG_PATH_NORMALIZED="${PKG_PATH#./}"
-        PKG_DIR="${pattern#./}"
-        
-        # Convert path to be relative to original working directory FIRST
-        if [[ "$ROOT_DIR" != "$ORIGINAL_DIR" ]]; then
-          # Calculate relative path from original dir to root dir
-          REL_ROOT=$(realpath --relative-to="$ORIGINAL_DIR" "$ROOT_DIR" 2>/dev/null || echo "$ROOT_DIR")
-          if [ "$REL_ROOT" != "." ]; then
-            PKG_PATH_NORMALIZED="$REL_ROOT/$PKG_PATH_NORMALIZED"
-            PKG_DIR="$REL_ROOT/$PKG_DIR"
-          fi
-        fi
-        
-        # Check for duplicates AFTER path normalization
-        if [ -n "${DISCOVERED_PATHS[$PKG_PATH_NORMALIZED]}" ]; then
-          echo "    ⏭️  Skipping $PKG_PATH_NORMALIZED (already discovered)"
-          continue
-        fi
-        
-        # Check if package is private - handle jq errors gracefully
-        set +e
-        IS_PRIVATE=$(jq -r '.private // false' "$PKG_PATH" 2>/dev/null)
-        jq_status=$?
-        set -e
-        
-        if [ "$jq_status" -ne 0 ]; then
-          echo "    ⚠️  Warning: Failed to parse $PKG_PATH (invalid JSON), skipping"
-          continue
-        fi
-        
-        if [ "$IS_PRIVATE" = "true" ]; then
-          echo "    ⏭️  Skipping $PKG_PATH_NORMALIZED (private: true)"
-          SKIPPED_PRIVATE=$((SKIPPED_PRIVATE + 1))
-          continue
-        fi
-        
-        # Extract package metadata - handle jq errors gracefully
-        set +e
-        PKG_NAME=$(jq -r '.name // "unknown"' "$PKG_PATH" 2>/dev/null)
-        name_status=$?
-        PKG_VERSION=$(jq -r '.version // "0.0.0"' "$PKG_PATH" 2>/dev/null)
-        version_status=$?
-        set -e
-        
-        if [ "$name_status" -ne 0 ] || [ "$version_status" -ne 0 ]; then
-          echo "    ⚠️  Warning: Failed to read metadata from $PKG_PATH, skipping"
-          continue
-        fi
-        
-        if [ "$PKG_NAME" = "null" ] || [ "$PKG_NAME" = "unknown" ] || [ -z "$PKG_NAME" ]; then
-          echo "    ⚠️  Warning: No package name in $PKG_PATH, skipping"
-          continue
-        fi
-        
-        echo "    ✅ Found: $PKG_NAME ($PKG_PATH_NORMALIZED)"
-        
-        # Mark as discovered
-        DISCOVERED_PATHS[$PKG_PATH_NORMALIZED]=1
-        
-        # Add to discovered packages
-        DISCOVERED_PACKAGES=$(echo "$DISCOVERED_PACKAGES" | jq \
-          --arg name "$PKG_NAME" \
-          --arg version "$PKG_VERSION" \
-          --arg path "$PKG_PATH_NORMALIZED" \
-          --arg dir "$PKG_DIR" \
-          '. += [{"name": $name, "version": $version, "path": $path, "dir": $dir}]')
-        
-        TOTAL_FOUND=$((TOTAL_FOUND + 1))
+
+      if [ "$excluded" = "true" ]; then
+        echo "    ➖ Excluded: $(to_original_relative "$dir")"
+        SKIPPED_NEGATED=$((SKIPPED_NEGATED + 1))
       else
-        echo "    ⚠️  Warning: No package.json found in $pattern"
+        echo "    ➕ Matched: $(to_original_relative "$dir")"
+        MATCHED_DIRS+=("$dir")
+        MATCHED_SOURCES+=("$source")
       fi
-    else
-      echo "    ⚠️  Warning: Directory not found: $pattern"
-    fi
-  fi
-done <<< "$WORKSPACES"
+    done
+  done
+
+  echo ""
+  echo "📦 Reading matched packages..."
+
+  for i in "${!MATCHED_DIRS[@]}"; do
+    add_package "${MATCHED_DIRS[$i]}" "${MATCHED_SOURCES[$i]}"
+  done
+done
+
+cd "$ORIGINAL_DIR"
 
 echo ""
 echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
@@ -326,8 +573,11 @@ echo "━━━━━━━━━━━━━━━━━━━━━━━━
 echo ""
 echo "Total packages found: $TOTAL_FOUND"
 echo "Private packages skipped: $SKIPPED_PRIVATE"
+if [ "$ROOTS_SCANNED" -gt 1 ]; then
+  echo "Workspace roots scanned: $ROOTS_SCANNED"
+fi
 if [ "$SKIPPED_NEGATED" -gt 0 ]; then
-  echo "Negated patterns skipped: $SKIPPED_NEGATED"
+  echo "Packages excluded by negated patterns: $SKIPPED_NEGATED"
 fi
 echo ""
 
@@ -0,0 +1,342 @@
+/**
+ * Flow Rules
+ * Maps a GitHub event and its branches to a build flow: flow name, dist-tag,
+ * version template and whether to publish. The built-in rules implement the
+ * default main/dev branch strategy; rules from a flow config file are evaluated
+ * before them. Shared by match-flow-rule.js and pr-comment.js; verify-tarball.js
+ * reuses the glob matching for its deny patterns.
+ */
+
+const fs = require('fs');
+
+// How each built-in flow is presented in PR comments
+const BUILT_IN_FLOWS = {
+  release: {
+    emoji: '🎉',
+    title: 'Release',
+    description: 'Release published from a GitHub release'
+  },
+  pr: {
+    emoji: '🔀',
+    title: 'Pull Request Build',
+    description: 'Pre-release package for testing PR changes'
+  },
+  dev: {
+    emoji: '🚀',
+    title: 'Development Build',
+    description: 'Development version ready for integration testing'
+  },
+  patch: {
+    emoji: '🔧',
+    title: 'Patch Build',
+    description: 'Patch version for testing hotfixes'
+  },
+  staging: {
+    emoji: '🎯',
+    title: 'Release Candidate',
+    description: 'Staging release candidate for final validation'
+  },
+  wip: {
+    emoji: '🚧',
+    title: 'Work in Progress',
+    description: 'Experimental build from feature branch'
+  }
+};
+
+const DEFAULT_VERSION_TEMPLATE = '{base}-{flow}.{sha}';
+// prerelease-scheme: counter - sorts chronologically, the SHA moves to build metadata
+const COUNTER_VERSION_TEMPLATE = '{base}-{flow}.{counter}+sha.{sha}';
+
+const RULE_KEYS = ['event', 'branch', 'head', 'prerelease', 'flow', 'dist-tag', 'version', 'publish', 'label'];
+const FLOW_KEYS = ['emoji', 'title', 'description'];
+
+// Placeholders available in version and dist-tag templates
+const TEMPLATE_VARIABLES = ['base', 'flow', 'sha', 'branch', 'head', 'pr', 'run', 'release', 'prerelease', 'counter'];
+
+/**
+ * Escape glob syntax so a branch name matches literally
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeGlob(value) {
+  return String(value).replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Built-in rules for the configured main and dev branches
+ * @param {string} mainBranch
+ * @param {string} devBranch
+ * @returns {object[]}
+ */
+function builtInRules(mainBranch, devBranch) {
+  const main = escapeGlob(mainBranch);
+  const dev = escapeGlob(devBranch);
+  return [
+    { event: 'release', prerelease: true, flow: 'release', version: '{release}', 'dist-tag': '{prerelease}', label: '🎭 Flow: Pre-release' },
+    { event: 'release', flow: 'release', version: '{release}', 'dist-tag': 'latest', label: '🎉 Flow: Production release' },
+    { event: 'pull_request', branch: dev, flow: 'pr', label: '🔀 Flow: PR to dev branch' },
+    { event: 'pull_request', branch: main, head: dev, flow: 'dev', label: '🚀 Flow: Dev to main PR' },
+    { event: 'pull_request', branch: main, flow: 'patch', label: '🔧 Flow: Patch PR to main' },
+    { event: 'pull_request', flow: 'wip', label: '🚧 Flow: WIP PR' },
+    { event: 'push', branch: main, flow: 'staging', label: '🎯 Flow: Staging release (push to main)' },
+    { event: 'push', branch: dev, flow: 'dev', label: '🔨 Flow: Dev branch push' },
+    { event: 'push', flow: 'wip', label: '🚧 Flow: WIP branch push' },
+    { flow: 'wip', label: '❓ Flow: Unknown event type' }
+  ].map(rule => ({ ...rule, source: 'built-in' }));
+}
+
+/**
+ * Convert a branch glob to a regular expression
+ * `*` matches within one path segment, `**` across segments, `?` one character
+ * @param {string} glob - e.g. "release/*", "hotfix/**"
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let regex = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '\\' && i + 1 < glob.length) {
+      regex += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else if (char === '*') {
+      if (glob[i + 1] === '*') {
+        regex += '.*';
+        i++;
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Whether a value matches a pattern or any pattern of a list (undefined matches everything)
+ * @param {string|string[]|undefined} patterns
+ * @param {string} value
+ * @returns {boolean}
+ */
+function matchesAny(patterns, value) {
+  if (patterns === undefined) {
+    return true;
+  }
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.some(pattern => pattern === '*' || globToRegExp(pattern).test(value || ''));
+}
+
+/**
+ * Find the first rule matching an event
+ * @param {object[]} rules
+ * @param {object} context - { event, branch, head, prerelease }
+ *   branch is the pushed branch, or the target (base) branch of a pull request
+ * @returns {object|null}
+ */
+function matchFlowRule(rules, context) {
+  return rules.find(rule => {
+    if (!matchesAny(rule.event, context.event)) {
+      return false;
+    }
+    if (rule.branch !== undefined && !matchesAny(rule.branch, context.branch)) {
+      return false;
+    }
+    if (rule.head !== undefined && (context.event !== 'pull_request' || !matchesAny(rule.head, context.head))) {
+      return false;
+    }
+    if (rule.prerelease !== undefined && (context.event !== 'release' || rule.prerelease !== context.prerelease)) {
+      return false;
+    }
+    return true;
+  }) || null;
+}
+
+/**
+ * Replace {placeholders} in a version or dist-tag template
+ * @param {string} template
+ * @param {object} variables - Values for TEMPLATE_VARIABLES
+ * @returns {string}
+ */
+function renderTemplate(template, variables) {
+  return template.replace(/\{([a-z-]+)\}/g, (match, name) => {
+    if (!TEMPLATE_VARIABLES.includes(name)) {
+      throw new Error(`Unknown placeholder ${match} in "${template}" (expected ${TEMPLATE_VARIABLES.map(v => `{${v}}`).join(', ')})`);
+    }
+    const value = variables[name];
+    if (value === undefined || value === '') {
+      throw new Error(`Placeholder ${match} in "${template}" has no value for this event`);
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Pattern matching the published versions a counter template has produced
+ * Build metadata is ignored because registries drop it on publish
+ * @param {string} template - Version template containing {counter}
+ * @param {object} variables - Values for the other placeholders
+ * @returns {RegExp} - Captures the counter
+ */
+function counterPattern(template, variables) {
+  const marker = '\u0000';
+  const [version] = renderTemplate(template, { ...variables, counter: marker }).split('+');
+  const parts = version.split(marker);
+  if (parts.length !== 2) {
+    throw new Error(`Version template "${template}" must use {counter} exactly once, before any build metadata`);
+  }
+  const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escape(parts[0])}(0|[1-9]\\d*)${escape(parts[1])}$`);
+}
+
+/**
+ * Next counter for a counter template: one above the highest published, or 0
+ * @param {string[]} versions - Versions already published
+ * @param {RegExp} pattern - From counterPattern()
+ * @returns {number}
+ */
+function nextCounter(versions, pattern) {
+  return versions.reduce((next, version) => {
+    const match = version.match(pattern);
+    return match ? Math.max(next, Number(match[1]) + 1) : next;
+  }, 0);
+}
+
+/**
+ * Counter of a version already published from a commit, so a re-run of the
+ * same commit reuses its version instead of publishing the next counter
+ * @param {object} versions - Packument versions map (full metadata, which records gitHead)
+ * @param {RegExp} pattern - From counterPattern()
+ * @param {string} sha - Full commit SHA
+ * @returns {number|null} - The highest such counter, or null when there is none
+ */
+function publishedCounter(versions, pattern, sha) {
+  return Object.entries(versions || {}).reduce((found, [version, manifest]) => {
+    const match = version.match(pattern);
+    if (!match || !manifest || manifest.gitHead !== sha) {
+      return found;
+    }
+    return Math.max(found === null ? 0 : found, Number(match[1]));
+  }, null);
+}
+
+/**
+ * Make a branch name usable in a semver prerelease identifier
+ * @param {string} branch - e.g. "release/2.1"
+ * @returns {string} - e.g. "release-2-1"
+ */
+function sanitizeIdentifier(branch) {
+  return String(branch || '').replace(/[^0-9A-Za-z-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function validateStringList(value, key, index) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some(item => typeof item !== 'string' || item === '')) {
+    throw new Error(`rules[${index}].${key} must be a non-empty string or array of strings`);
+  }
+}
+
+/**
+ * Load and validate a flow config file
+ * @param {string} filePath - JSON file with optional "rules" and "flows"
+ * @returns {object} - { rules, flows }
+ */
+function loadFlowConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Flow config not found: ${filePath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse flow config ${filePath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Flow config must be a JSON object with "rules" and/or "flows"');
+  }
+
+  const rules = config.rules === undefined ? [] : config.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('Flow config "rules" must be an array');
+  }
+
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`rules[${index}] must be an object`);
+    }
+    const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`rules[${index}] has unknown key(s): ${unknown.join(', ')} (expected ${RULE_KEYS.join(', ')})`);
+    }
+    if (typeof rule.flow !== 'string' || !/^[0-9A-Za-z-]+$/.test(rule.flow)) {
+      throw new Error(`rules[${index}].flow is required and may only contain letters, digits and hyphens`);
+    }
+    ['event', 'branch', 'head'].forEach(key => {
+      if (rule[key] !== undefined) {
+        validateStringList(rule[key], key, index);
+      }
+    });
+    ['version', 'dist-tag', 'label'].forEach(key => {
+      if (rule[key] !== undefined && (typeof rule[key] !== 'string' || rule[key] === '')) {
+        throw new Error(`rules[${index}].${key} must be a non-empty string`);
+      }
+    });
+    ['prerelease', 'publish'].forEach(key => {
+      if (rule[key] !== undefined && typeof rule[key] !== 'boolean') {
+        throw new Error(`rules[${index}].${key} must be true or false`);
+      }
+    });
+  });
+
+  const flows = config.flows === undefined ? {} : config.flows;
+  if (!flows || typeof flows !== 'object' || Array.isArray(flows)) {
+    throw new Error('Flow config "flows" must be an object keyed by flow name');
+  }
+  Object.entries(flows).forEach(([name, info]) => {
+    if (!info || typeof info !== 'object' || Array.isArray(info)) {
+      throw new Error(`flows.${name} must be an object`);
+    }
+    const unknown = Object.keys(info).filter(key => !FLOW_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`flows.${name} has unknown key(s): ${unknown.join(', ')} (expected ${FLOW_KEYS.join(', ')})`);
+    }
+  });
+
+  return {
+    rules: rules.map(rule => ({ ...rule, source: 'config' })),
+    flows
+  };
+}
+
+/**
+ * How a flow is presented (emoji, title, description), preferring the flow config
+ * @param {string} flow - Flow name
+ * @param {object} [flows] - "flows" from the flow config
+ * @returns {object}
+ */
+function getFlowInfo(flow, flows = {}) {
+  const builtIn = BUILT_IN_FLOWS[flow] || {
+    emoji: '📦',
+    title: `${flow.charAt(0).toUpperCase()}${flow.slice(1)} Build`,
+    description: `Package built by the "${flow}" flow`
+  };
+  return { ...builtIn, ...(flows[flow] || {}) };
+}
+
+module.exports = {
+  BUILT_IN_FLOWS,
+  DEFAULT_VERSION_TEMPLATE,
+  COUNTER_VERSION_TEMPLATE,
+  builtInRules,
+  globToRegExp,
+  matchFlowRule,
+  renderTemplate,
+  counterPattern,
+  nextCounter,
+  publishedCounter,
+  sanitizeIdentifier,
+  loadFlowConfig,
+  getFlowInfo
+};
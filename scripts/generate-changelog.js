@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Changelog Generation Script
+ * Generates a changelog entry for one package from the commits in COMPARE_BASE..HEAD
+ * that touch its directory, grouped by conventional commit type with PR and commit links.
+ * The entry is prepended to the package's CHANGELOG.md and appended to RELEASE_NOTES_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { packageDirectory, readCommits } = require('./conventional-commits');
+
+// Read inputs from environment
+const PACKAGE_PATH = process.env.PACKAGE_PATH || './package.json';
+const PACKAGE_VERSION = process.env.PACKAGE_VERSION || '';
+const COMPARE_BASE = process.env.COMPARE_BASE || '';
+const RELEASE_NOTES_FILE = process.env.RELEASE_NOTES_FILE || '';
+const GITHUB_SERVER_URL = process.env.GITHUB_SERVER_URL || 'https://github.com';
+const GITHUB_REPOSITORY = process.env.GITHUB_REPOSITORY || '';
+
+const CHANGELOG_TITLE = '# Changelog';
+
+// Sections in display order; unlisted commit types fall under Other Changes
+const SECTIONS = [
+  { key: 'breaking', title: '⚠️ Breaking Changes' },
+  { key: 'feat', title: 'Features' },
+  { key: 'fix', title: 'Bug Fixes' },
+  { key: 'perf', title: 'Performance Improvements' },
+  { key: 'revert', title: 'Reverts' },
+  { key: 'refactor', title: 'Code Refactoring' },
+  { key: 'docs', title: 'Documentation' },
+  { key: 'other', title: 'Other Changes' }
+];
+
+// Maintenance commit types left out of changelogs
+const HIDDEN_TYPES = ['chore', 'ci', 'test', 'build', 'style'];
+
+console.log('📝 Generating changelog...');
+
+if (!COMPARE_BASE) {
+  console.error('❌ Error: COMPARE_BASE is required to generate a changelog');
+  process.exit(1);
+}
+
+if (!fs.existsSync(PACKAGE_PATH)) {
+  console.error(`❌ Error: package.json not found at ${PACKAGE_PATH}`);
+  process.exit(1);
+}
+
+let packageJson;
+try {
+  packageJson = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf8'));
+} catch (error) {
+  console.error(`❌ Error: Failed to read package.json at ${PACKAGE_PATH}`);
+  console.error(error.message);
+  process.exit(1);
+}
+
+const packageName = packageJson.name || path.basename(path.dirname(path.resolve(PACKAGE_PATH)));
+const version = PACKAGE_VERSION || packageJson.version || '0.0.0';
+const repoUrl = GITHUB_REPOSITORY ? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}` : '';
+
+/**
+ * Pick the section a commit belongs to
+ * @param {object} commit - Classified commit
+ * @returns {string|null} - Section key, or null when the commit is hidden
+ */
+function sectionFor(commit) {
+  if (commit.breaking) {
+    return 'breaking';
+  }
+  if (!commit.type) {
+    return 'other';
+  }
+  if (HIDDEN_TYPES.includes(commit.type)) {
+    return null;
+  }
+  return SECTIONS.some(section => section.key === commit.type) ? commit.type : 'other';
+}
+
+/**
+ * Render one changelog line with PR and commit links
+ * @param {object} commit - Classified commit
+ * @returns {string} - Markdown list item
+ */
+function renderEntry(commit) {
+  let description = commit.description;
+  const prNumbers = [];
+
+  // Squash merges append "(#123)" to the subject; turn those into PR links
+  description = description.replace(/\s*\(#(\d+)\)/g, (match, number) => {
+    prNumbers.push(number);
+    return '';
+  });
+
+  let line = commit.scope ? `- **${commit.scope}:** ${description}` : `- ${description}`;
+
+  prNumbers.forEach(number => {
+    line += repoUrl ? ` ([#${number}](${repoUrl}/pull/${number}))` : ` (#${number})`;
+  });
+
+  const shortSha = commit.sha.substring(0, 7);
+  line += repoUrl ? ` ([${shortSha}](${repoUrl}/commit/${commit.sha}))` : ` (${shortSha})`;
+
+  return line;
+}
+
+/**
+ * Render grouped sections
+ * @param {object[]} commits - Classified commits, newest first
+ * @param {string} headingLevel - Markdown heading prefix for section titles
+ * @returns {string} - Markdown, empty when no commit is shown
+ */
+function renderSections(commits, headingLevel) {
+  const grouped = {};
+  commits.forEach(commit => {
+    const key = sectionFor(commit);
+    if (key) {
+      (grouped[key] = grouped[key] || []).push(renderEntry(commit));
+    }
+  });
+
+  return SECTIONS
+    .filter(section => grouped[section.key])
+    .map(section => `${headingLevel} ${section.title}\n\n${grouped[section.key].join('\n')}\n`)
+    .join('\n');
+}
+
+let scopeDir = '';
+let commits = [];
+try {
+  scopeDir = packageDirectory(PACKAGE_PATH);
+  commits = readCommits(`${COMPARE_BASE}..HEAD`, scopeDir);
+} catch (error) {
+  console.error(`❌ Error: Failed to read commits for ${COMPARE_BASE}..HEAD`);
+  console.error(error.message);
+  process.exit(1);
+}
+
+console.log(`📦 Package: ${packageName}@${version}`);
+console.log(`📊 Commits in ${COMPARE_BASE}..HEAD${scopeDir ? ` touching ${scopeDir}/` : ''}: ${commits.length}`);
+
+const sections = renderSections(commits, '###');
+
+if (!sections) {
+  console.log('ℹ️  No notable changes, skipping changelog entry');
+  process.exit(0);
+}
+
+const date = new Date().toISOString().split('T')[0];
+const entry = `## ${version} (${date})\n\n${sections}`;
+
+// Prepend the entry to CHANGELOG.md, keeping the title at the top.
+// Re-running for the same version leaves the file untouched.
+const changelogPath = path.join(path.dirname(PACKAGE_PATH), 'CHANGELOG.md');
+const existing = fs.existsSync(changelogPath) ? fs.readFileSync(changelogPath, 'utf8') : '';
+
+const versionHeading = new RegExp(`^## \\[?${version.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\]?[\\s(]`, 'm');
+if (versionHeading.test(existing)) {
+  console.log(`ℹ️  ${changelogPath} already has an entry for ${version}, leaving it unchanged`);
+} else {
+  let previous = existing.startsWith(CHANGELOG_TITLE) ? existing.substring(CHANGELOG_TITLE.length) : existing;
+  previous = previous.replace(/^\s+/, '');
+  fs.writeFileSync(changelogPath, `${CHANGELOG_TITLE}\n\n${entry}${previous ? `\n${previous}` : ''}`);
+  console.log(`✅ Updated ${changelogPath}`);
+}
+
+// Release notes use one heading level deeper so several packages can be combined
+if (RELEASE_NOTES_FILE) {
+  const notes = `### ${packageName}@${version}\n\n${renderSections(commits, '####')}`;
+  const separator = fs.existsSync(RELEASE_NOTES_FILE) && fs.statSync(RELEASE_NOTES_FILE).size > 0 ? '\n' : '';
+  fs.appendFileSync(RELEASE_NOTES_FILE, `${separator}${notes}`);
+}
+
+console.log('');
+console.log(entry);
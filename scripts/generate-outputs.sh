@@ -22,10 +22,11 @@ if [ "$MONOREPO_MODE" = "true" ]; then
   fi
   
   # Parse BUILD_RESULTS_JSON to extract package information
-  # Use npm-published/github-published flags to determine actual publish status
+  # Use npm-published/github-published flags (and registry target status) to determine actual publish status
   # Only include packages that were published AND have result "success"
-  PACKAGES_PUBLISHED=$(echo "$BUILD_RESULTS_JSON" | jq -r '[.[] | select((.result == "success") and ((.["npm-published"] == "true") or (.["github-published"] == "true"))) | .name] | join(",")')
+  PACKAGES_PUBLISHED=$(echo "$BUILD_RESULTS_JSON" | jq -r '[.[] | select((.result == "success") and ((.["npm-published"] == "true") or (.["github-published"] == "true") or any(.registries[]?; .published == "true"))) | .name] | join(",")')
   PACKAGES_FAILED=$(echo "$BUILD_RESULTS_JSON" | jq -r '[.[] | select(.result == "failed") | .name] | join(",")')
+  PACKAGES_SKIPPED=$(echo "$BUILD_RESULTS_JSON" | jq -r '[.[] | select(.result == "skipped") | .name] | join(",")')
   TOTAL_PACKAGES=$(echo "$BUILD_RESULTS_JSON" | jq '. | length')
   
   # Determine changed packages count:
@@ -38,6 +39,20 @@ if [ "$MONOREPO_MODE" = "true" ]; then
     CHANGED_PACKAGES_COUNT=$(echo "$CHANGED_PACKAGES_JSON" | jq '. | length')
   fi
   
+  # Aggregate per-package audit summaries into workspace totals
+  AUDITED_PACKAGES=$(echo "$BUILD_RESULTS_JSON" | jq '[.[] | select(.audit != null)] | length')
+  TOTAL_VULNERABILITIES=$(echo "$BUILD_RESULTS_JSON" | jq '[.[] | .audit.totalVulnerabilities // 0] | add // 0')
+  CRITICAL_VULNERABILITIES=$(echo "$BUILD_RESULTS_JSON" | jq '[.[] | .audit.critical // 0] | add // 0')
+  HIGH_VULNERABILITIES=$(echo "$BUILD_RESULTS_JSON" | jq '[.[] | .audit.high // 0] | add // 0')
+  IGNORED_VULNERABILITIES=$(echo "$BUILD_RESULTS_JSON" | jq '[.[] | .audit.ignoredCount // 0] | add // 0')
+  IGNORED_CRITICAL_VULNERABILITIES=$(echo "$BUILD_RESULTS_JSON" | jq '[.[] | .audit.ignored.critical // 0] | add // 0')
+  IGNORED_HIGH_VULNERABILITIES=$(echo "$BUILD_RESULTS_JSON" | jq '[.[] | .audit.ignored.high // 0] | add // 0')
+  if [ "$AUDITED_PACKAGES" -gt 0 ]; then
+    AUDIT_COMPLETED="true"
+  else
+    AUDIT_COMPLETED="false"
+  fi
+  
   echo "  Total packages: $TOTAL_PACKAGES"
   echo "  Changed packages: $CHANGED_PACKAGES_COUNT"
   echo "  Successfully published: $PACKAGES_PUBLISHED"
@@ -45,12 +60,60 @@ if [ "$MONOREPO_MODE" = "true" ]; then
   if [ -n "$PACKAGES_FAILED" ]; then
     echo "  Failed packages: $PACKAGES_FAILED"
   fi
+  if [ -n "$PACKAGES_SKIPPED" ]; then
+    echo "  Skipped packages (dependency failed): $PACKAGES_SKIPPED"
+  fi
+  
+  if [ "$AUDIT_COMPLETED" = "true" ]; then
+    echo "  Audited packages: $AUDITED_PACKAGES"
+    echo "  Total vulnerabilities: $TOTAL_VULNERABILITIES (critical: $CRITICAL_VULNERABILITIES, high: $HIGH_VULNERABILITIES)"
+    echo "  Ignored advisories: $IGNORED_VULNERABILITIES (critical: $IGNORED_CRITICAL_VULNERABILITIES, high: $IGNORED_HIGH_VULNERABILITIES)"
+  fi
   
   # Set GitHub Actions outputs
   echo "packages-published=$PACKAGES_PUBLISHED" >> "$GITHUB_OUTPUT"
   echo "packages-failed=$PACKAGES_FAILED" >> "$GITHUB_OUTPUT"
+  echo "packages-skipped=$PACKAGES_SKIPPED" >> "$GITHUB_OUTPUT"
   echo "total-packages=$TOTAL_PACKAGES" >> "$GITHUB_OUTPUT"
   echo "changed-packages-count=$CHANGED_PACKAGES_COUNT" >> "$GITHUB_OUTPUT"
+  echo "audit-completed=$AUDIT_COMPLETED" >> "$GITHUB_OUTPUT"
+  echo "total-vulnerabilities=$TOTAL_VULNERABILITIES" >> "$GITHUB_OUTPUT"
+  echo "critical-vulnerabilities=$CRITICAL_VULNERABILITIES" >> "$GITHUB_OUTPUT"
+  echo "high-vulnerabilities=$HIGH_VULNERABILITIES" >> "$GITHUB_OUTPUT"
+  echo "ignored-vulnerabilities=$IGNORED_VULNERABILITIES" >> "$GITHUB_OUTPUT"
+  echo "ignored-critical-vulnerabilities=$IGNORED_CRITICAL_VULNERABILITIES" >> "$GITHUB_OUTPUT"
+  echo "ignored-high-vulnerabilities=$IGNORED_HIGH_VULNERABILITIES" >> "$GITHUB_OUTPUT"
+  
+  # Merge per-package SARIF reports into a single run for code scanning upload
+  mapfile -t SARIF_FILES < <(echo "$BUILD_RESULTS_JSON" | jq -r '.[] | .audit.sarifFile // empty')
+  EXISTING_SARIF_FILES=()
+  for sarif_file in "${SARIF_FILES[@]}"; do
+    if [ -f "$sarif_file" ]; then
+      EXISTING_SARIF_FILES+=("$sarif_file")
+    fi
+  done
+  
+  if [ "${#EXISTING_SARIF_FILES[@]}" -gt 0 ]; then
+    MERGED_SARIF_FILE="audit-results.sarif"
+    jq -s '{
+      "$schema": .[0]["$schema"],
+      "version": "2.1.0",
+      "runs": [{
+        "tool": {"driver": (.[0].runs[0].tool.driver + {"rules": ([.[].runs[0].tool.driver.rules[]] | unique_by(.id))})},
+        "results": [.[].runs[0].results[] | del(.ruleIndex)]
+      }]
+    }' "${EXISTING_SARIF_FILES[@]}" > "$MERGED_SARIF_FILE"
+    echo "  SARIF report: $MERGED_SARIF_FILE (merged from ${#EXISTING_SARIF_FILES[@]} package(s))"
+    echo "audit-sarif-file=$MERGED_SARIF_FILE" >> "$GITHUB_OUTPUT"
+  fi
+  
+  # Every package's SBOM is written to the same directory by build-and-publish.sh
+  SBOM_COUNT=$(echo "$BUILD_RESULTS_JSON" | jq '[.[] | select(.sbom != null)] | length')
+  if [ "$SBOM_COUNT" -gt 0 ]; then
+    SBOM_DIR=$(dirname "$(echo "$BUILD_RESULTS_JSON" | jq -r '[.[] | .sbom // empty][0]')")
+    echo "  SBOMs: $SBOM_DIR ($SBOM_COUNT package(s))"
+    echo "sbom-dir=$SBOM_DIR" >> "$GITHUB_OUTPUT"
+  fi
   
   echo ""
   echo "✅ Monorepo outputs generated"
@@ -67,7 +130,8 @@ else
   REGISTRY_URLS=""
 
   if [ "$REGISTRY" = "npm" ] || [ "$REGISTRY" = "both" ]; then
-    if [ "$NPM_PUBLISHED" = "true" ]; then
+    # An already-published version is installable just the same
+    if [ "$NPM_PUBLISHED" = "true" ] || [ "$NPM_PUBLISHED" = "already-published" ]; then
       NPM_URL="${NPM_REGISTRY_URL}/${PACKAGE_NAME}"
       NPM_INSTALL="npm install ${PACKAGE_NAME}@${PACKAGE_VERSION}"
       
@@ -82,7 +146,7 @@ else
   fi
 
   if [ "$REGISTRY" = "github" ] || [ "$REGISTRY" = "both" ]; then
-    if [ "$GITHUB_PUBLISHED" = "true" ]; then
+    if [ "$GITHUB_PUBLISHED" = "true" ] || [ "$GITHUB_PUBLISHED" = "already-published" ]; then
       # Determine GitHub package name
       if [[ "$PACKAGE_NAME" == @* ]]; then
         GITHUB_PACKAGE_NAME="$PACKAGE_NAME"
@@ -115,6 +179,22 @@ else
     fi
   fi
 
+  # Additional registry targets report the package name they were published under
+  if echo "${REGISTRY_TARGETS_RESULT_JSON:-[]}" | jq -e 'type == "array"' >/dev/null 2>&1; then
+    while IFS=$'\t' read -r target_name target_url target_package; do
+      [ -z "$target_name" ] && continue
+      TARGET_INSTALL="npm install ${target_package}@${PACKAGE_VERSION} --registry ${target_url}"
+
+      if [ -z "$REGISTRY_URLS" ]; then
+        REGISTRY_URLS="${target_name}: ${TARGET_INSTALL}"
+      else
+        REGISTRY_URLS="${REGISTRY_URLS} | ${target_name}: ${TARGET_INSTALL}"
+      fi
+
+      echo "  ${target_name}: $TARGET_INSTALL"
+    done < <(echo "${REGISTRY_TARGETS_RESULT_JSON:-[]}" | jq -r '.[] | select(.published == "true" or .published == "already-published") | [.name, .url, .package] | @tsv')
+  fi
+
   if [ -z "$REGISTRY_URLS" ]; then
     REGISTRY_URLS="No packages published"
   fi
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * SBOM Generation Script
+ * Writes a CycloneDX 1.5 JSON SBOM for a package from its resolved (installed)
+ * dependency tree. Dependencies are located the way Node.js resolves them, by
+ * walking up node_modules directories, so npm, pnpm (symlinked), yarn
+ * (node-modules linker) and bun installs are all supported. Only what ships
+ * with the package is included: dependencies, optionalDependencies and
+ * peerDependencies, never devDependencies.
+ *
+ * Workspace packages are linked to their source directory, whose package.json
+ * still has the version from before the build. Their version is taken from the
+ * resolved specifier in the published manifest, or from WORKSPACE_VERSIONS (the
+ * versions built earlier in a monorepo run) for workspace packages further down the tree.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Read inputs from environment
+const PACKAGE_PATH = process.env.PACKAGE_PATH || './package.json';
+const SBOM_FILE = process.env.SBOM_FILE || '';
+// JSON object: package name → version built in this run (set by the monorepo orchestrator)
+const WORKSPACE_VERSIONS_JSON = process.env.WORKSPACE_VERSIONS || '';
+
+const RUNTIME_DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+
+/**
+ * Package URL of an npm package (https://github.com/package-url/purl-spec)
+ * @param {string} name - e.g. "@scope/name"
+ * @param {string} version
+ * @returns {string} - e.g. "pkg:npm/%40scope/name@1.0.0"
+ */
+function purl(name, version) {
+  const encodedName = name.split('/').map(encodeURIComponent).join('/');
+  return `pkg:npm/${encodedName}@${encodeURIComponent(version)}`;
+}
+
+/**
+ * CycloneDX licenses for a package.json: SPDX expressions where possible, names otherwise
+ * @param {object} manifest
+ * @returns {object[]|undefined}
+ */
+function licenses(manifest) {
+  let values = [];
+  if (typeof manifest.license === 'string') {
+    values = [manifest.license];
+  } else if (manifest.license && manifest.license.type) {
+    values = [manifest.license.type];
+  } else if (Array.isArray(manifest.licenses)) {
+    // Legacy "licenses": [{ "type": "MIT" }]
+    values = manifest.licenses.map(license => (typeof license === 'string' ? license : license && license.type)).filter(Boolean);
+  }
+
+  if (values.length === 0) {
+    return undefined;
+  }
+  const spdxExpression = /^\(?[A-Za-z0-9.+-]+( (AND|OR|WITH) \(?[A-Za-z0-9.+-]+\)?)*\)?$/;
+  return values.map(value => (spdxExpression.test(value) ? { expression: value } : { license: { name: value } }));
+}
+
+/**
+ * Versions built earlier in this monorepo run
+ * @returns {object} - Package name → version
+ */
+function workspaceVersions() {
+  if (!WORKSPACE_VERSIONS_JSON) {
+    return {};
+  }
+  try {
+    const versions = JSON.parse(WORKSPACE_VERSIONS_JSON);
+    return versions && typeof versions === 'object' && !Array.isArray(versions) ? versions : {};
+  } catch (error) {
+    console.log(`⚠️  Warning: Ignoring invalid WORKSPACE_VERSIONS: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Version a resolved specifier pins (workspace:^ is published as ^1.2.0, aliases as npm:name@1.2.0)
+ * @param {string} specifier
+ * @returns {string} - Empty when the specifier is not a single version
+ */
+function specifierVersion(specifier) {
+  const match = String(specifier || '').match(/^(?:npm:(?:@[^/]+\/)?[^@]+@)?[\^~=v]*(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?)$/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Whether an installed dependency is a workspace package (linked to its source, not installed)
+ * @param {string} dir - Real path of the installed package
+ * @returns {boolean}
+ */
+function isWorkspaceLink(dir) {
+  return !dir.split(path.sep).includes('node_modules');
+}
+
+/**
+ * Find an installed dependency the way Node.js resolves it from a package directory
+ * @param {string} name
+ * @param {string} fromDir - Real path of the depending package
+ * @returns {object|null} - { dir, manifest }
+ */
+function resolveInstalled(name, fromDir) {
+  let dir = fromDir;
+  for (;;) {
+    const candidate = path.join(dir, 'node_modules', name, 'package.json');
+    if (fs.existsSync(candidate)) {
+      const packageDir = fs.realpathSync(path.dirname(candidate));
+      return { dir: packageDir, manifest: JSON.parse(fs.readFileSync(candidate, 'utf8')) };
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Walk the installed dependency tree of a package
+ * @param {string} rootDir - Real path of the package directory
+ * @param {object} rootManifest - Its package.json
+ * @param {string} rootRef - bom-ref of the package itself
+ * @returns {object} - { components, dependencies, missing }
+ */
+function walkDependencies(rootDir, rootManifest, rootRef) {
+  const builtVersions = workspaceVersions();
+  const components = new Map();
+  const dependencies = new Map();
+  const missing = [];
+  const queue = [{ dir: rootDir, manifest: rootManifest, ref: rootRef }];
+
+  while (queue.length > 0) {
+    const { dir, manifest, ref } = queue.shift();
+    if (dependencies.has(ref)) {
+      continue;
+    }
+    const dependsOn = new Set();
+    dependencies.set(ref, dependsOn);
+
+    for (const field of RUNTIME_DEPENDENCY_FIELDS) {
+      for (const name of Object.keys(manifest[field] || {})) {
+        const installed = resolveInstalled(name, dir);
+        if (!installed) {
+          // Optional and peer dependencies may legitimately be absent
+          if (field === 'dependencies') {
+            missing.push(`${manifest.name || ref} → ${name}`);
+          }
+          continue;
+        }
+
+        let version = installed.manifest.version || '0.0.0';
+        if (isWorkspaceLink(installed.dir)) {
+          // Registries drop build metadata on publish
+          const published = (ref === rootRef && specifierVersion(manifest[field][name])) || builtVersions[name] || version;
+          version = String(published).split('+')[0];
+        }
+        const componentRef = purl(name, version);
+        dependsOn.add(componentRef);
+        if (!components.has(componentRef)) {
+          components.set(componentRef, {
+            type: 'library',
+            'bom-ref': componentRef,
+            name,
+            version,
+            scope: field === 'dependencies' ? 'required' : 'optional',
+            description: installed.manifest.description || undefined,
+            licenses: licenses(installed.manifest),
+            purl: componentRef
+          });
+        } else if (field === 'dependencies') {
+          // Required anywhere in the tree makes it required
+          components.get(componentRef).scope = 'required';
+        }
+        queue.push({ dir: installed.dir, manifest: installed.manifest, ref: componentRef });
+      }
+    }
+  }
+
+  return { components, dependencies, missing };
+}
+
+function main() {
+  if (!SBOM_FILE) {
+    throw new Error('SBOM_FILE is required');
+  }
+  if (!fs.existsSync(PACKAGE_PATH)) {
+    throw new Error(`package.json not found at '${PACKAGE_PATH}'`);
+  }
+
+  const packageDir = fs.realpathSync(path.dirname(PACKAGE_PATH));
+  const manifest = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf8'));
+  // Registries drop build metadata on publish, so the purl uses the version as stored
+  const registryVersion = String(manifest.version || '0.0.0').split('+')[0];
+  const rootRef = purl(manifest.name, registryVersion);
+
+  console.log(`📋 Generating CycloneDX SBOM for ${manifest.name}@${manifest.version}...`);
+  const { components, dependencies, missing } = walkDependencies(packageDir, manifest, rootRef);
+
+  if (missing.length > 0) {
+    throw new Error(`${missing.length} dependency(ies) are not installed, so the SBOM would be incomplete: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', …' : ''}`);
+  }
+
+  const sbom = {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      tools: {
+        components: [{ type: 'application', name: 'package-build-flow-action' }]
+      },
+      component: {
+        type: 'library',
+        'bom-ref': rootRef,
+        name: manifest.name,
+        version: manifest.version,
+        description: manifest.description || undefined,
+        licenses: licenses(manifest),
+        purl: rootRef
+      }
+    },
+    components: [...components.values()].sort((a, b) => a['bom-ref'].localeCompare(b['bom-ref'])),
+    dependencies: [...dependencies.entries()]
+      .map(([ref, dependsOn]) => ({ ref, dependsOn: [...dependsOn].sort() }))
+      .sort((a, b) => a.ref.localeCompare(b.ref))
+  };
+
+  fs.mkdirSync(path.dirname(SBOM_FILE), { recursive: true });
+  fs.writeFileSync(SBOM_FILE, JSON.stringify(sbom, null, 2));
+  console.log(`✅ SBOM with ${components.size} component(s) written to ${SBOM_FILE}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
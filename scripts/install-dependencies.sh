@@ -0,0 +1,32 @@
+#!/bin/bash
+set -e
+
+# Install Dependencies
+# Installs the dependencies of the current directory with the lockfile-respecting
+# command of the package manager given as the first argument (npm, yarn, pnpm, or bun).
+# Shared by build-and-publish.sh and the monorepo orchestrator, which installs each
+# workspace once before building its packages.
+
+PKG_MANAGER="${1:-npm}"
+
+echo "📥 Installing dependencies..."
+if [ "$PKG_MANAGER" = "bun" ]; then
+  bun install --frozen-lockfile
+elif [ "$PKG_MANAGER" = "pnpm" ]; then
+  pnpm install --frozen-lockfile
+elif [ "$PKG_MANAGER" = "yarn" ]; then
+  # Yarn v1 uses --frozen-lockfile, Yarn v2+ uses --immutable
+  # Check major version number
+  YARN_MAJOR_VERSION=$(yarn --version | cut -d. -f1)
+  if [ "$YARN_MAJOR_VERSION" -ge 2 ]; then
+    yarn install --immutable
+  else
+    yarn install --frozen-lockfile
+  fi
+elif [ -f "package-lock.json" ]; then
+  npm ci
+else
+  npm install
+fi
+
+echo "✅ Dependencies installed"
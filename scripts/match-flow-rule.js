@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Flow Rule Matching Script
+ * Picks the build flow for an event: rules from the flow config are tried in
+ * order, then the built-in main/dev rules. The matched rule's templates are
+ * rendered into the package version and dist-tag. A {counter} in the version
+ * template is resolved from the versions already published on the target registries.
+ */
+
+const fs = require('fs');
+const {
+  DEFAULT_VERSION_TEMPLATE,
+  COUNTER_VERSION_TEMPLATE,
+  builtInRules,
+  matchFlowRule,
+  renderTemplate,
+  counterPattern,
+  nextCounter,
+  publishedCounter,
+  sanitizeIdentifier,
+  loadFlowConfig
+} = require('./flow-rules');
+const { packumentUrl, fetchPackument } = require('./registry-client');
+
+// Read inputs from environment
+const FLOW_CONFIG = process.env.FLOW_CONFIG || '';
+const MAIN_BRANCH = process.env.MAIN_BRANCH || 'main';
+const DEV_BRANCH = process.env.DEV_BRANCH || 'dev';
+const EVENT_NAME = process.env.EVENT_NAME || '';
+const BRANCH = process.env.BRANCH || '';
+const HEAD_BRANCH = process.env.HEAD_BRANCH || '';
+const RELEASE_PRERELEASE = process.env.RELEASE_PRERELEASE === 'true';
+const RELEASE_VERSION = process.env.RELEASE_VERSION || '';
+const BASE_VERSION = process.env.BASE_VERSION || '';
+const SHA = process.env.SHA || '';
+const SHORT_SHA = process.env.SHORT_SHA || '';
+const PR_NUMBER = process.env.PR_NUMBER || '';
+const RUN_NUMBER = process.env.RUN_NUMBER || '';
+const PRERELEASE_SCHEME = process.env.PRERELEASE_SCHEME || 'sha';
+// JSON array of { name, url, token }: where each target registry publishes the package
+const COUNTER_REGISTRIES = process.env.COUNTER_REGISTRIES || '[]';
+const GITHUB_OUTPUT = process.env.GITHUB_OUTPUT || '';
+
+const SEMVER_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*)?(\+[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*)?$/;
+
+/**
+ * First prerelease identifier of a version (e.g. "beta" from "1.0.0-beta.1")
+ * @param {string} version
+ * @returns {string}
+ */
+function prereleaseIdentifier(version) {
+  const match = version.match(/^\d+\.\d+\.\d+-([0-9A-Za-z-]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Resolve {counter}: one above the highest matching version on any target registry,
+ * or the counter a registry already has from this commit (a re-run of the same commit)
+ * @param {string} template - Version template containing {counter}
+ * @param {object} variables - Values for the other placeholders
+ * @returns {Promise<number>}
+ */
+async function resolveCounter(template, variables) {
+  const registries = JSON.parse(COUNTER_REGISTRIES);
+  if (!Array.isArray(registries) || registries.length === 0) {
+    throw new Error('{counter} needs a target registry to read published versions from');
+  }
+
+  const pattern = counterPattern(template, variables);
+  let counter = 0;
+  let reused = null;
+  for (const registry of registries) {
+    let packument;
+    try {
+      // Full metadata: abbreviated packuments leave out gitHead
+      packument = await fetchPackument(packumentUrl(registry.url, registry.name), registry.token, { full: true });
+    } catch (error) {
+      throw new Error(`Could not read published versions of ${registry.name} from ${registry.url}: ${error.message}`);
+    }
+    const versions = packument && packument.versions ? packument.versions : {};
+    const host = new URL(registry.url).host;
+    const existing = SHA ? publishedCounter(versions, pattern, SHA) : null;
+    if (existing !== null) {
+      console.log(`♻️  ${registry.name} on ${host}: counter ${existing} was already published from ${SHA.slice(0, 7)}`);
+      reused = Math.max(reused === null ? 0 : reused, existing);
+    } else {
+      const next = nextCounter(Object.keys(versions), pattern);
+      console.log(`🔢 ${registry.name} on ${host}: next counter ${next}`);
+      counter = Math.max(counter, next);
+    }
+  }
+  return reused !== null ? reused : counter;
+}
+
+async function main() {
+  let configRules = [];
+  if (FLOW_CONFIG) {
+    configRules = loadFlowConfig(FLOW_CONFIG).rules;
+    console.log(`📋 Loaded ${configRules.length} flow rule(s) from ${FLOW_CONFIG}`);
+  }
+
+  const rules = [...configRules, ...builtInRules(MAIN_BRANCH, DEV_BRANCH)];
+  const rule = matchFlowRule(rules, {
+    event: EVENT_NAME,
+    branch: BRANCH,
+    head: HEAD_BRANCH,
+    prerelease: RELEASE_PRERELEASE
+  });
+
+  if (rule.source === 'config') {
+    console.log(`${rule.label || `📋 Flow: ${rule.flow}`} (rule ${configRules.indexOf(rule) + 1} of ${FLOW_CONFIG})`);
+  } else {
+    console.log(rule.label);
+  }
+
+  const variables = {
+    base: BASE_VERSION,
+    flow: rule.flow,
+    sha: SHORT_SHA,
+    branch: sanitizeIdentifier(BRANCH),
+    head: sanitizeIdentifier(HEAD_BRANCH),
+    pr: PR_NUMBER,
+    run: RUN_NUMBER,
+    release: RELEASE_VERSION,
+    prerelease: prereleaseIdentifier(RELEASE_VERSION) || 'prerelease'
+  };
+
+  const versionTemplate = rule.version || (PRERELEASE_SCHEME === 'counter' ? COUNTER_VERSION_TEMPLATE : DEFAULT_VERSION_TEMPLATE);
+  if (versionTemplate.includes('{counter}')) {
+    variables.counter = await resolveCounter(versionTemplate, variables);
+  }
+
+  const version = renderTemplate(versionTemplate, variables);
+  const npmTag = renderTemplate(rule['dist-tag'] || rule.flow, variables);
+  const publish = rule.publish !== false;
+
+  // Built-in release rules keep non-semver tags as-is; custom templates must produce valid semver
+  if (rule.source === 'config' && !SEMVER_PATTERN.test(version)) {
+    throw new Error(`Flow rule version "${versionTemplate}" produced "${version}", which is not valid semver`);
+  }
+
+  if (!publish) {
+    console.log('⏭️  Publishing disabled by flow rule');
+  }
+
+  if (GITHUB_OUTPUT) {
+    fs.appendFileSync(GITHUB_OUTPUT, [
+      `build-flow-type=${rule.flow}`,
+      `version=${version}`,
+      `npm-tag=${npmTag}`,
+      `publish=${publish}`
+    ].join('\n') + '\n');
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+});
@@ -8,6 +8,24 @@ echo "🎯 Monorepo mode enabled"
 echo "===================="
 echo ""
 
+# Versioning strategy: independent (per-package versions) or fixed (one shared version)
+VERSIONING="${VERSIONING:-independent}"
+case "$VERSIONING" in
+  independent|fixed) ;;
+  *)
+    echo "❌ Error: Invalid versioning '$VERSIONING' (expected 'independent' or 'fixed')"
+    exit 1
+    ;;
+esac
+ROOT_PACKAGE_PATH="${PACKAGE_PATH:-./package.json}"
+
+# Number of packages of the same dependency level built at once
+MAX_PARALLEL="${MAX_PARALLEL:-1}"
+if ! [[ "$MAX_PARALLEL" =~ ^[1-9][0-9]*$ ]]; then
+  echo "❌ Error: Invalid max-parallel '$MAX_PARALLEL' (expected a positive integer)"
+  exit 1
+fi
+
 # Priority logic for determining package list:
 # 1. If package-paths is explicitly provided → use it
 # 2. Else if workspace-detection is enabled → auto-discover from root package.json
@@ -105,16 +123,15 @@ else
   echo ""
   echo "Please either:"
   echo "  1. Provide package-paths input with comma-separated package.json paths"
-  echo "  2. Enable workspace-detection (default: true) with workspaces field in root package.json"
+  echo "  2. Enable workspace-detection (default: true) with a workspaces field in root package.json, pnpm-workspace.yaml or lerna.json"
   exit 1
 fi
 
-# Initialize results array
-BUILD_RESULTS="[]"
+# Topological level of each entry in PACKAGE_ARRAY (set by dependency ordering)
+PACKAGE_LEVELS=()
 
-# Track success/failure
-SUCCESSFUL_PACKAGES=0
-FAILED_PACKAGES=0
+# Git range from change detection, reused for changelog generation
+COMPARE_BASE=""
 
 echo "📦 Found $TOTAL_PACKAGES package(s) to process"
 echo ""
@@ -146,14 +163,19 @@ if [ "$CHANGED_ONLY" = "true" ] && [ "$WORKSPACE_DETECTION" = "true" ] && [ "$DI
       CHANGED_PACKAGES_JSON=$(grep "^changed-packages=" "$CHANGE_DETECTION_OUTPUTS" | tail -1 | cut -d= -f2-)
       CHANGED_COUNT=$(grep "^changed-count=" "$CHANGE_DETECTION_OUTPUTS" | tail -1 | cut -d= -f2-)
       ALL_PACKAGES_CHANGED=$(grep "^all-packages-changed=" "$CHANGE_DETECTION_OUTPUTS" | tail -1 | cut -d= -f2-)
+      COMPARE_BASE=$(grep "^compare-base=" "$CHANGE_DETECTION_OUTPUTS" | tail -1 | cut -d= -f2-)
       
       # Copy change detection outputs to the original GITHUB_OUTPUT
       export GITHUB_OUTPUT="$ORIGINAL_OUTPUT"
       echo "changed-packages=$CHANGED_PACKAGES_JSON" >> "$GITHUB_OUTPUT"
       echo "changed-count=$CHANGED_COUNT" >> "$GITHUB_OUTPUT"
       
-      # Filter packages based on changes
-      if [ "$ALL_PACKAGES_CHANGED" = "true" ] || [ "$CHANGED_COUNT" = "-1" ]; then
+      # Filter packages based on changes (fixed versioning publishes every package together)
+      if [ "$VERSIONING" = "fixed" ]; then
+        echo ""
+        echo "🔒 Fixed versioning - processing all $TOTAL_PACKAGES packages regardless of changes"
+        echo ""
+      elif [ "$ALL_PACKAGES_CHANGED" = "true" ] || [ "$CHANGED_COUNT" = "-1" ]; then
         echo ""
         echo "📦 Processing all $TOTAL_PACKAGES packages"
         echo ""
@@ -279,6 +301,7 @@ if [ "$DEPENDENCY_ORDER" = "true" ] && [ "$WORKSPACE_DETECTION" = "true" ] && [
     # Read ordered packages from output
     if [ -f "$DEP_ORDER_OUTPUTS" ]; then
       ORDERED_PACKAGES_JSON=$(grep "^ordered-packages=" "$DEP_ORDER_OUTPUTS" | tail -1 | cut -d= -f2-)
+      DEPENDENCY_LEVELS_JSON=$(grep "^dependency-levels=" "$DEP_ORDER_OUTPUTS" | tail -1 | cut -d= -f2-)
       
       export GITHUB_OUTPUT="$ORIGINAL_OUTPUT"
       
@@ -294,6 +317,11 @@ if [ "$DEPENDENCY_ORDER" = "true" ] && [ "$WORKSPACE_DETECTION" = "true" ] && [
           exit 1
         fi
         
+        # Level of each ordered package; packages in one level can be built in parallel
+        if [ -n "$DEPENDENCY_LEVELS_JSON" ] && echo "$DEPENDENCY_LEVELS_JSON" | jq -e 'type == "array"' >/dev/null 2>&1; then
+          mapfile -t PACKAGE_LEVELS < <(echo "$DEPENDENCY_LEVELS_JSON" | jq -r 'to_entries[] | .key as $level | .value[] | $level')
+        fi
+        
         echo "✅ Packages reordered based on dependencies"
       else
         echo "⚠️  Warning: Could not parse ordered packages, using original order"
@@ -327,9 +355,156 @@ elif [ "$DEPENDENCY_ORDER" != "true" ]; then
   echo ""
 fi
 
-# Process each package
+# Fixed (lockstep) versioning: detect the flow once against the root package.json
+# (or the release tag) and apply the resulting version to every package
+FIXED_VERSION=""
+FIXED_NPM_TAG=""
+FIXED_FLOW_TYPE=""
+FIXED_PUBLISH=""
+if [ "$VERSIONING" = "fixed" ]; then
+  echo "🔒 Fixed versioning - resolving shared version from $ROOT_PACKAGE_PATH"
+  
+  EVENT_NAME=$(echo "$GITHUB_CONTEXT" | jq -r '.event_name')
+  ROOT_VERSION=$(jq -r '.version // empty' "$ROOT_PACKAGE_PATH" 2>/dev/null || true)
+  if [ "$EVENT_NAME" != "release" ] && [ -z "$ROOT_VERSION" ]; then
+    echo "❌ Error: Fixed versioning requires a version field in $ROOT_PACKAGE_PATH"
+    exit 1
+  fi
+  
+  # A prerelease counter must be above every package's published versions, not the root's
+  COUNTER_PACKAGES=""
+  for pkg_path in "${PACKAGE_ARRAY[@]}"; do
+    pkg_name=$(jq -r '.name // empty' "$pkg_path" 2>/dev/null || true)
+    if [ -n "$pkg_name" ]; then
+      COUNTER_PACKAGES="${COUNTER_PACKAGES:+$COUNTER_PACKAGES,}$pkg_name"
+    fi
+  done
+  
+  FIXED_DETECT_OUTPUT=$(mktemp)
+  FIXED_DETECT_OUTPUTS=$(mktemp)
+  if PACKAGE_PATH="$ROOT_PACKAGE_PATH" GITHUB_OUTPUT="$FIXED_DETECT_OUTPUTS" COUNTER_PACKAGES="$COUNTER_PACKAGES" \
+    bash "$ACTION_PATH/scripts/detect-package-flow.sh" > "$FIXED_DETECT_OUTPUT" 2>&1; then
+    cat "$FIXED_DETECT_OUTPUT"
+    FIXED_VERSION=$(grep "^version=" "$FIXED_DETECT_OUTPUTS" | tail -1 | cut -d= -f2-)
+    FIXED_NPM_TAG=$(grep "^npm-tag=" "$FIXED_DETECT_OUTPUTS" | tail -1 | cut -d= -f2-)
+    FIXED_FLOW_TYPE=$(grep "^build-flow-type=" "$FIXED_DETECT_OUTPUTS" | tail -1 | cut -d= -f2-)
+    FIXED_PUBLISH=$(grep "^publish=" "$FIXED_DETECT_OUTPUTS" | tail -1 | cut -d= -f2-)
+    rm -f "$FIXED_DETECT_OUTPUT" "$FIXED_DETECT_OUTPUTS"
+  else
+    cat "$FIXED_DETECT_OUTPUT"
+    rm -f "$FIXED_DETECT_OUTPUT" "$FIXED_DETECT_OUTPUTS"
+    echo "❌ Error: Flow detection for the shared version failed"
+    exit 1
+  fi
+  
+  if [ -z "$FIXED_VERSION" ]; then
+    echo "❌ Error: Could not determine the shared version"
+    exit 1
+  fi
+  
+  # The workspace resolver needs every package name to pin internal dependencies;
+  # explicit package-paths have no discovery metadata, so build it from the manifests
+  if ! echo "$DISCOVERED_PACKAGES" | jq -e 'type=="array" and length>0' >/dev/null 2>&1; then
+    DISCOVERED_PACKAGES="[]"
+    for pkg_path in "${PACKAGE_ARRAY[@]}"; do
+      if [ -f "$pkg_path" ] && PKG_ENTRY=$(jq -c --arg path "$pkg_path" --arg dir "$(dirname "$pkg_path")" \
+        'select(.name != null) | {name, version, path: $path, dir: $dir}' "$pkg_path" 2>/dev/null) && [ -n "$PKG_ENTRY" ]; then
+        DISCOVERED_PACKAGES=$(echo "$DISCOVERED_PACKAGES" | jq --argjson pkg "$PKG_ENTRY" '. += [$pkg]')
+      fi
+    done
+  fi
+  
+  export FIXED_VERSION
+  echo ""
+  echo "✅ Shared version: $FIXED_VERSION (tag: $FIXED_NPM_TAG)"
+  echo ""
+fi
+
+# Changelog generation needs the change detection range
+GENERATE_CHANGELOG=false
+if [ "$CHANGELOG" = "true" ]; then
+  if [ -n "$COMPARE_BASE" ]; then
+    GENERATE_CHANGELOG=true
+    echo "📝 Changelogs will be generated from $COMPARE_BASE..HEAD"
+  else
+    echo "⚠️  Warning: Changelog generation skipped (no git range; requires changed-only and workspace-detection)"
+  fi
+  echo ""
+fi
+
+# Packages without dependency levels (dependency-order disabled or no workspace metadata)
+# each get their own level, so they are processed one at a time in the given order
+if [ "${#PACKAGE_LEVELS[@]}" -ne "$TOTAL_PACKAGES" ]; then
+  PACKAGE_LEVELS=()
+  for i in "${!PACKAGE_ARRAY[@]}"; do
+    PACKAGE_LEVELS+=("$i")
+  done
+  if [ "$MAX_PARALLEL" -gt 1 ]; then
+    echo "ℹ️  Parallel builds need dependency levels (dependency-order with workspace-detection); building sequentially"
+    echo ""
+  fi
+fi
+
+# Workspace dependencies of each package (indexes into PACKAGE_ARRAY), so dependents of a
+# failed package are skipped. Only fields installed with the package count: a dependent
+# published with a failed dependency would point at a version that was never published.
+declare -A PACKAGE_INDEX=()
+for i in "${!PACKAGE_ARRAY[@]}"; do
+  pkg_name=$(jq -r '.name // empty' "${PACKAGE_ARRAY[$i]}" 2>/dev/null || true)
+  if [ -n "$pkg_name" ]; then
+    PACKAGE_INDEX["$pkg_name"]=$i
+  fi
+done
+DEPENDENCY_INDEXES=()
 for i in "${!PACKAGE_ARRAY[@]}"; do
+  dep_indexes=""
+  while IFS= read -r dep_name; do
+    if [ -n "$dep_name" ] && [ -n "${PACKAGE_INDEX[$dep_name]+_}" ]; then
+      dep_indexes="$dep_indexes ${PACKAGE_INDEX[$dep_name]}"
+    fi
+  done < <(jq -r '[.dependencies, .peerDependencies, .optionalDependencies | objects | keys[]] | unique[]' "${PACKAGE_ARRAY[$i]}" 2>/dev/null || true)
+  DEPENDENCY_INDEXES+=("$dep_indexes")
+done
+
+# Per-package results, logs and release notes
+WORK_DIR=$(mktemp -d)
+trap 'rm -rf "$WORK_DIR"' EXIT
+
+# Write this package's build result (failed dependencies, registry targets, audit summary, SBOM, tarball summary and diff are attached only when produced)
+write_result() {
+  jq -n --arg name "$PACKAGE_NAME" \
+    --arg version "$PACKAGE_VERSION" \
+    --arg result "$RESULT" \
+    --arg error "${ERROR_MESSAGE:-Unknown error}" \
+    --arg npm_published "${NPM_PUBLISHED:-false}" \
+    --arg github_published "${GITHUB_PUBLISHED:-false}" \
+    --arg provenance "${NPM_PROVENANCE:-false}" \
+    --arg sbom "${SBOM_FILE:-}" \
+    --argjson tarball "${TARBALL_SUMMARY:-null}" \
+    --argjson tarball_diff "${TARBALL_DIFF_JSON:-null}" \
+    --argjson registries "${REGISTRY_TARGET_RESULTS:-null}" \
+    --argjson audit "${AUDIT_SUMMARY:-null}" \
+    --argjson failed_dependencies "${FAILED_DEPENDENCIES:-null}" \
+    '{"name": $name, "version": $version, "result": $result}
+      + (if $result == "failed" then {"error": $error} else {} end)
+      + (if $result == "skipped" then {"reason": "dependency-failed", "failedDependencies": $failed_dependencies} else {} end)
+      + {"npm-published": $npm_published, "github-published": $github_published, "provenance": $provenance}
+      + (if $registries != null and $registries != [] then {"registries": $registries} else {} end)
+      + (if $sbom != "" then {"sbom": $sbom} else {} end)
+      + (if $tarball != null then {"tarball": $tarball} else {} end)
+      + (if $tarball_diff != null then {"tarball-diff": $tarball_diff} else {} end)
+      + (if $audit != null then {"audit": $audit} else {} end)' > "$RESULT_FILE.tmp"
+  # Renamed into place, so packages reading earlier results never see a partial file
+  mv "$RESULT_FILE.tmp" "$RESULT_FILE"
+}
+
+# Process one package: detect → changelog → configure → build/publish → audit.
+# Runs in a subshell (possibly in parallel with other packages of the same level),
+# so it never touches orchestrator state; its build result is written to RESULT_FILE.
+process_package() {
+  local i="$1"
   PACKAGE_PATH="${PACKAGE_ARRAY[$i]}"
+  RESULT_FILE="$WORK_DIR/result-$i.json"
   
   PACKAGE_NUM=$((i + 1))
   echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
@@ -344,16 +519,10 @@ for i in "${!PACKAGE_ARRAY[@]}"; do
     PACKAGE_VERSION="unknown"
     RESULT="failed"
     ERROR_MESSAGE="package.json not found"
-    FAILED_PACKAGES=$((FAILED_PACKAGES + 1))
     
-    # Add to results
-    BUILD_RESULTS=$(echo "$BUILD_RESULTS" | jq --arg name "$PACKAGE_NAME" \
-      --arg version "$PACKAGE_VERSION" \
-      --arg result "$RESULT" \
-      --arg error "$ERROR_MESSAGE" \
-      '. += [{"name": $name, "version": $version, "result": $result, "error": $error, "npm-published": "false", "github-published": "false"}]')
+    write_result
     echo ""
-    continue
+    return 0
   fi
   
   # Safely parse package name from package.json without aborting the orchestrator on failure
@@ -368,16 +537,10 @@ for i in "${!PACKAGE_ARRAY[@]}"; do
     PACKAGE_VERSION="unknown"
     RESULT="failed"
     ERROR_MESSAGE="Failed to read package name from package.json (invalid JSON or missing .name)"
-    FAILED_PACKAGES=$((FAILED_PACKAGES + 1))
     
-    # Add to results
-    BUILD_RESULTS=$(echo "$BUILD_RESULTS" | jq --arg name "$PACKAGE_NAME" \
-      --arg version "$PACKAGE_VERSION" \
-      --arg result "$RESULT" \
-      --arg error "$ERROR_MESSAGE" \
-      '. += [{"name": $name, "version": $version, "result": $result, "error": $error, "npm-published": "false", "github-published": "false"}]')
+    write_result
     echo ""
-    continue
+    return 0
   fi
   
   echo "📋 Package name: $PACKAGE_NAME"
@@ -390,50 +553,80 @@ for i in "${!PACKAGE_ARRAY[@]}"; do
   # Create a per-package GITHUB_OUTPUT temp file to isolate outputs
   PACKAGE_OUTPUT=$(mktemp)
   
-  # Step 1: Detect flow
-  echo "🔍 Detecting build flow..."
-  if bash "$ACTION_PATH/scripts/detect-package-flow.sh" > "$TEMP_OUTPUT" 2>&1; then
-    cat "$TEMP_OUTPUT"
-    
-    # Parse outputs from the detect script
-    # The script writes to GITHUB_OUTPUT, but we need to capture those values
-    # Extract version and tag from the output
-    PACKAGE_VERSION=""
-    NPM_TAG=""
+  # Step 1: Detect flow (fixed versioning reuses the shared version)
+  if [ -n "$FIXED_VERSION" ]; then
+    PACKAGE_VERSION="$FIXED_VERSION"
+    NPM_TAG="$FIXED_NPM_TAG"
+    BUILD_FLOW_TYPE="$FIXED_FLOW_TYPE"
+    FLOW_PUBLISH="$FIXED_PUBLISH"
+    echo "🔒 Using shared version: $PACKAGE_VERSION (tag: $NPM_TAG)"
+  else
+    echo "🔍 Detecting build flow..."
+    # Detect outputs go to the per-package output file so parallel packages do not interleave
+    if GITHUB_OUTPUT="$PACKAGE_OUTPUT" bash "$ACTION_PATH/scripts/detect-package-flow.sh" > "$TEMP_OUTPUT" 2>&1; then
+      cat "$TEMP_OUTPUT"
     
-    if [ -f "$GITHUB_OUTPUT" ]; then
-      PACKAGE_VERSION=$(grep "^version=" "$GITHUB_OUTPUT" | tail -1 | cut -d= -f2-)
-      NPM_TAG=$(grep "^npm-tag=" "$GITHUB_OUTPUT" | tail -1 | cut -d= -f2-)
-    fi
+      # Parse version and tag from the per-package output file
+      PACKAGE_VERSION=""
+      NPM_TAG=""
+      BUILD_FLOW_TYPE=""
+      FLOW_PUBLISH=""
     
-    # Fallback: parse from temp output if not in GITHUB_OUTPUT
-    if [ -z "$PACKAGE_VERSION" ]; then
-      PACKAGE_VERSION=$(grep "Package Version:" "$TEMP_OUTPUT" | tail -1 | awk '{print $NF}')
-    fi
-    if [ -z "$NPM_TAG" ]; then
-      NPM_TAG=$(grep "NPM Tag:" "$TEMP_OUTPUT" | tail -1 | awk '{print $NF}')
-    fi
+      if [ -f "$PACKAGE_OUTPUT" ]; then
+        PACKAGE_VERSION=$(grep "^version=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)
+        NPM_TAG=$(grep "^npm-tag=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)
+        BUILD_FLOW_TYPE=$(grep "^build-flow-type=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)
+        FLOW_PUBLISH=$(grep "^publish=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)
+      fi
     
-    echo "✅ Flow detection completed"
-  else
-    cat "$TEMP_OUTPUT"
-    echo "❌ Flow detection failed"
-    PACKAGE_VERSION="unknown"
-    RESULT="failed"
-    ERROR_MESSAGE="Flow detection failed"
-    FAILED_PACKAGES=$((FAILED_PACKAGES + 1))
+      # Fallback: parse from temp output if not in the output file
+      if [ -z "$PACKAGE_VERSION" ]; then
+        PACKAGE_VERSION=$(grep "Package Version:" "$TEMP_OUTPUT" | tail -1 | awk '{print $NF}')
+      fi
+      if [ -z "$NPM_TAG" ]; then
+        NPM_TAG=$(grep "NPM Tag:" "$TEMP_OUTPUT" | tail -1 | awk '{print $NF}')
+      fi
     
-    BUILD_RESULTS=$(echo "$BUILD_RESULTS" | jq --arg name "$PACKAGE_NAME" \
-      --arg version "$PACKAGE_VERSION" \
-      --arg result "$RESULT" \
-      --arg error "$ERROR_MESSAGE" \
-      '. += [{"name": $name, "version": $version, "result": $result, "error": $error, "npm-published": "false", "github-published": "false"}]')
-    rm -f "$TEMP_OUTPUT" "$PACKAGE_OUTPUT"
+      echo "✅ Flow detection completed"
+    else
+      cat "$TEMP_OUTPUT"
+      echo "❌ Flow detection failed"
+      PACKAGE_VERSION="unknown"
+      RESULT="failed"
+      ERROR_MESSAGE="Flow detection failed"
+      
+      write_result
+      rm -f "$TEMP_OUTPUT" "$PACKAGE_OUTPUT"
+      echo ""
+      return 0
+    fi
+  fi
+  
+  # The flow depends only on the event, so every package records the same type
+  if [ -n "$BUILD_FLOW_TYPE" ]; then
+    echo "$BUILD_FLOW_TYPE" > "$WORK_DIR/build-flow-type"
+  fi
+  
+  # A flow rule with "publish": false builds the package without publishing it
+  if [ "$FLOW_PUBLISH" = "false" ] && [ "$PUBLISH_ENABLED" = "true" ]; then
+    PUBLISH_ENABLED="false"
+    echo "⏭️  Publishing disabled by the $BUILD_FLOW_TYPE flow rule"
+  fi
+  
+  # Step 2: Generate changelog before building so CHANGELOG.md ships in the package
+  if [ "$GENERATE_CHANGELOG" = "true" ]; then
     echo ""
-    continue
+    if COMPARE_BASE="$COMPARE_BASE" RELEASE_NOTES_FILE="$WORK_DIR/notes-$i.md" PACKAGE_VERSION="$PACKAGE_VERSION" \
+      node "$ACTION_PATH/scripts/generate-changelog.js" > "$TEMP_OUTPUT" 2>&1; then
+      cat "$TEMP_OUTPUT"
+      echo "✅ Changelog generated"
+    else
+      cat "$TEMP_OUTPUT"
+      echo "⚠️  Changelog generation failed (but continuing)"
+    fi
   fi
   
-  # Step 2: Configure registries (always run if tokens are provided, to support private dependencies)
+  # Step 3: Configure registries (always run if tokens are provided, to support private dependencies)
   echo ""
   SKIP_REGISTRY_CONFIG=false
   
@@ -452,6 +645,11 @@ for i in "${!PACKAGE_ARRAY[@]}"; do
   fi
   
   if [ "$SKIP_REGISTRY_CONFIG" = "false" ]; then
+    # Parallel packages each get their own .npmrc instead of sharing the workspace root one
+    if [ "$MAX_PARALLEL" -gt 1 ]; then
+      export NPMRC_FILE="$WORK_DIR/npmrc-$i"
+      export NPMRC_SOURCE="$NPMRC_FILE"
+    fi
     if bash "$ACTION_PATH/scripts/configure-registries.sh" > "$TEMP_OUTPUT" 2>&1; then
       cat "$TEMP_OUTPUT"
       echo "✅ Registry configuration completed"
@@ -460,25 +658,29 @@ for i in "${!PACKAGE_ARRAY[@]}"; do
       echo "❌ Registry configuration failed"
       RESULT="failed"
       ERROR_MESSAGE="Registry configuration failed"
-      FAILED_PACKAGES=$((FAILED_PACKAGES + 1))
-      
-      BUILD_RESULTS=$(echo "$BUILD_RESULTS" | jq --arg name "$PACKAGE_NAME" \
-        --arg version "$PACKAGE_VERSION" \
-        --arg result "$RESULT" \
-        --arg error "$ERROR_MESSAGE" \
-        '. += [{"name": $name, "version": $version, "result": $result, "error": $error, "npm-published": "false", "github-published": "false"}]')
+        
+      write_result
       rm -f "$TEMP_OUTPUT" "$PACKAGE_OUTPUT"
       echo ""
-      continue
+      return 0
     fi
   fi
   
-  # Step 3: Build and publish
+  # Step 4: Build and publish
   echo ""
   echo "🏗️  Building and publishing..."
   export PACKAGE_VERSION
   export NPM_TAG
   export DISCOVERED_PACKAGES
+  # Versions built earlier in this run; workspace dependencies on those packages resolve to
+  # them (e.g. the PR build of a library), the others to their last published version
+  # (no result files exist yet for the first package; jq would still print {} before failing)
+  WORKSPACE_VERSIONS='{}'
+  if compgen -G "$WORK_DIR/result-*.json" >/dev/null; then
+    WORKSPACE_VERSIONS=$(jq -sc 'map(select(.result == "success" or .result == "already-published") | {(.name): .version}) | add // {}' \
+      "$WORK_DIR"/result-*.json 2>/dev/null || echo '{}')
+  fi
+  export WORKSPACE_VERSIONS
   
   # Save original GITHUB_OUTPUT and use per-package temp file
   ORIGINAL_GITHUB_OUTPUT="$GITHUB_OUTPUT"
@@ -488,48 +690,127 @@ for i in "${!PACKAGE_ARRAY[@]}"; do
     cat "$TEMP_OUTPUT"
     echo "✅ Build and publish completed"
     RESULT="success"
-    SUCCESSFUL_PACKAGES=$((SUCCESSFUL_PACKAGES + 1))
     
     # Extract publish status from per-package output file
     NPM_PUBLISHED="false"
     GITHUB_PUBLISHED="false"
+    NPM_PROVENANCE="false"
+    SBOM_FILE=""
     if [ -f "$PACKAGE_OUTPUT" ]; then
       NPM_PUBLISHED=$(grep "^npm-published=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)
       GITHUB_PUBLISHED=$(grep "^github-published=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)
+      NPM_PROVENANCE=$(grep "^npm-provenance=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)
+      SBOM_FILE=$(grep "^sbom-file=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)
       # Default to false if grep found nothing
       [ -z "$NPM_PUBLISHED" ] && NPM_PUBLISHED="false"
       [ -z "$GITHUB_PUBLISHED" ] && GITHUB_PUBLISHED="false"
+      [ -z "$NPM_PROVENANCE" ] && NPM_PROVENANCE="false"
+      
+      # Every target registry already had this version (e.g. a re-run), nothing was published
+      if [ "$(grep "^already-published=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)" = "true" ]; then
+        RESULT="already-published"
+      fi
+    fi
+    
+    # A rejected publish is a failure: dependents would point at a version that is not on the registry
+    if [ "$PUBLISH_ENABLED" = "true" ] && [ "$DRY_RUN" != "true" ]; then
+      if { [ "$REGISTRY" = "npm" ] || [ "$REGISTRY" = "both" ]; } && [ "$NPM_PUBLISHED" = "false" ]; then
+        RESULT="failed"
+        ERROR_MESSAGE="Publish to NPM failed"
+        echo "❌ Publish to NPM failed (but continuing with remaining packages)"
+      elif { [ "$REGISTRY" = "github" ] || [ "$REGISTRY" = "both" ]; } && [ "$GITHUB_PUBLISHED" = "false" ]; then
+        RESULT="failed"
+        ERROR_MESSAGE="Publish to GitHub Packages failed"
+        echo "❌ Publish to GitHub Packages failed (but continuing with remaining packages)"
+      else
+        FAILED_TARGET=$(grep "^registry-targets=" "$PACKAGE_OUTPUT" 2>/dev/null | tail -1 | cut -d= -f2- | \
+          jq -r '[.[] | select(.published == "false") | .name][0] // empty' 2>/dev/null || true)
+        if [ -n "$FAILED_TARGET" ]; then
+          RESULT="failed"
+          ERROR_MESSAGE="Publish to $FAILED_TARGET failed"
+          echo "❌ Publish to $FAILED_TARGET failed (but continuing with remaining packages)"
+        fi
+      fi
     fi
   else
     cat "$TEMP_OUTPUT"
     echo "❌ Build and publish failed (but continuing with remaining packages)"
     RESULT="failed"
     ERROR_MESSAGE="Build or publish failed"
-    FAILED_PACKAGES=$((FAILED_PACKAGES + 1))
+    if [ "$(grep "^already-published=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)" = "true" ]; then
+      ERROR_MESSAGE="Version already published"
+    elif [ "$(grep "^tarball-verified=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)" = "false" ]; then
+      ERROR_MESSAGE="Tarball verification failed"
+    fi
     NPM_PUBLISHED="false"
     GITHUB_PUBLISHED="false"
   fi
   
+  # Tarball contents as verified before publishing
+  TARBALL_SUMMARY="null"
+  TARBALL_PACKED_SIZE=$(grep "^tarball-packed-size=" "$PACKAGE_OUTPUT" 2>/dev/null | tail -1 | cut -d= -f2-)
+  if [ -n "$TARBALL_PACKED_SIZE" ]; then
+    TARBALL_SUMMARY=$(jq -n \
+      --arg verified "$(grep "^tarball-verified=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)" \
+      --argjson packed "$TARBALL_PACKED_SIZE" \
+      --argjson unpacked "$(grep "^tarball-unpacked-size=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)" \
+      --argjson files "$(grep "^tarball-file-count=" "$PACKAGE_OUTPUT" | tail -1 | cut -d= -f2-)" \
+      '{"verified": ($verified == "true"), "packedSize": $packed, "unpackedSize": $unpacked, "fileCount": $files}')
+  fi
+  TARBALL_DIFF_JSON=$(grep "^tarball-diff=" "$PACKAGE_OUTPUT" 2>/dev/null | tail -1 | cut -d= -f2-)
+  # Publish status per registry target (registry-targets input)
+  REGISTRY_TARGET_RESULTS=$(grep "^registry-targets=" "$PACKAGE_OUTPUT" 2>/dev/null | tail -1 | cut -d= -f2-)
+  
   # Restore original GITHUB_OUTPUT
   export GITHUB_OUTPUT="$ORIGINAL_GITHUB_OUTPUT"
   
-  # Step 4: Run audit if enabled
+  # Step 5: Run audit if enabled
   echo ""
+  AUDIT_SUMMARY="null"
   if [ "$AUDIT_ENABLED" = "true" ]; then
     echo "🔒 Running security audit..."
+    # audit-package.js writes audit-summary.json into the package directory;
+    # remove any stale summary so only this run's results are collected
+    AUDIT_SUMMARY_PATH="$(dirname "$PACKAGE_PATH")/audit-summary.json"
+    rm -f "$AUDIT_SUMMARY_PATH"
+    
+    # Isolate audit outputs in the per-package output file
+    ORIGINAL_GITHUB_OUTPUT="$GITHUB_OUTPUT"
+    export GITHUB_OUTPUT="$PACKAGE_OUTPUT"
+    
     if node "$ACTION_PATH/scripts/audit-package.js" > "$TEMP_OUTPUT" 2>&1; then
+      AUDIT_STATUS=0
+    else
+      AUDIT_STATUS=1
+    fi
+    
+    export GITHUB_OUTPUT="$ORIGINAL_GITHUB_OUTPUT"
+    
+    # Collect this package's audit summary for the build results
+    if [ -f "$AUDIT_SUMMARY_PATH" ] && jq -e 'type == "object"' "$AUDIT_SUMMARY_PATH" >/dev/null 2>&1; then
+      AUDIT_SUMMARY=$(jq -c '.' "$AUDIT_SUMMARY_PATH")
+    fi
+    
+    if [ "$AUDIT_STATUS" -eq 0 ]; then
       cat "$TEMP_OUTPUT"
       echo "✅ Security audit completed"
     else
       cat "$TEMP_OUTPUT"
-      if [ "$FAIL_ON_AUDIT" = "true" ]; then
-        echo "❌ Security audit failed and fail-on-audit is enabled; marking package as failed"
-        # Only adjust counts if this package was previously considered successful
+      # Expired audit ignore entries fail the package when audit-ignore-expired is 'fail',
+      # independently of fail-on-audit
+      EXPIRED_IGNORES_FAIL=$(echo "$AUDIT_SUMMARY" | jq -r '.expiredIgnoresFail // false')
+      if [ "$FAIL_ON_AUDIT" = "true" ] || [ "$EXPIRED_IGNORES_FAIL" = "true" ]; then
+        if [ "$EXPIRED_IGNORES_FAIL" = "true" ]; then
+          echo "❌ Audit ignore entries have expired and audit-ignore-expired is 'fail'; marking package as failed"
+          AUDIT_ERROR_MESSAGE="Audit ignore entries expired"
+        else
+          echo "❌ Security audit failed and fail-on-audit is enabled; marking package as failed"
+          AUDIT_ERROR_MESSAGE="Security audit failed"
+        fi
+        # Keep the original error if the build already failed
         if [ "$RESULT" = "success" ]; then
           RESULT="failed"
-          ERROR_MESSAGE="Security audit failed"
-          SUCCESSFUL_PACKAGES=$((SUCCESSFUL_PACKAGES - 1))
-          FAILED_PACKAGES=$((FAILED_PACKAGES + 1))
+          ERROR_MESSAGE="$AUDIT_ERROR_MESSAGE"
         fi
       else
         echo "⚠️  Security audit failed (but continuing)"
@@ -540,35 +821,183 @@ for i in "${!PACKAGE_ARRAY[@]}"; do
     echo "⏭️  Security audit disabled"
   fi
   
-  # Add to results
-  if [ "$RESULT" = "success" ]; then
-    BUILD_RESULTS=$(echo "$BUILD_RESULTS" | jq --arg name "$PACKAGE_NAME" \
-      --arg version "$PACKAGE_VERSION" \
-      --arg result "$RESULT" \
-      --arg npm_published "$NPM_PUBLISHED" \
-      --arg github_published "$GITHUB_PUBLISHED" \
-      '. += [{"name": $name, "version": $version, "result": $result, "npm-published": $npm_published, "github-published": $github_published}]')
-  else
-    BUILD_RESULTS=$(echo "$BUILD_RESULTS" | jq --arg name "$PACKAGE_NAME" \
-      --arg version "$PACKAGE_VERSION" \
-      --arg result "$RESULT" \
-      --arg error "${ERROR_MESSAGE:-Unknown error}" \
-      --arg npm_published "$NPM_PUBLISHED" \
-      --arg github_published "$GITHUB_PUBLISHED" \
-      '. += [{"name": $name, "version": $version, "result": $result, "error": $error, "npm-published": $npm_published, "github-published": $github_published}]')
-  fi
+  write_result
   
   rm -f "$TEMP_OUTPUT" "$PACKAGE_OUTPUT"
   echo ""
+}
+
+# Workspace dependencies of a package that failed or were skipped, one name per line.
+# Dependencies not processed yet (no dependency order) have no result and do not count.
+failed_dependencies() {
+  local dep
+  for dep in ${DEPENDENCY_INDEXES[$1]}; do
+    if jq -e '.result == "failed" or .result == "skipped"' "$WORK_DIR/result-$dep.json" >/dev/null 2>&1; then
+      jq -r '.name' "$WORK_DIR/result-$dep.json"
+    fi
+  done
+}
+
+# Record a package as skipped instead of building it. Runs in a subshell like process_package.
+skip_package() {
+  local i="$1"
+  PACKAGE_PATH="${PACKAGE_ARRAY[$i]}"
+  RESULT_FILE="$WORK_DIR/result-$i.json"
+  PACKAGE_NAME=$(jq -r '.name // "unknown"' "$PACKAGE_PATH" 2>/dev/null || echo "unknown")
+  PACKAGE_VERSION="unknown"
+  RESULT="skipped"
+  FAILED_DEPENDENCIES=$(echo "$2" | jq -R . | jq -sc .)
+  
+  echo "⏭️  Skipping $PACKAGE_NAME ($PACKAGE_PATH): dependency failed ($(echo "$2" | paste -sd, - | sed 's/,/, /g'))"
+  write_result
+}
+
+# Packages in a level run side by side, so the steps that touch the whole repository run
+# once here instead of in every package: fetching history for conventional commit versioning
+# and installing dependencies (once per lockfile directory; workspace packages share the root one)
+if [ "$CONVENTIONAL_COMMITS" = "true" ] && [ "$(git rev-parse --is-shallow-repository 2>/dev/null)" = "true" ]; then
+  echo "🔄 Shallow clone detected, fetching history and tags..."
+  if ! git fetch --unshallow --tags --quiet; then
+    echo "⚠️  Warning: Could not fetch full history; use actions/checkout with fetch-depth: 0"
+  fi
+  echo ""
+fi
+export GIT_HISTORY_FETCHED=true
+
+# Registry authentication for private dependencies (each package configures its own again)
+if [ -n "$NPM_TOKEN" ] || [ -n "$GITHUB_TOKEN" ]; then
+  if ! PACKAGE_PATH="${PACKAGE_ARRAY[0]}" bash "$ACTION_PATH/scripts/configure-registries.sh" > "$WORK_DIR/install-registries.txt" 2>&1; then
+    cat "$WORK_DIR/install-registries.txt"
+    echo "⚠️  Warning: Registry configuration for installing dependencies failed (continuing)"
+  fi
+fi
+
+declare -A INSTALL_MANAGERS=()
+INSTALL_DIRS=()
+for i in "${!PACKAGE_ARRAY[@]}"; do
+  if ! INSTALL_TARGET=$(cd "$(dirname "${PACKAGE_ARRAY[$i]}")" && bash "$ACTION_PATH/scripts/detect-package-manager.sh" --with-root); then
+    exit 1
+  fi
+  INSTALL_DIR=$(echo "$INSTALL_TARGET" | sed -n 2p)
+  if [ -z "${INSTALL_MANAGERS[$INSTALL_DIR]+_}" ]; then
+    INSTALL_MANAGERS["$INSTALL_DIR"]=$(echo "$INSTALL_TARGET" | head -1)
+    INSTALL_DIRS+=("$INSTALL_DIR")
+  fi
+done
+for INSTALL_DIR in "${INSTALL_DIRS[@]}"; do
+  echo "📍 Installing dependencies in $INSTALL_DIR (${INSTALL_MANAGERS[$INSTALL_DIR]})"
+  # Like build-and-publish.sh, nested projects get the workspace root .npmrc
+  if [ "$INSTALL_DIR" != "$(pwd -P)" ] && [ -f .npmrc ]; then
+    cp .npmrc "$INSTALL_DIR/.npmrc"
+  fi
+  if ! (cd "$INSTALL_DIR" && bash "$ACTION_PATH/scripts/install-dependencies.sh" "${INSTALL_MANAGERS[$INSTALL_DIR]}"); then
+    echo "❌ Error: Installing dependencies in $INSTALL_DIR failed"
+    exit 1
+  fi
+  echo ""
+done
+export DEPENDENCIES_INSTALLED=true
+
+# Run packages level by level. Packages in the same level do not depend on each other,
+# so up to MAX_PARALLEL of them run at once; their logs are buffered and printed as
+# one group per package once the level finishes.
+LEVEL_START=0
+while [ "$LEVEL_START" -lt "$TOTAL_PACKAGES" ]; do
+  LEVEL="${PACKAGE_LEVELS[$LEVEL_START]}"
+  LEVEL_INDEXES=()
+  for ((i=LEVEL_START; i<TOTAL_PACKAGES; i++)); do
+    [ "${PACKAGE_LEVELS[$i]}" = "$LEVEL" ] || break
+    LEVEL_INDEXES+=("$i")
+  done
+  LEVEL_START=$((LEVEL_START + ${#LEVEL_INDEXES[@]}))
+  
+  # Dependents of a failed package are not published: their workspace dependency
+  # would resolve to a version that was never published
+  RUN_INDEXES=()
+  for i in "${LEVEL_INDEXES[@]}"; do
+    FAILED_DEPENDENCY_NAMES=$(failed_dependencies "$i")
+    if [ -n "$FAILED_DEPENDENCY_NAMES" ]; then
+      ( skip_package "$i" "$FAILED_DEPENDENCY_NAMES" )
+      echo ""
+    else
+      RUN_INDEXES+=("$i")
+    fi
+  done
+  if [ "${#RUN_INDEXES[@]}" -eq 0 ]; then
+    continue
+  fi
+  
+  if [ "$MAX_PARALLEL" -le 1 ] || [ "${#RUN_INDEXES[@]}" -eq 1 ]; then
+    for i in "${RUN_INDEXES[@]}"; do
+      # A failing subshell must not end the orchestrator; its missing result is recorded below
+      set +e
+      ( set -e; process_package "$i" )
+      set -e
+    done
+    continue
+  fi
+  
+  echo "⚡ Building ${#RUN_INDEXES[@]} packages in parallel (level $((LEVEL + 1)), max-parallel: $MAX_PARALLEL)"
+  echo ""
+  for i in "${RUN_INDEXES[@]}"; do
+    while [ "$(jobs -rp | wc -l)" -ge "$MAX_PARALLEL" ]; do
+      wait -n || true
+    done
+    ( process_package "$i" ) > "$WORK_DIR/log-$i.txt" 2>&1 &
+  done
+  wait || true
+  
+  for i in "${RUN_INDEXES[@]}"; do
+    echo "::group::📦 ${PACKAGE_ARRAY[$i]}"
+    cat "$WORK_DIR/log-$i.txt"
+    echo "::endgroup::"
+  done
+  echo ""
+done
+
+# Collect results in build order so build-results does not depend on completion order
+BUILD_RESULTS="[]"
+for i in "${!PACKAGE_ARRAY[@]}"; do
+  RESULT_FILE="$WORK_DIR/result-$i.json"
+  if ! jq -e 'type == "object"' "$RESULT_FILE" >/dev/null 2>&1; then
+    # The package's subshell exited before recording a result
+    PACKAGE_NAME=$(jq -r '.name // "unknown"' "${PACKAGE_ARRAY[$i]}" 2>/dev/null || echo "unknown")
+    PACKAGE_VERSION="unknown"
+    RESULT="failed"
+    ERROR_MESSAGE="Package processing aborted unexpectedly"
+    write_result
+  fi
+  BUILD_RESULTS=$(echo "$BUILD_RESULTS" | jq --slurpfile result "$RESULT_FILE" '. += $result')
 done
 
+SUCCESSFUL_PACKAGES=$(echo "$BUILD_RESULTS" | jq '[.[] | select(.result == "success")] | length')
+ALREADY_PUBLISHED_PACKAGES=$(echo "$BUILD_RESULTS" | jq '[.[] | select(.result == "already-published")] | length')
+FAILED_PACKAGES=$(echo "$BUILD_RESULTS" | jq '[.[] | select(.result == "failed")] | length')
+SKIPPED_PACKAGES=$(echo "$BUILD_RESULTS" | jq '[.[] | select(.result == "skipped")] | length')
+
+# Combine release notes in build order
+RELEASE_NOTES_FILE="$WORK_DIR/release-notes.md"
+for i in "${!PACKAGE_ARRAY[@]}"; do
+  if [ -s "$WORK_DIR/notes-$i.md" ]; then
+    [ -s "$RELEASE_NOTES_FILE" ] && echo "" >> "$RELEASE_NOTES_FILE"
+    cat "$WORK_DIR/notes-$i.md" >> "$RELEASE_NOTES_FILE"
+  fi
+done
+
+
 echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
 echo "📊 Monorepo Build Summary"
 echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
 echo ""
 echo "Total packages: $TOTAL_PACKAGES"
 echo "✅ Successful: $SUCCESSFUL_PACKAGES"
+if [ "$ALREADY_PUBLISHED_PACKAGES" -gt 0 ]; then
+  echo "♻️  Already published: $ALREADY_PUBLISHED_PACKAGES"
+fi
 echo "❌ Failed: $FAILED_PACKAGES"
+if [ "$SKIPPED_PACKAGES" -gt 0 ]; then
+  echo "⏭️  Skipped (dependency failed): $SKIPPED_PACKAGES"
+fi
 echo ""
 echo "Results:"
 echo "$BUILD_RESULTS" | jq '.'
@@ -576,6 +1005,39 @@ echo ""
 
 # Set outputs
 echo "build-results=$(echo "$BUILD_RESULTS" | jq -c '.')" >> "$GITHUB_OUTPUT"
+if [ -s "$WORK_DIR/build-flow-type" ]; then
+  echo "build-flow-type=$(cat "$WORK_DIR/build-flow-type")" >> "$GITHUB_OUTPUT"
+fi
+
+# Release notes span multiple lines, so use a delimited output
+if [ -s "$RELEASE_NOTES_FILE" ]; then
+  RELEASE_NOTES_DELIMITER="RELEASE_NOTES_$(date +%s%N)"
+  {
+    echo "release-notes<<$RELEASE_NOTES_DELIMITER"
+    cat "$RELEASE_NOTES_FILE"
+    echo "$RELEASE_NOTES_DELIMITER"
+  } >> "$GITHUB_OUTPUT"
+fi
+
+# Strict publishing: with a failed package the run's set of packages is incomplete, so
+# every version it did publish is deprecated (or unpublished, per cleanup-action)
+if [ "$STRICT_PUBLISH" = "true" ] && [ "$FAILED_PACKAGES" -gt 0 ]; then
+  # Registry targets are listed under their name; cleanup-versions.js applies each target's scope
+  PUBLISHED_VERSIONS=$(echo "$BUILD_RESULTS" | jq -c '[.[] | . as $pkg |
+    (if .["npm-published"] == "true" then {"registry": "npm", "name": .name, "version": .version} else empty end),
+    (if .["github-published"] == "true" then {"registry": "github", "name": .name, "version": .version} else empty end),
+    ((.registries // [])[] | select(.published == "true") | {"registry": .name, "name": $pkg.name, "version": $pkg.version})]')
+  if [ "$(echo "$PUBLISHED_VERSIONS" | jq 'length')" -gt 0 ]; then
+    echo "🧯 Strict publish: withdrawing the versions published in this run"
+    echo ""
+    if ! CLEANUP_TRIGGER="run-failed" PUBLISHED_VERSIONS="$PUBLISHED_VERSIONS" \
+      FAILED_PACKAGE_NAMES="$(echo "$BUILD_RESULTS" | jq -r '[.[] | select(.result == "failed") | .name] | join(",")')" \
+      node "$ACTION_PATH/scripts/cleanup-versions.js"; then
+      echo "⚠️  Warning: Could not withdraw the versions published in this run"
+    fi
+    echo ""
+  fi
+fi
 
 # Exit with error if any package failed
 if [ "$FAILED_PACKAGES" -gt 0 ]; then
@@ -2,12 +2,15 @@
 
 /**
  * PR Comment Script
- * Posts informative comments on pull requests with installation instructions
+ * Posts informative comments on pull requests with installation instructions.
+ * A single sticky comment is kept per PR and updated in place on every build.
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { loadFlowConfig, getFlowInfo } = require('./flow-rules');
+const { COMMENT_MARKER, githubRequest, findStickyComment, readMarker, writeMarker } = require('./sticky-comment');
+const { formatSize } = require('./tarball');
 
 // Environment variables
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
@@ -22,13 +25,26 @@ const GITHUB_REGISTRY_URL = process.env.GITHUB_REGISTRY_URL || 'https://npm.pkg.
 const PACKAGE_SCOPE = process.env.PACKAGE_SCOPE || '';
 const AUDIT_ENABLED = process.env.AUDIT_ENABLED === 'true';
 const PR_COMMENT_TEMPLATE = process.env.PR_COMMENT_TEMPLATE || '';
-const NPM_PUBLISHED = process.env.NPM_PUBLISHED === 'true';
-const GITHUB_PUBLISHED = process.env.GITHUB_PUBLISHED === 'true';
+const FLOW_CONFIG = process.env.FLOW_CONFIG || '';
+// 'already-published' means the version was on the registry before this run; it is still installable
+const NPM_PUBLISHED = ['true', 'already-published'].includes(process.env.NPM_PUBLISHED);
+const GITHUB_PUBLISHED = ['true', 'already-published'].includes(process.env.GITHUB_PUBLISHED);
+const ALREADY_PUBLISHED = process.env.ALREADY_PUBLISHED === 'true';
+const NPM_PROVENANCE = process.env.NPM_PROVENANCE === 'true';
+const TARBALL_DIFF_JSON = process.env.TARBALL_DIFF_JSON || '';
+// Per-target publish status from the registry-targets input ([{name, url, package, published}])
+const REGISTRY_TARGETS_RESULT_JSON = process.env.REGISTRY_TARGETS_RESULT_JSON || '[]';
 const MONOREPO_MODE = process.env.MONOREPO_MODE === 'true';
 
 // Monorepo-specific variables
 const BUILD_RESULTS_JSON = process.env.BUILD_RESULTS_JSON || '[]';
 const DISCOVERED_PACKAGES_JSON = process.env.DISCOVERED_PACKAGES_JSON || '[]';
+const RELEASE_NOTES = process.env.RELEASE_NOTES || '';
+
+// PR cleanup (set when the PR was closed and its builds were cleaned up)
+const CLEANUP_RESULTS_JSON = process.env.CLEANUP_RESULTS_JSON || '';
+const CLEANUP_DIST_TAGS_JSON = process.env.CLEANUP_DIST_TAGS_JSON || '[]';
+const CLEANUP_MODE = CLEANUP_RESULTS_JSON !== '';
 
 // Get PR number
 const prNumber = GITHUB_CONTEXT.event?.pull_request?.number;
@@ -42,46 +58,112 @@ const [owner, repoName] = repo.split('/');
 
 console.log('💬 Generating PR comment...');
 console.log(`  PR: #${prNumber}`);
-console.log(`  Mode: ${MONOREPO_MODE ? 'Monorepo' : 'Single Package'}`);
+console.log(`  Mode: ${CLEANUP_MODE ? 'Cleanup' : MONOREPO_MODE ? 'Monorepo' : 'Single Package'}`);
 console.log(`  Flow Type: ${BUILD_FLOW_TYPE}`);
 
-// Build flow descriptions
-const flowDescriptions = {
-  pr: {
-    emoji: '🔀',
-    title: 'Pull Request Build',
-    description: 'Pre-release package for testing PR changes'
-  },
-  dev: {
-    emoji: '🚀',
-    title: 'Development Build',
-    description: 'Development version ready for integration testing'
-  },
-  patch: {
-    emoji: '🔧',
-    title: 'Patch Build',
-    description: 'Patch version for testing hotfixes'
-  },
-  staging: {
-    emoji: '🎯',
-    title: 'Release Candidate',
-    description: 'Staging release candidate for final validation'
-  },
-  wip: {
-    emoji: '🚧',
-    title: 'Work in Progress',
-    description: 'Experimental build from feature branch'
+// Build flow descriptions (custom flows and overrides come from the flow config)
+let configuredFlows = {};
+if (FLOW_CONFIG) {
+  try {
+    configuredFlows = loadFlowConfig(FLOW_CONFIG).flows;
+  } catch (error) {
+    console.log(`⚠️  Could not load flow config, using built-in flow titles: ${error.message}`);
   }
+}
+
+const flowInfo = getFlowInfo(BUILD_FLOW_TYPE, configuredFlows);
+
+// Number of advisories listed in the security section
+const TOP_ADVISORIES_LIMIT = 10;
+
+const SEVERITY_EMOJI = {
+  critical: '🔴',
+  high: '🟠',
+  moderate: '🟡',
+  low: '🟢',
+  info: '⚪'
 };
 
-const flowInfo = flowDescriptions[BUILD_FLOW_TYPE] || flowDescriptions.wip;
+const SEVERITY_ORDER = ['critical', 'high', 'moderate', 'low', 'info'];
+
+// Render the most severe advisories as a table with links
+// Each advisory may carry a `workspacePackage` field (monorepo mode) naming the audited package
+function renderTopAdvisories(advisories) {
+  if (!Array.isArray(advisories) || advisories.length === 0) {
+    return '';
+  }
+  
+  const showWorkspacePackage = advisories.some(advisory => advisory.workspacePackage);
+  const sorted = [...advisories].sort((a, b) =>
+    SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+  );
+  const top = sorted.slice(0, TOP_ADVISORIES_LIMIT);
+  
+  let section = `\n### Top Advisories\n\n`;
+  section += showWorkspacePackage
+    ? '| Severity | Workspace Package | Vulnerable Package | Advisory | Fix |\n|----------|-------------------|--------------------|----------|-----|\n'
+    : '| Severity | Vulnerable Package | Advisory | Fix |\n|----------|--------------------|----------|-----|\n';
+  
+  top.forEach(advisory => {
+    const severity = `${SEVERITY_EMOJI[advisory.severity] || ''} ${advisory.severity}`;
+    const vulnerable = `\`${advisory.package}\`${advisory.vulnerableRange ? ` \`${advisory.vulnerableRange}\`` : ''}`;
+    const title = (advisory.title || '').replace(/\|/g, '\\|');
+    const advisoryLink = advisory.url
+      ? `[${advisory.id}](${advisory.url})${title ? ` ${title}` : ''}`
+      : `${advisory.id}${title ? ` ${title}` : ''}`;
+    const fix = advisory.fix ? advisory.fix.replace(/\|/g, '\\|') : '—';
+    
+    section += showWorkspacePackage
+      ? `| ${severity} | ${advisory.workspacePackage || '—'} | ${vulnerable} | ${advisoryLink} | ${fix} |\n`
+      : `| ${severity} | ${vulnerable} | ${advisoryLink} | ${fix} |\n`;
+  });
+  
+  if (sorted.length > top.length) {
+    section += `\n_…and ${sorted.length - top.length} more. See the audit step logs or the SARIF report for the full list._\n`;
+  }
+  
+  return section;
+}
+
+// Render findings excluded by the audit ignore list and any expired ignore entries
+function renderAuditExceptions(ignoredAdvisories, expiredIgnores) {
+  let section = '';
+  
+  if (Array.isArray(ignoredAdvisories) && ignoredAdvisories.length > 0) {
+    const showWorkspacePackage = ignoredAdvisories.some(advisory => advisory.workspacePackage);
+    
+    section += `\n<details>\n<summary>🙈 ${ignoredAdvisories.length} advisor${ignoredAdvisories.length === 1 ? 'y' : 'ies'} ignored via the audit ignore list</summary>\n\n`;
+    section += showWorkspacePackage
+      ? '| Advisory | Workspace Package | Vulnerable Package | Reason | Expires |\n|----------|-------------------|--------------------|--------|---------|\n'
+      : '| Advisory | Vulnerable Package | Reason | Expires |\n|----------|--------------------|--------|---------|\n';
+    
+    ignoredAdvisories.forEach(advisory => {
+      const advisoryLink = advisory.url ? `[${advisory.id}](${advisory.url})` : advisory.id;
+      const reason = (advisory.ignored?.reason || '').replace(/\|/g, '\\|');
+      const expires = advisory.ignored?.expires || '—';
+      section += showWorkspacePackage
+        ? `| ${advisoryLink} | ${advisory.workspacePackage || '—'} | \`${advisory.package}\` | ${reason} | ${expires} |\n`
+        : `| ${advisoryLink} | \`${advisory.package}\` | ${reason} | ${expires} |\n`;
+    });
+    
+    section += '\n</details>\n';
+  }
+  
+  if (Array.isArray(expiredIgnores) && expiredIgnores.length > 0) {
+    section += '\n⏰ **Expired audit ignore entries** (no longer applied):\n\n';
+    expiredIgnores.forEach(entry => {
+      section += `- \`${entry.id || entry.package}\` expired on ${entry.expires} — ${entry.reason}\n`;
+    });
+  }
+  
+  return section;
+}
 
 // Load audit results if available
-// Note: In monorepo mode, audit-summary.json is written per-package.
-// For now, we only show root-level audit results. Per-package audit aggregation
-// would require collecting audit-summary.json files from each package directory.
+// In monorepo mode, per-package audit summaries are collected by the orchestrator
+// into the build results and rendered by renderMonorepoAuditSection() instead.
 let auditSection = '';
-if (AUDIT_ENABLED) {
+if (AUDIT_ENABLED && !MONOREPO_MODE) {
   try {
     const auditPath = path.join(process.cwd(), 'audit-summary.json');
     if (fs.existsSync(auditPath)) {
@@ -108,16 +190,230 @@ if (AUDIT_ENABLED) {
         if (auditResults.low > 0) {
           auditSection += `| 🟢 Low | ${auditResults.low} |\n`;
         }
+        
+        auditSection += renderTopAdvisories(auditResults.advisories);
       }
+      
+      auditSection += renderAuditExceptions(auditResults.ignoredAdvisories, auditResults.expiredIgnores);
     }
   } catch (error) {
     console.error('⚠️  Could not load audit results:', error.message);
   }
 }
 
+// Render per-package audit results with a workspace total (monorepo mode)
+function renderMonorepoAuditSection(buildResults) {
+  const audited = buildResults.filter(r => r.audit && typeof r.audit === 'object');
+  if (audited.length === 0) {
+    return '';
+  }
+  
+  const totals = { critical: 0, high: 0, moderate: 0, low: 0, totalVulnerabilities: 0 };
+  audited.forEach(r => {
+    Object.keys(totals).forEach(key => {
+      totals[key] += Number(r.audit[key]) || 0;
+    });
+  });
+  
+  // Ignored advisories and expired ignore entries, tagged with their workspace package
+  const ignoredAdvisories = [];
+  const expiredIgnores = [];
+  audited.forEach(r => {
+    (r.audit.ignoredAdvisories || []).forEach(advisory => {
+      ignoredAdvisories.push({ ...advisory, workspacePackage: r.name });
+    });
+    (r.audit.expiredIgnores || []).forEach(entry => {
+      const key = `${entry.id}:${entry.package}`;
+      if (!expiredIgnores.some(existing => `${existing.id}:${existing.package}` === key)) {
+        expiredIgnores.push(entry);
+      }
+    });
+  });
+  
+  let section = '\n\n## 🔒 Security Audit\n\n';
+  
+  if (totals.totalVulnerabilities === 0) {
+    section += `✅ **No vulnerabilities found** across ${audited.length} audited package(s)\n`;
+    section += renderAuditExceptions(ignoredAdvisories, expiredIgnores);
+    return section;
+  }
+  
+  section += `⚠️  **${totals.totalVulnerabilities} vulnerabilities found** across ${audited.length} audited package(s)\n\n`;
+  section += '| Package | 🔴 Critical | 🟠 High | 🟡 Moderate | 🟢 Low | Total |\n';
+  section += '|---------|-------------|---------|-------------|--------|-------|\n';
+  
+  audited.forEach(r => {
+    const audit = r.audit;
+    section += `| ${r.name} | ${audit.critical || 0} | ${audit.high || 0} | ${audit.moderate || 0} | ${audit.low || 0} | ${audit.totalVulnerabilities || 0} |\n`;
+  });
+  
+  section += `| **Workspace total** | **${totals.critical}** | **${totals.high}** | **${totals.moderate}** | **${totals.low}** | **${totals.totalVulnerabilities}** |\n`;
+  
+  const advisories = [];
+  audited.forEach(r => {
+    (r.audit.advisories || []).forEach(advisory => {
+      advisories.push({ ...advisory, workspacePackage: r.name });
+    });
+  });
+  section += renderTopAdvisories(advisories);
+  section += renderAuditExceptions(ignoredAdvisories, expiredIgnores);
+  
+  return section;
+}
+
 // Generate comment body
 let commentBody;
 
+// Parse the monorepo build results, tolerating invalid input
+function readBuildResults() {
+  try {
+    const results = JSON.parse(BUILD_RESULTS_JSON);
+    return Array.isArray(results) ? results : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Summarize what was cleaned up after the PR closed
+function renderCleanupComment() {
+  let results = [];
+  let distTags = [];
+  try {
+    results = JSON.parse(CLEANUP_RESULTS_JSON);
+    distTags = JSON.parse(CLEANUP_DIST_TAGS_JSON);
+  } catch (error) {
+    console.error('❌ Failed to parse cleanup results:', error.message);
+  }
+  
+  const resultLabels = {
+    deprecated: '⚠️ Deprecated',
+    unpublished: '🗑️ Unpublished',
+    failed: '❌ Failed',
+    'dry-run': '🔍 Dry run'
+  };
+  
+  let body = '## 🧹 Pull Request Closed — Builds Cleaned Up\n\n';
+  if (results.length === 0) {
+    body += 'No prerelease versions published from this pull request were left to clean up.\n';
+  } else {
+    const cleaned = results.filter(r => r.result === 'deprecated' || r.result === 'unpublished').length;
+    body += `${cleaned} of ${results.length} prerelease version(s) published from this pull request were cleaned up.\n\n`;
+    body += '| Package | Version | Registry | Result |\n';
+    body += '|---------|---------|----------|--------|\n';
+    results.forEach(r => {
+      const result = r.error ? `${resultLabels[r.result] || r.result} — ${r.error}` : (resultLabels[r.result] || r.result);
+      body += `| ${r.name} | \`${r.version}\` | ${r.registry} | ${result} |\n`;
+    });
+  }
+  
+  if (distTags.length > 0) {
+    body += '\n### 🏷️ Dist-tags\n\n';
+    body += '| Package | Registry | Tag | Result |\n';
+    body += '|---------|----------|-----|--------|\n';
+    distTags.forEach(t => {
+      let result;
+      if (t.result === 'failed') {
+        result = t.error ? `❌ Failed — ${t.error}` : '❌ Failed';
+      } else if (t.version) {
+        result = `${t.result === 'dry-run' ? '🔍 Would move' : '↪️ Moved'} to \`${t.version}\``;
+      } else {
+        result = t.result === 'dry-run' ? '🔍 Would remove' : '✖️ Removed';
+      }
+      body += `| ${t.name} | ${t.registry} | \`${t.tag}\` | ${result} |\n`;
+    });
+  }
+  
+  body += '\n---\n*Cleaned up automatically by the Package Build Flow action.*\n';
+  return body;
+}
+
+// Render the generated changelog entries as a collapsed preview
+function renderReleaseNotesPreview(releaseNotes) {
+  if (!releaseNotes.trim()) {
+    return '';
+  }
+
+  let section = '### 📝 Release Notes Preview\n\n';
+  section += '<details>\n<summary>Changelog entries generated for this build</summary>\n\n';
+  section += `${releaseNotes.trim()}\n\n`;
+  section += '</details>\n';
+  return section;
+}
+
+// Signed size difference, e.g. "+1.2 kB" or "−300 B"
+function formatSizeDelta(before, after) {
+  const delta = after - before;
+  if (delta === 0) {
+    return '±0 B';
+  }
+  return `${delta > 0 ? '+' : '−'}${formatSize(Math.abs(delta))}`;
+}
+
+// Render a tarball diff (from diff-tarball.js) as a collapsed section
+function renderTarballDiff(diff, label) {
+  const { counts } = diff;
+  const changedFiles = counts.added + counts.removed + counts.changed;
+  const summaryParts = changedFiles > 0 || diff.manifest.length > 0
+    ? [`${counts.added} added, ${counts.removed} removed, ${counts.changed} changed`]
+    : ['no changes'];
+  summaryParts.push(`packed ${formatSize(diff.packedSize.before)} → ${formatSize(diff.packedSize.after)} (${formatSizeDelta(diff.packedSize.before, diff.packedSize.after)})`);
+
+  let section = '<details>\n';
+  section += `<summary>📦 ${label ? `<b>${label}</b> ` : ''}vs <code>${diff.base}</code> (latest): ${summaryParts.join(' · ')}</summary>\n\n`;
+
+  section += '| | Latest | This build | Change |\n';
+  section += '|---|---|---|---|\n';
+  section += `| Packed size | ${formatSize(diff.packedSize.before)} | ${formatSize(diff.packedSize.after)} | ${formatSizeDelta(diff.packedSize.before, diff.packedSize.after)} |\n`;
+  section += `| Unpacked size | ${formatSize(diff.unpackedSize.before)} | ${formatSize(diff.unpackedSize.after)} | ${formatSizeDelta(diff.unpackedSize.before, diff.unpackedSize.after)} |\n`;
+  section += `| Files | ${diff.fileCount.before} | ${diff.fileCount.after} | ${diff.fileCount.after - diff.fileCount.before >= 0 ? '+' : '−'}${Math.abs(diff.fileCount.after - diff.fileCount.before)} |\n\n`;
+
+  if (changedFiles > 0) {
+    section += '| File | Change | Size |\n';
+    section += '|------|--------|------|\n';
+    diff.added.forEach(file => {
+      section += `| \`${file.path}\` | ➕ Added | ${formatSize(file.size)} |\n`;
+    });
+    diff.removed.forEach(file => {
+      section += `| \`${file.path}\` | ➖ Removed | ${formatSize(file.size)} |\n`;
+    });
+    diff.changed.forEach(file => {
+      section += `| \`${file.path}\` | ✏️ Changed | ${formatSize(file.before)} → ${formatSize(file.after)} (${formatSizeDelta(file.before, file.after)}) |\n`;
+    });
+    const listed = diff.added.length + diff.removed.length + diff.changed.length;
+    if (listed < changedFiles) {
+      section += `\n_…and ${changedFiles - listed} more files._\n`;
+    }
+    section += '\n';
+  }
+
+  if (diff.manifest.length > 0) {
+    const cell = value => (value === null ? '—' : `\`${value.replace(/\|/g, '\\|')}\``);
+    section += '**package.json**\n\n';
+    section += '| Field | Latest | This build |\n';
+    section += '|-------|--------|------------|\n';
+    diff.manifest.forEach(change => {
+      section += `| \`${change.field}${change.key ? ` ${change.key.replace(/\|/g, '\\|')}` : ''}\` | ${cell(change.before)} | ${cell(change.after)} |\n`;
+    });
+    section += '\n';
+  }
+
+  section += '</details>\n';
+  return section;
+}
+
+// Tarball diffs of every package in a monorepo build
+function renderMonorepoTarballDiffs(buildResults) {
+  const diffs = buildResults.filter(result => result['tarball-diff']);
+  if (diffs.length === 0) {
+    return '';
+  }
+  let section = '### 📦 Tarball Changes\n\n';
+  diffs.forEach(result => {
+    section += renderTarballDiff(result['tarball-diff'], result.name) + '\n';
+  });
+  return section;
+}
+
 // Helper function to get GitHub-scoped package name for unscoped packages
 function getGitHubScopedName(packageName) {
   if (packageName.startsWith('@')) {
@@ -133,7 +429,38 @@ function getGitHubScopedName(packageName) {
   }
 }
 
-if (MONOREPO_MODE) {
+const TARGET_STATUS = {
+  'true': '✅',
+  'already-published': '♻️',
+  'dry-run': '🔍',
+  'false': '❌'
+};
+
+// Parse a registry target status list, ignoring anything that is not an array
+function parseRegistryTargets(json) {
+  try {
+    const targets = typeof json === 'string' ? JSON.parse(json) : json;
+    return Array.isArray(targets) ? targets : [];
+  } catch (error) {
+    console.warn('⚠️  Could not parse registry target results:', error.message);
+    return [];
+  }
+}
+
+// Registry targets the package can be installed from
+function installableTargets(targets) {
+  return targets.filter(t => ['true', 'already-published'].includes(t.published));
+}
+
+// One-line status per registry target, e.g. "artifactory ✅, nexus ❌"
+function renderTargetStatus(targets) {
+  return targets.map(t => `${t.name} ${TARGET_STATUS[t.published] || '❔'}`).join(', ');
+}
+
+if (CLEANUP_MODE) {
+  console.log('  Generating cleanup comment...');
+  commentBody = renderCleanupComment();
+} else if (MONOREPO_MODE) {
   // Monorepo mode
   console.log('  Generating monorepo comment...');
   
@@ -166,6 +493,13 @@ if (MONOREPO_MODE) {
   console.log(`  Build results: ${buildResults.length} packages`);
   console.log(`  Discovered packages: ${discoveredPackages.length} packages`);
   
+  if (AUDIT_ENABLED) {
+    auditSection = renderMonorepoAuditSection(buildResults);
+  }
+  
+  const releaseNotesSection = renderReleaseNotesPreview(RELEASE_NOTES);
+  const tarballDiffSection = renderMonorepoTarballDiffs(buildResults);
+  
   // Create a map of build results by package name
   const buildResultsMap = {};
   buildResults.forEach(result => {
@@ -178,35 +512,58 @@ if (MONOREPO_MODE) {
   
   discoveredPackages.forEach(pkg => {
     const buildResult = buildResultsMap[pkg.name];
+    // Registry target status is appended to the status cell
+    const registryTargets = parseRegistryTargets((buildResult && buildResult.registries) || []);
+    const targetStatus = registryTargets.length > 0 ? `<br>${renderTargetStatus(registryTargets)}` : '';
     
     if (buildResult && buildResult.result === 'success') {
       // Check if actually published to at least one registry
-      const npmPublished = buildResult['npm-published'] === 'true';
-      const githubPublished = buildResult['github-published'] === 'true';
-      const wasPublished = npmPublished || githubPublished;
+      const npmPublished = ['true', 'already-published'].includes(buildResult['npm-published']);
+      const githubPublished = ['true', 'already-published'].includes(buildResult['github-published']);
+      const targets = installableTargets(parseRegistryTargets(buildResult.registries || []));
+      const wasPublished = npmPublished || githubPublished || targets.length > 0;
       
       if (wasPublished) {
         // Successfully published
         const version = `\`${buildResult.version}\``;
-        const status = '✅ Published';
+        const status = (buildResult.provenance === 'true' ? '✅ Published 🔏 Provenance' : '✅ Published') + targetStatus;
         
         // Determine package name for install command
-        // Prefer npm name, but use GitHub-scoped name if only published to GitHub
-        const installName = (!npmPublished && githubPublished) 
-          ? getGitHubScopedName(pkg.name)
-          : pkg.name;
-        
-        const installCmd = `\`npm i ${installName}@${buildResult.version}\``;
+        // Prefer npm name, then the GitHub-scoped name, then the first registry target
+        let installCmd;
+        if (npmPublished || githubPublished) {
+          const installName = (!npmPublished && githubPublished)
+            ? getGitHubScopedName(pkg.name)
+            : pkg.name;
+          installCmd = `\`npm i ${installName}@${buildResult.version}\``;
+        } else {
+          installCmd = `\`npm i ${targets[0].package}@${buildResult.version} --registry ${targets[0].url}\``;
+        }
         packagesTable += `| ${pkg.name} | ${version} | ${status} | ${installCmd} |\n`;
       } else {
         // Build succeeded but not published (dry-run or publish disabled)
         const version = `\`${buildResult.version}\``;
-        const status = '⚠️ Built (not published)';
+        const status = '⚠️ Built (not published)' + targetStatus;
         packagesTable += `| ${pkg.name} | ${version} | ${status} | — |\n`;
       }
+    } else if (buildResult && buildResult.result === 'already-published') {
+      // Version was already on every target registry (e.g. a re-run)
+      const version = `\`${buildResult.version}\``;
+      const status = '♻️ Already published' + targetStatus;
+      const installName = (buildResult['npm-published'] !== 'already-published' &&
+        buildResult['github-published'] === 'already-published')
+        ? getGitHubScopedName(pkg.name)
+        : pkg.name;
+      const installCmd = `\`npm i ${installName}@${buildResult.version}\``;
+      packagesTable += `| ${pkg.name} | ${version} | ${status} | ${installCmd} |\n`;
     } else if (buildResult && buildResult.result === 'failed') {
       // Failed
-      const status = '❌ Failed';
+      const status = '❌ Failed' + targetStatus;
+      packagesTable += `| ${pkg.name} | — | ${status} | — |\n`;
+    } else if (buildResult && buildResult.result === 'skipped') {
+      // Not built because a workspace dependency failed
+      const failedDependencies = (buildResult.failedDependencies || []).join(', ');
+      const status = `⏭️ Skipped (dependency failed${failedDependencies ? `: ${failedDependencies}` : ''})`;
       packagesTable += `| ${pkg.name} | — | ${status} | — |\n`;
     } else {
       // Unchanged (not in build results)
@@ -217,17 +574,29 @@ if (MONOREPO_MODE) {
   
   // Build quick install section
   // Filter to packages that were actually published to at least one registry
+  // (or were already published by an earlier run)
   const successfulPackages = buildResults.filter(r => 
-    r.result === 'success' && 
-    (r['npm-published'] === 'true' || r['github-published'] === 'true')
+    r.result === 'already-published' ||
+    (r.result === 'success' && 
+    (r['npm-published'] === 'true' || r['github-published'] === 'true'))
   );
+  // Packages published only to registry targets need their own --registry install line
+  const targetOnlyPackages = buildResults.filter(r =>
+    r.result === 'success' &&
+    r['npm-published'] !== 'true' && r['github-published'] !== 'true' &&
+    installableTargets(parseRegistryTargets(r.registries || [])).length > 0
+  );
+  const targetInstallLines = targetOnlyPackages.map(pkg => {
+    const target = installableTargets(parseRegistryTargets(pkg.registries))[0];
+    return `npm i ${target.package}@${pkg.version} --registry ${target.url}`;
+  });
   let quickInstall = '';
   
-  if (successfulPackages.length > 0) {
+  if (successfulPackages.length > 0 || targetInstallLines.length > 0) {
     const installCommands = successfulPackages
       .map(pkg => {
-        const npmPublished = pkg['npm-published'] === 'true';
-        const githubPublished = pkg['github-published'] === 'true';
+        const npmPublished = ['true', 'already-published'].includes(pkg['npm-published']);
+        const githubPublished = ['true', 'already-published'].includes(pkg['github-published']);
         
         // Determine package name for install command
         const installName = (!npmPublished && githubPublished)
@@ -237,7 +606,10 @@ if (MONOREPO_MODE) {
         return `${installName}@${pkg.version}`;
       })
       .join(' ');
-    quickInstall = `### 📥 Quick Install (changed packages)\n\`\`\`bash\nnpm i ${installCommands}\n\`\`\`\n`;
+    const installLines = successfulPackages.length > 0
+      ? [`npm i ${installCommands}`, ...targetInstallLines]
+      : targetInstallLines;
+    quickInstall = `### 📥 Quick Install (changed packages)\n\`\`\`bash\n${installLines.join('\n')}\n\`\`\`\n`;
   } else {
     quickInstall = '### 📥 Quick Install\n\n⚠️ No packages were published to any registry.\n';
   }
@@ -249,6 +621,8 @@ if (MONOREPO_MODE) {
       .replace(/{PACKAGES_TABLE}/g, packagesTable)
       .replace(/{QUICK_INSTALL}/g, quickInstall)
       .replace(/{AUDIT_RESULTS}/g, auditSection)
+      .replace(/{RELEASE_NOTES}/g, releaseNotesSection)
+      .replace(/{TARBALL_DIFF}/g, tarballDiffSection)
       // Monorepo-safe fallbacks for single-package placeholders
       .replace(/{PACKAGE_VERSION}/g, 'multiple')
       .replace(/{NPM_INSTALL}/g, 'See Quick Install section below')
@@ -259,6 +633,12 @@ if (MONOREPO_MODE) {
     commentBody += `${flowInfo.emoji} **${flowInfo.title}** — ${flowInfo.description}\n\n`;
     commentBody += packagesTable + '\n';
     commentBody += quickInstall + '\n';
+    if (releaseNotesSection) {
+      commentBody += releaseNotesSection + '\n';
+    }
+    if (tarballDiffSection) {
+      commentBody += tarballDiffSection;
+    }
     commentBody += auditSection;
     commentBody += '\n---\n*This package was built automatically by the Package Build Flow action.*\n';
   }
@@ -312,6 +692,27 @@ if (MONOREPO_MODE) {
     });
   }
 
+  // Additional registry targets report the package name they were published under
+  const registryTargets = parseRegistryTargets(REGISTRY_TARGETS_RESULT_JSON);
+  installableTargets(registryTargets).forEach(target => {
+    installCommands.push({
+      registry: target.name,
+      commands: [
+        `npm install ${target.package}@${PACKAGE_VERSION} --registry ${target.url}`,
+        `npm install ${target.package}@${NPM_TAG} --registry ${target.url}  # Use dist-tag`
+      ]
+    });
+  });
+
+  let tarballDiffSection = '';
+  if (TARBALL_DIFF_JSON) {
+    try {
+      tarballDiffSection = `### 📦 Tarball Changes\n\n${renderTarballDiff(JSON.parse(TARBALL_DIFF_JSON))}`;
+    } catch (error) {
+      console.warn('⚠️  Could not parse TARBALL_DIFF_JSON:', error.message);
+    }
+  }
+
   if (PR_COMMENT_TEMPLATE) {
     // Use custom template
     commentBody = PR_COMMENT_TEMPLATE
@@ -319,7 +720,9 @@ if (MONOREPO_MODE) {
       .replace(/{PACKAGE_VERSION}/g, PACKAGE_VERSION)
       .replace(/{NPM_INSTALL}/g, installCommands.find(c => c.registry === 'NPM Registry')?.commands[0] || 'N/A')
       .replace(/{GITHUB_INSTALL}/g, installCommands.find(c => c.registry === 'GitHub Packages')?.commands[0] || 'N/A')
-      .replace(/{AUDIT_RESULTS}/g, auditSection);
+      .replace(/{AUDIT_RESULTS}/g, auditSection)
+      .replace(/{RELEASE_NOTES}/g, '')
+      .replace(/{TARBALL_DIFF}/g, tarballDiffSection);
   } else {
     // Generate default comment
     commentBody = `## ${flowInfo.emoji} ${flowInfo.title}\n\n`;
@@ -327,7 +730,17 @@ if (MONOREPO_MODE) {
     commentBody += `### 📦 Package Information\n\n`;
     commentBody += `- **Package:** \`${packageName}\`\n`;
     commentBody += `- **Version:** \`${PACKAGE_VERSION}\`\n`;
-    commentBody += `- **Dist-tag:** \`${NPM_TAG}\`\n\n`;
+    commentBody += `- **Dist-tag:** \`${NPM_TAG}\`\n`;
+    if (ALREADY_PUBLISHED) {
+      commentBody += `- **Status:** ♻️ Already published (this version was on the registry before this run)\n`;
+    }
+    if (NPM_PROVENANCE) {
+      commentBody += `- **Provenance:** 🔏 Published to NPM with a signed [provenance statement](https://docs.npmjs.com/generating-provenance-statements) linking it to this workflow run\n`;
+    }
+    if (registryTargets.length > 0) {
+      commentBody += `- **Registry targets:** ${renderTargetStatus(registryTargets)}\n`;
+    }
+    commentBody += '\n';
     commentBody += `### 📥 Installation Instructions\n\n`;
 
     if (installCommands.length === 0) {
@@ -338,59 +751,205 @@ if (MONOREPO_MODE) {
         if (note) {
           commentBody += `${note}\n\n`;
         }
-        commentBody += `[View on ${registry}](${url})\n\n`;
+        if (url) {
+          commentBody += `[View on ${registry}](${url})\n\n`;
+        }
       });
     }
 
+    commentBody += tarballDiffSection;
     commentBody += auditSection;
     commentBody += '\n---\n*This package was built automatically by the Package Build Flow action.*\n';
   }
 }
 
-// Post comment to PR
-function postComment(body) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({ body });
+// Sticky comment handling
+// The comment carries a hidden marker so later runs can find and update it
+// instead of posting a new comment on every push. Earlier builds are kept as
+// base64-encoded JSON in a second hidden marker and rendered as a history table.
+// A third marker lists every version published from the PR, so cleanup-versions.js
+// can deprecate or unpublish them when the PR closes. Only the comment written by the
+// token's user is reused (see sticky-comment.js), so markers in other comments are ignored.
+const HISTORY_LIMIT = 20;
+
+// Prefer the PR head commit; GITHUB_CONTEXT.sha is the merge commit for PR events
+const commitSha = GITHUB_CONTEXT.event?.pull_request?.head?.sha || GITHUB_CONTEXT.sha || '';
+
+// Summarize the current build for the history table
+function getCurrentBuildEntry() {
+  const entry = {
+    sha: commitSha,
+    flow: BUILD_FLOW_TYPE,
+    timestamp: new Date().toISOString()
+  };
+  
+  if (MONOREPO_MODE) {
+    const results = readBuildResults();
     
-    const options = {
-      hostname: 'api.github.com',
-      port: 443,
-      path: `/repos/${owner}/${repoName}/issues/${prNumber}/comments`,
-      method: 'POST',
-      headers: {
-        'Authorization': `token ${GITHUB_TOKEN}`,
-        'User-Agent': 'package-build-flow-action',
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(data, 'utf8')
-      }
-    };
+    const published = results.filter(r =>
+      r.result === 'success' &&
+      (r['npm-published'] === 'true' || r['github-published'] === 'true' ||
+        parseRegistryTargets(r.registries || []).some(t => t.published === 'true'))
+    );
+    const alreadyPublished = results.filter(r => r.result === 'already-published');
+    const failed = results.filter(r => r.result === 'failed');
+    const skipped = results.filter(r => r.result === 'skipped');
     
-    const req = https.request(options, (res) => {
-      let responseData = '';
-      
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(JSON.parse(responseData));
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${responseData}`));
+    entry.version = published.length > 0
+      ? published.map(r => `${r.name}@${r.version}`).join(', ')
+      : '—';
+    
+    const statusParts = [];
+    if (published.length > 0) {
+      statusParts.push(`✅ ${published.length} published`);
+    }
+    if (alreadyPublished.length > 0) {
+      statusParts.push(`♻️ ${alreadyPublished.length} already published`);
+    }
+    if (failed.length > 0) {
+      statusParts.push(`❌ ${failed.length} failed`);
+    }
+    if (skipped.length > 0) {
+      statusParts.push(`⏭️ ${skipped.length} skipped`);
+    }
+    entry.status = statusParts.length > 0 ? statusParts.join(', ') : '⚠️ Not published';
+  } else {
+    entry.version = PACKAGE_VERSION || '—';
+    if (ALREADY_PUBLISHED) {
+      entry.status = '♻️ Already published';
+    } else {
+      const targetPublished = parseRegistryTargets(REGISTRY_TARGETS_RESULT_JSON).some(t => t.published === 'true');
+      entry.status = (NPM_PUBLISHED || GITHUB_PUBLISHED || targetPublished) ? '✅ Published' : '⚠️ Not published';
+    }
+  }
+  
+  return entry;
+}
+
+// Versions this build published, per registry (already-published versions were tracked by the run that published them)
+// Registry targets are tracked under their name, with the package name they were published under
+function getPublishedVersions() {
+  const entries = [];
+  const addTargets = (targets, version) => {
+    parseRegistryTargets(targets)
+      .filter(t => t.published === 'true' && t.name && t.package)
+      .forEach(t => entries.push({ registry: t.name, name: t.package, version }));
+  };
+  
+  if (MONOREPO_MODE) {
+    readBuildResults()
+      .filter(r => r.result === 'success')
+      .forEach(r => {
+        if (r['npm-published'] === 'true') {
+          entries.push({ registry: 'npm', name: r.name, version: r.version });
         }
+        if (r['github-published'] === 'true') {
+          entries.push({ registry: 'github', name: getGitHubScopedName(r.name), version: r.version });
+        }
+        addTargets(r.registries || [], r.version);
       });
-    });
-    
-    req.on('error', reject);
-    req.write(data);
-    req.end();
+  } else {
+    const packageName = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf8')).name;
+    if (process.env.NPM_PUBLISHED === 'true') {
+      entries.push({ registry: 'npm', name: packageName, version: PACKAGE_VERSION });
+    }
+    if (process.env.GITHUB_PUBLISHED === 'true') {
+      entries.push({ registry: 'github', name: getGitHubScopedName(packageName), version: PACKAGE_VERSION });
+    }
+    addTargets(REGISTRY_TARGETS_RESULT_JSON, PACKAGE_VERSION);
+  }
+  
+  return entries;
+}
+
+// Add newly published versions to the tracked list (no limit; cleanup needs all of them)
+function mergePublished(published, entries) {
+  const key = item => `${item.registry}:${item.name}@${item.version}`;
+  const known = new Set(published.map(key));
+  return [...published, ...entries.filter(entry => !known.has(key(entry)))];
+}
+
+// Merge the current build into the history (newest first, one entry per commit)
+function mergeHistory(history, entry) {
+  const merged = [entry, ...history.filter(item => item && item.sha !== entry.sha)];
+  return merged.slice(0, HISTORY_LIMIT);
+}
+
+// Render earlier builds as a collapsed table
+function renderHistory(history) {
+  // After cleanup every build is a previous build
+  const earlier = CLEANUP_MODE ? history : history.filter(item => item.sha !== commitSha);
+  if (earlier.length === 0) {
+    return '';
+  }
+  
+  let section = '\n<details>\n';
+  section += `<summary>📜 Previous builds (${earlier.length})</summary>\n\n`;
+  section += '| Commit | Version | Status |\n';
+  section += '|--------|---------|--------|\n';
+  
+  earlier.forEach(item => {
+    const shortSha = (item.sha || '').substring(0, 7) || '—';
+    const commit = item.sha
+      ? `[\`${shortSha}\`](https://github.com/${owner}/${repoName}/commit/${item.sha})`
+      : shortSha;
+    const version = item.version && item.version !== '—'
+      ? item.version.split(', ').map(v => `\`${v}\``).join('<br>')
+      : '—';
+    section += `| ${commit} | ${version} | ${item.status || '—'} |\n`;
   });
+  
+  section += '\n</details>\n';
+  return section;
+}
+
+function buildStickyBody(body, history, published) {
+  return `${COMMENT_MARKER}\n${body}${renderHistory(history)}\n${writeMarker('history', history)}\n${writeMarker('published', published)}\n`;
+}
+
+// Create the sticky comment or update it in place
+async function upsertComment(body, existing) {
+  const previousHistory = readMarker(existing?.body, 'history');
+  const previousPublished = readMarker(existing?.body, 'published');
+  let history = Array.isArray(previousHistory) ? previousHistory : [];
+  let published = Array.isArray(previousPublished) ? previousPublished : [];
+  if (!CLEANUP_MODE) {
+    history = mergeHistory(history, getCurrentBuildEntry());
+    published = mergePublished(published, getPublishedVersions());
+  }
+  const stickyBody = buildStickyBody(body, history, published);
+  
+  if (existing) {
+    console.log(`  Updating existing comment: ${existing.id}`);
+    const result = await githubRequest(
+      GITHUB_TOKEN,
+      'PATCH',
+      `/repos/${owner}/${repoName}/issues/comments/${existing.id}`,
+      { body: stickyBody }
+    );
+    return { result, updated: true };
+  }
+  
+  const result = await githubRequest(
+    GITHUB_TOKEN,
+    'POST',
+    `/repos/${owner}/${repoName}/issues/${prNumber}/comments`,
+    { body: stickyBody }
+  );
+  return { result, updated: false };
 }
 
 // Execute
-postComment(commentBody)
-  .then((result) => {
-    console.log('✅ PR comment posted successfully');
+// A second comment would start without the tracked published versions, so a failed
+// lookup fails the step instead of posting one
+findStickyComment(GITHUB_TOKEN, owner, repoName, prNumber)
+  .catch((error) => {
+    console.error('❌ Could not look up the existing PR comment, not posting a new one:', error.message);
+    process.exit(1);
+  })
+  .then(existing => upsertComment(commentBody, existing))
+  .then(({ result, updated }) => {
+    console.log(updated ? '✅ PR comment updated successfully' : '✅ PR comment posted successfully');
     console.log(`   Comment URL: ${result.html_url}`);
   })
   .catch((error) => {
@@ -0,0 +1,118 @@
+/**
+ * Registry Client
+ * Minimal read-only client for npm-compatible registries (npm, GitHub Packages,
+ * Verdaccio). Shared by check-published-version.js, match-flow-rule.js,
+ * cleanup-versions.js, diff-tarball.js and resolve-workspace-protocol.js.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Build the packument URL for a package (scoped names keep the @ and escape the /)
+ * @param {string} registryUrl - Registry base URL
+ * @param {string} name - Package name
+ * @returns {URL}
+ */
+function packumentUrl(registryUrl, name) {
+  const base = registryUrl.endsWith('/') ? registryUrl : `${registryUrl}/`;
+  return new URL(name.replace('/', '%2f'), base);
+}
+
+/**
+ * Fetch a packument
+ * @param {URL} url - Packument URL from packumentUrl()
+ * @param {string} [token] - Registry token
+ * @param {object} [options]
+ * @param {boolean} [options.full] - Full metadata (publish times); abbreviated otherwise
+ * @returns {Promise<object|null>} - The packument, or null when the package does not exist
+ */
+function fetchPackument(url, token, { full = false } = {}) {
+  const client = url.protocol === 'http:' ? http : https;
+  const headers = {
+    // Abbreviated metadata is enough to list versions and much smaller
+    'Accept': full ? 'application/json' : 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8',
+    'User-Agent': 'package-build-flow-action'
+  };
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 404) {
+          resolve(null);
+        } else if (res.statusCode >= 200 && res.statusCode < 300) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error(`Invalid packument JSON: ${error.message}`));
+          }
+        } else {
+          reject(new Error(`Registry responded with HTTP ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Download a package tarball
+ * Redirects are followed (GitHub Packages serves tarballs from blob storage);
+ * the token is only sent to the registry host itself
+ * @param {string} tarballUrl - dist.tarball from the packument
+ * @param {string} [token] - Registry token
+ * @returns {Promise<Buffer>}
+ */
+function fetchTarball(tarballUrl, token) {
+  const registryHost = new URL(tarballUrl).host;
+
+  const download = (url, redirects) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'http:' ? http : https;
+    const headers = { 'User-Agent': 'package-build-flow-action' };
+    if (token && url.host === registryHost) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const req = client.get(url, { headers, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error('Too many redirects'));
+        } else {
+          resolve(download(new URL(res.headers.location, url), redirects + 1));
+        }
+        return;
+      }
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(Buffer.concat(chunks));
+        } else {
+          reject(new Error(`Registry responded with HTTP ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
+    req.on('error', reject);
+  });
+
+  return download(new URL(tarballUrl), 0);
+}
+
+module.exports = {
+  packumentUrl,
+  fetchPackument,
+  fetchTarball
+};
@@ -3,16 +3,32 @@
 /**
  * Dependency Order Resolution Script
  * Performs topological sort of workspace packages based on their dependencies
- * Uses Kahn's algorithm to detect and resolve dependency order
+ * Uses Kahn's algorithm to detect and resolve dependency order, and groups packages
+ * into topological levels: packages in one level never depend on each other
+ *
+ * The types in dependency-order-types create the ordering edges. A runtime type
+ * (dependencies, peerDependencies, optionalDependencies) may only be left out while no
+ * workspace package depends on another through it: a package must never be published
+ * before the packages its consumers install with it.
+ *
+ * Cycles are found as strongly connected components (Tarjan's algorithm) and reported
+ * as exact paths. A cycle that only exists through devDependencies is broken by ignoring
+ * those devDependency edges, with a warning; any other cycle fails the run.
  */
 
 const fs = require('fs');
-const path = require('path');
+const { parseDependencyTypes, buildDependencyGraph } = require('./workspace-graph');
 
 // Read input packages from environment (JSON array)
 const PACKAGES_JSON = process.env.PACKAGES_JSON || '[]';
+// Dependency types that create an ordering edge
+const DEPENDENCY_ORDER_TYPES = process.env.DEPENDENCY_ORDER_TYPES === undefined
+  ? 'dependencies,peerDependencies,optionalDependencies,devDependencies'
+  : process.env.DEPENDENCY_ORDER_TYPES;
 const GITHUB_OUTPUT = process.env.GITHUB_OUTPUT || '';
 
+const RUNTIME_DEPENDENCY_TYPES = ['dependencies', 'peerDependencies', 'optionalDependencies'];
+
 console.log('🔄 Resolving dependency order...');
 console.log('');
 
@@ -25,6 +41,15 @@ try {
   process.exit(1);
 }
 
+let depTypes;
+try {
+  depTypes = parseDependencyTypes(DEPENDENCY_ORDER_TYPES);
+} catch (error) {
+  console.error('❌ Error: Invalid dependency-order-types');
+  console.error(error.message);
+  process.exit(1);
+}
+
 if (!Array.isArray(packages) || packages.length === 0) {
   console.error('❌ Error: No packages provided or invalid package array');
   process.exit(1);
@@ -61,67 +86,39 @@ validPackages.forEach(pkg => {
   packageMap.set(pkg.name, pkg);
 });
 
-// Extract workspace dependencies from a package
-// packagePath: full path to package.json file (e.g., "core/package.json")
-function getWorkspaceDependencies(packagePath) {
-  try {
-    const packageJsonPath = path.resolve(packagePath);
-    if (!fs.existsSync(packageJsonPath)) {
-      console.error(`⚠️  Warning: Package file not found: ${packagePath}`);
-      return [];
-    }
-
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-    const workspaceDeps = new Set();
-
-    // Check all dependency types
-    const depTypes = ['dependencies', 'peerDependencies', 'devDependencies'];
-    
-    depTypes.forEach(depType => {
-      if (packageJson[depType]) {
-        Object.keys(packageJson[depType]).forEach(depName => {
-          // Only include if it's a workspace package
-          if (packageMap.has(depName)) {
-            workspaceDeps.add(depName);
-          }
-        });
-      }
-    });
-
-    return Array.from(workspaceDeps);
-  } catch (error) {
-    console.error(`⚠️  Warning: Failed to read dependencies from ${packagePath}: ${error.message}`);
-    return [];
-  }
-}
-
 // Build dependency graph
 console.log('🔍 Analyzing workspace dependencies...');
 console.log('');
 
-const dependencyGraph = new Map(); // package name -> array of workspace dependencies
-const dependents = new Map(); // package name -> array of packages that depend on it
-const inDegree = new Map(); // package name -> count of dependencies
+console.log(`  Ordering edges: ${depTypes.join(', ') || 'none'}`);
+console.log('');
 
-// Initialize maps
-validPackages.forEach(pkg => {
-  dependencyGraph.set(pkg.name, []);
-  dependents.set(pkg.name, []);
-  inDegree.set(pkg.name, 0);
+// Runtime edges of the left-out runtime types would let a package publish before its dependencies
+const runtimeEdges = [];
+RUNTIME_DEPENDENCY_TYPES.filter(type => !depTypes.includes(type)).forEach(type => {
+  buildDependencyGraph(validPackages, [type]).dependencyGraph.forEach((deps, name) => {
+    deps.forEach(dep => runtimeEdges.push(`${name} → ${dep} (${type})`));
+  });
 });
+if (runtimeEdges.length > 0) {
+  console.error('❌ Error: dependency-order-types leaves out runtime dependencies between workspace packages:');
+  runtimeEdges.forEach(edge => console.error(`  ${edge}`));
+  console.error('A package must be published before the packages that install it. Add these types to dependency-order-types.');
+  process.exit(1);
+}
+
+// dependencyGraph: package name -> array of workspace dependencies
+// dependents: package name -> array of packages that depend on it
+const { dependencyGraph, dependents } = buildDependencyGraph(validPackages, depTypes);
+
+// The same graph without devDependencies: a cycle that disappears here is dev-only
+const hardDepTypes = depTypes.filter(type => type !== 'devDependencies');
+const hardGraph = hardDepTypes.length === depTypes.length
+  ? dependencyGraph
+  : buildDependencyGraph(validPackages, hardDepTypes).dependencyGraph;
 
-// Build the graph
 validPackages.forEach(pkg => {
-  const deps = getWorkspaceDependencies(pkg.path);
-  dependencyGraph.set(pkg.name, deps);
-  
-  // Update in-degree and dependents
-  deps.forEach(depName => {
-    if (dependents.has(depName)) {
-      dependents.get(depName).push(pkg.name);
-    }
-    inDegree.set(pkg.name, inDegree.get(pkg.name) + 1);
-  });
+  const deps = dependencyGraph.get(pkg.name);
   
   if (deps.length > 0) {
     console.log(`  ${pkg.name} → depends on: ${deps.join(', ')}`);
@@ -130,10 +127,142 @@ validPackages.forEach(pkg => {
   }
 });
 
+/**
+ * Find the strongly connected components of a graph that contain a cycle (Tarjan's algorithm)
+ * Components and their members are returned in package discovery order
+ * @param {Map<string, string[]>} graph - package name → dependencies
+ * @returns {string[][]}
+ */
+function findCycles(graph) {
+  const indexOf = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let index = 0;
+  
+  function connect(name) {
+    indexOf.set(name, index);
+    lowLink.set(name, index);
+    index++;
+    stack.push(name);
+    onStack.add(name);
+    
+    (graph.get(name) || []).forEach(dep => {
+      if (!indexOf.has(dep)) {
+        connect(dep);
+        lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(dep)));
+      } else if (onStack.has(dep)) {
+        lowLink.set(name, Math.min(lowLink.get(name), indexOf.get(dep)));
+      }
+    });
+    
+    if (lowLink.get(name) === indexOf.get(name)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== name);
+      components.push(component);
+    }
+  }
+  
+  validPackages.forEach(pkg => {
+    if (!indexOf.has(pkg.name)) {
+      connect(pkg.name);
+    }
+  });
+  
+  const discoveryOrder = new Map(validPackages.map((pkg, position) => [pkg.name, position]));
+  return components
+    .filter(component => component.length > 1 || (graph.get(component[0]) || []).includes(component[0]))
+    .map(component => component.sort((a, b) => discoveryOrder.get(a) - discoveryOrder.get(b)))
+    .sort((a, b) => discoveryOrder.get(a[0]) - discoveryOrder.get(b[0]));
+}
+
+/**
+ * Shortest cycle through the first package of a component, as a path "a → b → a"
+ * @param {Map<string, string[]>} graph
+ * @param {string[]} component
+ * @returns {string}
+ */
+function cyclePath(graph, component) {
+  const start = component[0];
+  const members = new Set(component);
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+  
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    for (const dep of graph.get(current) || []) {
+      if (dep === start) {
+        const path = [start];
+        for (let node = current; node !== start; node = previous.get(node)) {
+          path.splice(1, 0, node);
+        }
+        return [...path, start].join(' → ');
+      }
+      if (members.has(dep) && !previous.has(dep)) {
+        previous.set(dep, current);
+        queue.push(dep);
+      }
+    }
+  }
+  return component.join(' → ');
+}
+
+// Cycles that do not go through devDependencies cannot be broken
+const hardCycles = findCycles(hardGraph);
+if (hardCycles.length > 0) {
+  console.error('');
+  console.error('❌ Circular dependency detected:');
+  hardCycles.forEach(component => {
+    const path = cyclePath(hardGraph, component);
+    console.error(`  ${path}`);
+    // Several cycles can share packages; list the whole group when the path does not cover it
+    if (path.split(' → ').length - 1 < component.length) {
+      console.error(`    Packages in this group of cycles: ${component.join(', ')}`);
+    }
+  });
+  console.error('');
+  console.error(`Ordering edges: ${depTypes.join(', ')}`);
+  console.error('Remove one of these dependencies: runtime dependencies cannot be left out of dependency-order-types.');
+  
+  process.exit(1);
+}
+
+// Dev-only cycles: ignore the devDependency edges inside each cycle, ordering by the remaining edges
+const devCycles = findCycles(dependencyGraph);
+if (devCycles.length > 0) {
+  console.log('');
+  console.log(`⚠️  Warning: ${devCycles.length} cycle(s) only through devDependencies, ordering them by their other dependencies:`);
+  devCycles.forEach(component => {
+    console.log(`  ${cyclePath(dependencyGraph, component)}`);
+    
+    const members = new Set(component);
+    component.forEach(name => {
+      const hardDeps = hardGraph.get(name) || [];
+      const ignored = dependencyGraph.get(name).filter(dep => members.has(dep) && !hardDeps.includes(dep));
+      ignored.forEach(dep => {
+        console.log(`    Ignoring ${name} → ${dep} (devDependencies)`);
+        dependents.set(dep, dependents.get(dep).filter(dependent => dependent !== name));
+      });
+      dependencyGraph.set(name, dependencyGraph.get(name).filter(dep => !ignored.includes(dep)));
+    });
+  });
+}
+
 console.log('');
 console.log('🔀 Performing topological sort (Kahn\'s algorithm)...');
 console.log('');
 
+const inDegree = new Map(); // package name -> count of dependencies
+validPackages.forEach(pkg => {
+  inDegree.set(pkg.name, dependencyGraph.get(pkg.name).length);
+});
+
 // Kahn's algorithm for topological sort
 const sorted = [];
 const queue = [];
@@ -165,37 +294,34 @@ while (head < queue.length) {
   });
 }
 
-// Check for circular dependencies
-if (sorted.length !== validPackages.length) {
-  console.error('');
-  
-  // Find packages involved in the cycle
-  const cyclePackages = [];
-  validPackages.forEach(pkg => {
-    if (inDegree.get(pkg.name) > 0) {
-      cyclePackages.push(pkg.name);
-    }
-  });
-  
-  console.error(`❌ Circular dependency detected among: ${cyclePackages.join(', ')}`);
-  console.error('');
-  console.error('Dependency graph for these packages:');
-  cyclePackages.forEach(pkgName => {
-    const deps = dependencyGraph.get(pkgName) || [];
-    console.error(`  ${pkgName} → ${deps.join(', ') || 'none'}`);
-  });
-  
-  process.exit(1);
-}
+// Assign topological levels: a package sits one level above its deepest dependency.
+// Kahn's order guarantees every dependency is assigned before its dependents.
+const levelOf = new Map();
+sorted.forEach(name => {
+  const deps = dependencyGraph.get(name) || [];
+  levelOf.set(name, deps.reduce((level, dep) => Math.max(level, levelOf.get(dep) + 1), 0));
+});
 
-// Build ordered package list (preserve original package metadata)
-const orderedPackages = sorted.map(name => packageMap.get(name));
+// Group into levels, keeping Kahn's order within each level (preserve original package metadata)
+const levels = [];
+sorted.forEach(name => {
+  const level = levelOf.get(name);
+  (levels[level] = levels[level] || []).push(packageMap.get(name));
+});
+
+// Build ordered package list level by level
+const orderedPackages = levels.flat();
 
 console.log('📋 Build order:');
-orderedPackages.forEach((pkg, index) => {
-  const deps = dependencyGraph.get(pkg.name) || [];
-  const depInfo = deps.length > 0 ? `depends on: ${deps.join(', ')}` : 'no workspace deps';
-  console.log(`  ${index + 1}. ${pkg.name} (${depInfo})`);
+let position = 0;
+levels.forEach((levelPackages, level) => {
+  console.log(`  Level ${level + 1}:`);
+  levelPackages.forEach(pkg => {
+    position++;
+    const deps = dependencyGraph.get(pkg.name) || [];
+    const depInfo = deps.length > 0 ? `depends on: ${deps.join(', ')}` : 'no workspace deps';
+    console.log(`    ${position}. ${pkg.name} (${depInfo})`);
+  });
 });
 
 console.log('');
@@ -208,6 +334,7 @@ const orderedPackagesJson = JSON.stringify(orderedPackages);
 // Write to GitHub Output if available
 if (GITHUB_OUTPUT) {
   fs.appendFileSync(GITHUB_OUTPUT, `ordered-packages=${orderedPackagesJson}\n`);
+  fs.appendFileSync(GITHUB_OUTPUT, `dependency-levels=${JSON.stringify(levels)}\n`);
 }
 
 // Also write to stdout for script consumption
@@ -3,14 +3,40 @@
 /**
  * Workspace Protocol Resolution Script
  * Resolves workspace:* protocol dependencies to actual semver versions
- * before npm publish
+ * before npm publish. With fixed (lockstep) versioning, every internal
+ * dependency is pinned to the shared FIXED_VERSION instead.
+ *
+ * Also resolved:
+ * - workspace:../path (yarn): the version of the workspace package in that directory
+ * - workspace:foo@* (pnpm alias): npm:foo@<version>
+ * - catalog: / catalog:name (pnpm): the range from the catalogs in pnpm-workspace.yaml
+ * Anything that cannot be resolved fails the package instead of being published as-is.
+ *
+ * In monorepo runs, WORKSPACE_VERSIONS holds the versions built earlier in
+ * the same run, so dependents point at those builds (e.g. the PR build of a
+ * library). Workspace packages not built in the run resolve to their last
+ * published version.
  */
 
 const fs = require('fs');
+const path = require('path');
+const { packumentUrl, fetchPackument } = require('./registry-client');
 
 // Read inputs from environment
 const PACKAGE_PATH = process.env.PACKAGE_PATH || '';
 const DISCOVERED_PACKAGES_JSON = process.env.DISCOVERED_PACKAGES || '[]';
+// Directory the discovered package paths are relative to
+const WORKSPACE_ROOT = process.env.WORKSPACE_ROOT || process.cwd();
+const FIXED_VERSION = process.env.FIXED_VERSION || '';
+// JSON object: package name → version built in this run (set by the monorepo orchestrator)
+const WORKSPACE_VERSIONS_JSON = process.env.WORKSPACE_VERSIONS || '';
+const REGISTRY = process.env.REGISTRY || 'npm';
+const NPM_REGISTRY_URL = process.env.NPM_REGISTRY_URL || 'https://registry.npmjs.org';
+const NPM_TOKEN = process.env.NPM_TOKEN || '';
+const GITHUB_REGISTRY_URL = process.env.GITHUB_REGISTRY_URL || 'https://npm.pkg.github.com';
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN || '';
+const PACKAGE_SCOPE = process.env.PACKAGE_SCOPE || '';
+const GITHUB_REPOSITORY_OWNER = process.env.GITHUB_REPOSITORY_OWNER || '';
 
 if (!PACKAGE_PATH) {
   console.error('❌ Error: PACKAGE_PATH environment variable is required');
@@ -23,6 +49,9 @@ if (!fs.existsSync(PACKAGE_PATH)) {
 }
 
 console.log('🔄 Resolving workspace protocol dependencies...');
+if (FIXED_VERSION) {
+  console.log(`🔒 Fixed versioning: pinning internal dependencies to ${FIXED_VERSION}`);
+}
 console.log('');
 
 // Parse discovered packages
@@ -35,12 +64,27 @@ try {
   process.exit(1);
 }
 
-// Build a map of package name to version
+let workspaceVersions = null;
+if (WORKSPACE_VERSIONS_JSON) {
+  try {
+    workspaceVersions = JSON.parse(WORKSPACE_VERSIONS_JSON);
+  } catch (error) {
+    console.error('❌ Error: Failed to parse WORKSPACE_VERSIONS');
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+// Build a map of package name to version, and of package directory to name (workspace:<path>)
 const packageVersionMap = new Map();
+const packageDirMap = new Map();
 if (Array.isArray(discoveredPackages)) {
   discoveredPackages.forEach(pkg => {
-    if (pkg && pkg.name && pkg.version) {
-      packageVersionMap.set(pkg.name, pkg.version);
+    if (pkg && pkg.name && (FIXED_VERSION || pkg.version)) {
+      packageVersionMap.set(pkg.name, FIXED_VERSION || pkg.version);
+    }
+    if (pkg && pkg.name && (pkg.dir || pkg.path)) {
+      packageDirMap.set(path.resolve(WORKSPACE_ROOT, pkg.dir || path.dirname(pkg.path)), pkg.name);
     }
   });
 }
@@ -60,16 +104,19 @@ try {
 let changesMade = false;
 const resolvedDeps = [];
 const unresolvedDeps = [];
+// Versions from this run that are prereleases; ranges would also match other builds
+const exactVersions = new Set();
 
 /**
  * Resolve workspace protocol specifier to actual version
  * @param {string} specifier - The part after "workspace:" (e.g., "*", "^", "~", "^1.0.0")
  * @param {string} actualVersion - The actual version from the workspace package
- * @returns {string} - The resolved version string
+ * @param {boolean} [exact] - Pin ^ and ~ exactly (prerelease builds of this run)
+ * @returns {string|null} - The resolved version string, or null when the specifier is not understood
  */
-function resolveSpecifier(specifier, actualVersion) {
+function resolveSpecifier(specifier, actualVersion, exact = false) {
   // workspace:* → exact version
-  if (specifier === '*') {
+  if (specifier === '*' || (exact && (specifier === '^' || specifier === '~'))) {
     return actualVersion;
   }
   
@@ -83,110 +130,385 @@ function resolveSpecifier(specifier, actualVersion) {
     return `~${actualVersion}`;
   }
   
-  // workspace:^1.0.0 or workspace:~1.0.0 or workspace:>=1.0.0
+  // workspace:^1.0.0 or workspace:~1.0.0 or workspace:>=1.0.0 or workspace:1.2.3
   // Strip "workspace:" prefix, keep the range specifier
-  if (specifier.match(/^[\^~>=<]/)) {
+  if (specifier.match(/^[\^~>=<\d]/)) {
     return specifier;
   }
   
-  // Other formats → use as-is or default to exact version
-  return specifier || actualVersion;
+  // workspace: → exact version
+  if (specifier === '') {
+    return actualVersion;
+  }
+  
+  return null;
 }
 
-// Dependency types to check
-const depTypes = ['dependencies', 'devDependencies', 'peerDependencies'];
+/**
+ * Split a workspace specifier into the package it points at and the range part
+ * @param {string} depName - Dependency key in package.json
+ * @param {string} specifier - The part after "workspace:"
+ * @returns {object} - { target, range, alias } or { error }
+ */
+function parseWorkspaceSpecifier(depName, specifier) {
+  // workspace:foo@* or workspace:@scope/foo@^ (pnpm alias)
+  const alias = specifier.match(/^((?:@[^/@]+\/)?[^/@]+)@(.*)$/);
+  if (alias) {
+    return { target: alias[1], range: alias[2], alias: true };
+  }
+  
+  // workspace:../core or workspace:packages/core (yarn path, relative to the dependent)
+  if (specifier.startsWith('.') || specifier.includes('/')) {
+    const dir = path.resolve(path.dirname(path.resolve(PACKAGE_PATH)), specifier);
+    const target = packageDirMap.get(dir);
+    if (!target) {
+      return { error: `no discovered workspace package in ${path.relative(WORKSPACE_ROOT, dir) || '.'}` };
+    }
+    return { target, range: '*' };
+  }
+  
+  return { target: depName, range: specifier };
+}
 
-depTypes.forEach(depType => {
-  if (!packageJson[depType]) {
-    return;
+/**
+ * Find the pnpm-workspace.yaml that applies to a package (the nearest one above it)
+ * @param {string} packageDir
+ * @returns {string|null}
+ */
+function findPnpmWorkspaceFile(packageDir) {
+  let dir = packageDir;
+  for (;;) {
+    const candidate = path.join(dir, 'pnpm-workspace.yaml');
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
   }
+}
+
+// Remove a trailing comment and surrounding quotes from a YAML scalar
+function yamlScalar(value) {
+  return value
+    .replace(/\s+#.*$/, '')
+    .trim()
+    .replace(/^(["'])(.*)\1$/, '$2');
+}
 
-  const deps = packageJson[depType];
-  Object.keys(deps).forEach(depName => {
-    const depVersion = deps[depName];
+/**
+ * Read the catalogs of a pnpm-workspace.yaml: the default `catalog` and the named `catalogs`
+ * Supports block mappings, which is how pnpm writes them
+ * @param {string} file
+ * @returns {object} - Catalog name → { package name → range }
+ */
+function readPnpmCatalogs(file) {
+  const catalogs = {};
+  let section = null;
+  let catalogName = null;
+  let catalogIndent = null;
+  
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      return;
+    }
+    const indent = line.match(/^ */)[0].length;
+    const entry = line.trim().match(/^("[^"]+"|'[^']+'|[^:]+?)\s*:(?:\s+(.*))?$/);
     
-    // Check if it uses workspace protocol
-    if (typeof depVersion === 'string' && depVersion.startsWith('workspace:')) {
-      // Extract the version specifier after "workspace:"
-      const specifier = depVersion.substring('workspace:'.length);
-      
-      // Look up the package version
-      const actualVersion = packageVersionMap.get(depName);
-      
-      if (!actualVersion) {
-        // Track unresolved dependencies
-        unresolvedDeps.push({
-          name: depName,
-          type: depType,
-          original: depVersion
-        });
-        
-        // For critical dependency types (dependencies, peerDependencies), fail
-        if (depType === 'dependencies' || depType === 'peerDependencies') {
-          console.error(`❌ Error: Workspace dependency "${depName}" (${depType}) not found in discovered packages`);
-          console.error(`   Cannot resolve: ${depVersion}`);
-          console.error(`   This would result in a broken package on the registry.`);
-        } else {
-          // For devDependencies, just warn
-          console.log(`⚠️  Warning: Workspace dependency "${depName}" (${depType}) not found in discovered packages`);
-          console.log(`   Keeping original value: ${depVersion}`);
-        }
+    if (indent === 0) {
+      section = entry ? yamlScalar(entry[1]) : null;
+      catalogName = section === 'catalog' ? 'default' : null;
+      catalogIndent = null;
+      return;
+    }
+    if (!entry || (section !== 'catalog' && section !== 'catalogs')) {
+      return;
+    }
+    
+    const key = yamlScalar(entry[1]);
+    const value = entry[2] === undefined ? '' : yamlScalar(entry[2]);
+    if (section === 'catalogs' && (catalogIndent === null || indent <= catalogIndent)) {
+      catalogIndent = indent;
+      catalogName = key;
+      catalogs[catalogName] = catalogs[catalogName] || {};
+      return;
+    }
+    if (catalogName && value) {
+      catalogs[catalogName] = catalogs[catalogName] || {};
+      catalogs[catalogName][key] = value;
+    }
+  });
+  
+  return catalogs;
+}
+
+let pnpmCatalogs = null;
+
+/**
+ * Resolve a catalog: specifier
+ * @param {string} depName
+ * @param {string} depVersion - "catalog:", "catalog:default" or "catalog:<name>"
+ * @returns {object} - { resolved } or { error }
+ */
+function resolveCatalog(depName, depVersion) {
+  const catalogName = depVersion.substring('catalog:'.length) || 'default';
+  if (!pnpmCatalogs) {
+    const file = findPnpmWorkspaceFile(path.dirname(path.resolve(PACKAGE_PATH)));
+    if (!file) {
+      return { error: 'no pnpm-workspace.yaml found' };
+    }
+    pnpmCatalogs = readPnpmCatalogs(file);
+  }
+  
+  const catalog = pnpmCatalogs[catalogName];
+  if (!catalog) {
+    return { error: `catalog "${catalogName}" is not defined in pnpm-workspace.yaml` };
+  }
+  if (!catalog[depName]) {
+    return { error: `catalog "${catalogName}" has no entry for ${depName}` };
+  }
+  return { resolved: catalog[depName] };
+}
+
+// Dependency types to check
+const depTypes = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+// Installed with the package, so an unresolved specifier there would break installs
+const criticalDepTypes = ['dependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Name of a package on GitHub Packages (unscoped names get the configured scope or the owner)
+ * @param {string} name
+ * @returns {string}
+ */
+function githubPackageName(name) {
+  if (name.startsWith('@') || (!PACKAGE_SCOPE && !GITHUB_REPOSITORY_OWNER)) {
+    return name;
+  }
+  const scope = PACKAGE_SCOPE || GITHUB_REPOSITORY_OWNER;
+  return `${scope.startsWith('@') ? scope : `@${scope}`}/${name}`;
+}
+
+/**
+ * Last published version of a workspace package that is not built in this run:
+ * its package.json version if the registry has it, the latest dist-tag otherwise
+ * @param {string} name
+ * @param {string} localVersion - Version in its package.json
+ * @returns {Promise<string|null>} - null when it cannot be determined
+ */
+async function lastPublishedVersion(name, localVersion) {
+  const github = REGISTRY === 'github';
+  const url = packumentUrl(github ? GITHUB_REGISTRY_URL : NPM_REGISTRY_URL, github ? githubPackageName(name) : name);
+  try {
+    const packument = await fetchPackument(url, github ? GITHUB_TOKEN : NPM_TOKEN);
+    if (packument && packument.versions && packument.versions[localVersion]) {
+      return localVersion;
+    }
+    const latest = packument && packument['dist-tags'] ? packument['dist-tags'].latest : undefined;
+    if (latest) {
+      return latest;
+    }
+    console.log(`⚠️  Warning: ${name} has not been published to ${url.host}`);
+  } catch (error) {
+    console.log(`⚠️  Warning: Could not look up the last published version of ${name}: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Point workspace dependencies at the versions built in this run, and the others at
+ * their last published version. Only specifiers that take the version (*, ^, ~) are looked up.
+ */
+async function applyRunVersions() {
+  const names = new Set();
+  depTypes.forEach(depType => {
+    Object.entries(packageJson[depType] || {}).forEach(([depName, depVersion]) => {
+      if (typeof depVersion !== 'string' || !depVersion.startsWith('workspace:')) {
         return;
       }
-      
-      // Resolve the specifier to actual version
-      const resolvedVersion = resolveSpecifier(specifier, actualVersion);
-      
-      // Update the dependency
-      deps[depName] = resolvedVersion;
-      changesMade = true;
-      
-      resolvedDeps.push({
-        name: depName,
-        type: depType,
-        original: depVersion,
-        resolved: resolvedVersion
-      });
-    }
+      const { target, range } = parseWorkspaceSpecifier(depName, depVersion.substring('workspace:'.length));
+      if (target && ['', '*', '^', '~'].includes(range) && packageVersionMap.has(target)) {
+        names.add(target);
+      }
+    });
   });
-});
 
-// Check if we have critical unresolved dependencies
-const criticalUnresolved = unresolvedDeps.filter(dep => 
-  dep.type === 'dependencies' || dep.type === 'peerDependencies'
-);
+  for (const name of names) {
+    const runVersion = workspaceVersions[name];
+    if (runVersion) {
+      // Registries drop build metadata on publish
+      const version = String(runVersion).split('+')[0];
+      packageVersionMap.set(name, version);
+      if (version.includes('-')) {
+        exactVersions.add(name);
+      }
+      console.log(`📌 ${name}: ${version} (built in this run)`);
+    } else {
+      const version = await lastPublishedVersion(name, packageVersionMap.get(name));
+      if (version) {
+        packageVersionMap.set(name, version);
+        console.log(`📌 ${name}: ${version} (not built in this run, last published version)`);
+      } else {
+        console.log(`📌 ${name}: ${packageVersionMap.get(name)} (not built in this run, package.json version)`);
+      }
+    }
+  }
+  if (names.size > 0) {
+    console.log('');
+  }
+}
 
-if (criticalUnresolved.length > 0) {
-  console.error('');
-  console.error(`❌ Found ${criticalUnresolved.length} unresolved workspace dependencies in critical fields:`);
-  criticalUnresolved.forEach(dep => {
-    console.error(`   - ${dep.name} (${dep.type}): ${dep.original}`);
+/**
+ * Record a dependency that could not be resolved
+ * Critical dependency types fail the run; devDependencies only warn
+ */
+function addUnresolved(depName, depType, depVersion, reason) {
+  unresolvedDeps.push({
+    name: depName,
+    type: depType,
+    original: depVersion,
+    reason
   });
-  console.error('');
-  console.error('Publishing with unresolved workspace protocols would create a broken package.');
-  console.error('Ensure all workspace dependencies are discovered and available.');
-  process.exit(1);
+
+  if (criticalDepTypes.includes(depType)) {
+    console.error(`❌ Error: Cannot resolve "${depName}" (${depType}): ${reason}`);
+    console.error(`   Cannot resolve: ${depVersion}`);
+    console.error(`   This would result in a broken package on the registry.`);
+  } else {
+    // For devDependencies, just warn
+    console.log(`⚠️  Warning: Cannot resolve "${depName}" (${depType}): ${reason}`);
+    console.log(`   Keeping original value: ${depVersion}`);
+  }
 }
 
-if (changesMade) {
-  console.log('📝 Resolved workspace dependencies:');
-  resolvedDeps.forEach(dep => {
-    console.log(`  ${dep.name} (${dep.type})`);
-    console.log(`    ${dep.original} → ${dep.resolved}`);
+async function main() {
+  if (workspaceVersions && !FIXED_VERSION) {
+    await applyRunVersions();
+  }
+
+  depTypes.forEach(depType => {
+    if (!packageJson[depType]) {
+      return;
+    }
+
+    const deps = packageJson[depType];
+    Object.keys(deps).forEach(depName => {
+      const depVersion = deps[depName];
+
+      // Fixed versioning pins internal dependencies exactly, whether they use the workspace
+      // protocol or a plain range; other protocols (file:, link:, npm:, git URLs) are left alone
+      const pinnable = typeof depVersion === 'string' &&
+        (depVersion.startsWith('workspace:') || !/^[a-z][a-z+]*:/i.test(depVersion));
+      if (FIXED_VERSION && packageVersionMap.has(depName) && pinnable) {
+        if (depVersion !== FIXED_VERSION) {
+          deps[depName] = FIXED_VERSION;
+          changesMade = true;
+          resolvedDeps.push({
+            name: depName,
+            type: depType,
+            original: depVersion,
+            resolved: FIXED_VERSION
+          });
+        }
+        return;
+      }
+
+      // pnpm catalogs: catalog: / catalog:<name> → the range from pnpm-workspace.yaml
+      if (typeof depVersion === 'string' && depVersion.startsWith('catalog:')) {
+        const { resolved, error } = resolveCatalog(depName, depVersion);
+        if (!resolved) {
+          addUnresolved(depName, depType, depVersion, error);
+          return;
+        }
+        deps[depName] = resolved;
+        changesMade = true;
+        resolvedDeps.push({
+          name: depName,
+          type: depType,
+          original: depVersion,
+          resolved
+        });
+        return;
+      }
+
+      // Check if it uses workspace protocol
+      if (typeof depVersion === 'string' && depVersion.startsWith('workspace:')) {
+        // Extract the version specifier after "workspace:" and the package it points at
+        const { target, range, alias, error } = parseWorkspaceSpecifier(depName, depVersion.substring('workspace:'.length));
+        if (error) {
+          addUnresolved(depName, depType, depVersion, error);
+          return;
+        }
+
+        // Look up the package version
+        const actualVersion = packageVersionMap.get(target);
+        if (!actualVersion) {
+          addUnresolved(depName, depType, depVersion, `${target} not found in discovered packages`);
+          return;
+        }
+
+        // Resolve the specifier to actual version
+        const resolvedVersion = resolveSpecifier(range, actualVersion, exactVersions.has(target));
+        if (!resolvedVersion) {
+          addUnresolved(depName, depType, depVersion, `unsupported version specifier "${range}"`);
+          return;
+        }
+
+        // Update the dependency; aliases keep the dependency key and point it at the real package
+        deps[depName] = alias ? `npm:${target}@${resolvedVersion}` : resolvedVersion;
+        changesMade = true;
+
+        resolvedDeps.push({
+          name: depName,
+          type: depType,
+          original: depVersion,
+          resolved: deps[depName]
+        });
+      }
+    });
   });
-  console.log('');
-  
-  // Write updated package.json
-  try {
-    fs.writeFileSync(PACKAGE_PATH, JSON.stringify(packageJson, null, 2) + '\n', 'utf8');
-    console.log('✅ Package.json updated with resolved versions');
-  } catch (error) {
-    console.error('❌ Error: Failed to write updated package.json');
-    console.error(error.message);
+
+  // Check if we have critical unresolved dependencies
+  const criticalUnresolved = unresolvedDeps.filter(dep => criticalDepTypes.includes(dep.type));
+
+  if (criticalUnresolved.length > 0) {
+    console.error('');
+    console.error(`❌ Found ${criticalUnresolved.length} unresolved workspace dependencies in critical fields:`);
+    criticalUnresolved.forEach(dep => {
+      console.error(`   - ${dep.name} (${dep.type}): ${dep.original} (${dep.reason})`);
+    });
+    console.error('');
+    console.error('Publishing with unresolved workspace protocols would create a broken package.');
+    console.error('Ensure all workspace dependencies are discovered and catalog entries exist.');
     process.exit(1);
   }
-} else {
-  console.log('ℹ️  No workspace protocol dependencies to resolve');
+
+  if (changesMade) {
+    console.log('📝 Resolved workspace dependencies:');
+    resolvedDeps.forEach(dep => {
+      console.log(`  ${dep.name} (${dep.type})`);
+      console.log(`    ${dep.original} → ${dep.resolved}`);
+    });
+    console.log('');
+
+    // Write updated package.json
+    try {
+      fs.writeFileSync(PACKAGE_PATH, JSON.stringify(packageJson, null, 2) + '\n', 'utf8');
+      console.log('✅ Package.json updated with resolved versions');
+    } catch (error) {
+      console.error('❌ Error: Failed to write updated package.json');
+      console.error(error.message);
+      process.exit(1);
+    }
+  } else {
+    console.log('ℹ️  No workspace protocol dependencies to resolve');
+  }
+
+  console.log('');
 }
 
-console.log('');
+main().catch(error => {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+});
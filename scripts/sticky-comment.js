@@ -0,0 +1,149 @@
+/**
+ * Sticky PR Comment
+ * GitHub API access to the single comment the action keeps per pull request,
+ * and the hidden markers that carry state between runs (build history and the
+ * versions published from the PR). Shared by pr-comment.js and cleanup-versions.js.
+ *
+ * Anyone who can comment on a PR can copy the marker into a comment, so only a
+ * comment written by the token's own user (github-actions[bot] for the workflow's
+ * GITHUB_TOKEN) is the sticky comment; its markers are trusted, others are ignored.
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Set by GitHub Actions (GitHub Enterprise Server has its own API host)
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+const GITHUB_GRAPHQL_URL = process.env.GITHUB_GRAPHQL_URL || `${GITHUB_API_URL.replace(/\/+$/, '')}/graphql`;
+
+const COMMENT_MARKER = '<!-- package-build-flow-action:sticky-comment -->';
+const DATA_MARKER_PREFIX = '<!-- package-build-flow-action:';
+const DATA_MARKER_SUFFIX = ' -->';
+
+// Send a request to the GitHub API (apiPath is relative to GITHUB_API_URL, or a full URL)
+function githubRequest(token, method, apiPath, payload) {
+  return new Promise((resolve, reject) => {
+    const data = payload ? JSON.stringify(payload) : '';
+
+    const headers = {
+      'Authorization': `token ${token}`,
+      'User-Agent': 'package-build-flow-action',
+      'Accept': 'application/vnd.github+json'
+    };
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(data, 'utf8');
+    }
+
+    const url = /^https?:\/\//.test(apiPath) ? new URL(apiPath) : new URL(`${GITHUB_API_URL.replace(/\/+$/, '')}${apiPath}`);
+    const options = {
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: `${url.pathname}${url.search}`,
+      method,
+      headers
+    };
+
+    const req = (url.protocol === 'http:' ? http : https).request(options, (res) => {
+      let responseData = '';
+
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(responseData ? JSON.parse(responseData) : {});
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${responseData}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    if (payload) {
+      req.write(data);
+    }
+    req.end();
+  });
+}
+
+// Login of the token's user; GitHub App tokens, like the workflow's GITHUB_TOKEN, cannot
+// read GET /user but can ask GraphQL for their viewer (e.g. "github-actions[bot]")
+async function tokenLogin(token) {
+  const response = await githubRequest(token, 'POST', GITHUB_GRAPHQL_URL, { query: 'query { viewer { login } }' });
+  const login = response && response.data && response.data.viewer && response.data.viewer.login;
+  if (!login) {
+    throw new Error('Could not determine the user of the GitHub token');
+  }
+  return login;
+}
+
+// Find the sticky comment left by a previous run, if any: the first comment with the marker
+// written by the token's user (comments by anyone else are ignored, whatever they contain)
+async function findStickyComment(token, owner, repoName, prNumber) {
+  const perPage = 100;
+  const login = (await tokenLogin(token)).toLowerCase();
+  const writtenByAction = comment => Boolean(comment.user && String(comment.user.login).toLowerCase() === login);
+
+  for (let page = 1; ; page++) {
+    const comments = await githubRequest(
+      token,
+      'GET',
+      `/repos/${owner}/${repoName}/issues/${prNumber}/comments?per_page=${perPage}&page=${page}`
+    );
+
+    if (!Array.isArray(comments)) {
+      return null;
+    }
+
+    const match = comments.find(comment => comment.body && comment.body.includes(COMMENT_MARKER) && writtenByAction(comment));
+    if (match) {
+      return match;
+    }
+
+    if (comments.length < perPage) {
+      return null;
+    }
+  }
+}
+
+// Read the base64-encoded JSON stored in a named hidden marker (e.g. "history")
+function readMarker(body, name) {
+  if (!body) {
+    return null;
+  }
+
+  const prefix = `${DATA_MARKER_PREFIX}${name}:`;
+  const start = body.indexOf(prefix);
+  if (start === -1) {
+    return null;
+  }
+
+  const end = body.indexOf(DATA_MARKER_SUFFIX, start + prefix.length);
+  if (end === -1) {
+    return null;
+  }
+
+  try {
+    const encoded = body.substring(start + prefix.length, end).trim();
+    return JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+  } catch (error) {
+    console.warn(`⚠️  Could not parse ${name} data from existing comment:`, error.message);
+    return null;
+  }
+}
+
+// Render a named hidden marker holding base64-encoded JSON
+function writeMarker(name, data) {
+  const encoded = Buffer.from(JSON.stringify(data), 'utf8').toString('base64');
+  return `${DATA_MARKER_PREFIX}${name}:${encoded}${DATA_MARKER_SUFFIX}`;
+}
+
+module.exports = {
+  COMMENT_MARKER,
+  githubRequest,
+  findStickyComment,
+  readMarker,
+  writeMarker
+};
@@ -0,0 +1,151 @@
+/**
+ * Package Tarballs
+ * Lists what `npm pack` would publish and reads the files of a published
+ * (gzipped tar) package tarball. Shared by verify-tarball.js and diff-tarball.js;
+ * pr-comment.js uses the size formatting.
+ */
+
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Format a byte count the way npm does (1000-based)
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes < 1000) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1000 * 1000) {
+    return `${(bytes / 1000).toFixed(1)} kB`;
+  }
+  return `${(bytes / 1000 / 1000).toFixed(1)} MB`;
+}
+
+/**
+ * Parse `npm pack --dry-run --json` output; lifecycle scripts (prepack) may print before the JSON
+ * @param {string} stdout
+ * @returns {object} - The pack result for the package
+ */
+function parsePackOutput(stdout) {
+  const starts = [];
+  for (let i = 0; i < stdout.length; i++) {
+    if (stdout[i] === '[' && (i === 0 || stdout[i - 1] === '\n')) {
+      starts.push(i);
+    }
+  }
+  for (const start of starts.reverse()) {
+    try {
+      const result = JSON.parse(stdout.slice(start));
+      if (Array.isArray(result) && result[0] && Array.isArray(result[0].files)) {
+        return result[0];
+      }
+    } catch (error) {
+      // Not the JSON document yet, keep looking further up
+    }
+  }
+  throw new Error('Could not parse the output of npm pack --dry-run --json');
+}
+
+/**
+ * Run `npm pack --dry-run --json` in a package directory
+ * @param {string} packageDir
+ * @returns {object} - { name, version, size, unpackedSize, files: [{ path, size }] }
+ */
+function packDryRun(packageDir) {
+  let stdout;
+  try {
+    stdout = execFileSync('npm', ['pack', '--dry-run', '--json'], {
+      cwd: packageDir,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+  } catch (error) {
+    throw new Error(`npm pack --dry-run failed: ${(error.stderr || error.message).trim().split('\n').pop()}`);
+  }
+  return parsePackOutput(stdout);
+}
+
+// Read a NUL-terminated string field of a tar header
+function readField(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+// Parse pax extended header records ("<length> <key>=<value>\n")
+function parsePax(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) {
+      break;
+    }
+    const length = parseInt(data.subarray(offset, space).toString('utf8'), 10);
+    if (!length) {
+      break;
+    }
+    const record = data.subarray(space + 1, offset + length - 1).toString('utf8');
+    const equals = record.indexOf('=');
+    if (equals !== -1) {
+      records[record.slice(0, equals)] = record.slice(equals + 1);
+    }
+    offset += length;
+  }
+  return records;
+}
+
+/**
+ * Read the regular files of a gzipped package tarball
+ * The top-level directory (normally "package/") is stripped from the paths
+ * @param {Buffer} gzipped - .tgz contents
+ * @returns {Map<string, Buffer>} - Path → file contents
+ */
+function readTarball(gzipped) {
+  const tar = zlib.gunzipSync(gzipped);
+  const files = new Map();
+  let offset = 0;
+  let longName = null;
+
+  while (offset + TAR_BLOCK_SIZE <= tar.length) {
+    const header = tar.subarray(offset, offset + TAR_BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const size = parseInt(readField(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const data = tar.subarray(offset + TAR_BLOCK_SIZE, offset + TAR_BLOCK_SIZE + size);
+    offset += TAR_BLOCK_SIZE + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    if (type === 'x') {
+      longName = parsePax(data).path || longName;
+      continue;
+    }
+    if (type === 'L') {
+      longName = readField(data, 0, data.length);
+      continue;
+    }
+
+    const prefix = readField(header, 345, 155);
+    const name = longName || (prefix ? `${prefix}/${readField(header, 0, 100)}` : readField(header, 0, 100));
+    longName = null;
+
+    if (type === '0' || type === '\0' || type === '7') {
+      files.set(name.replace(/^[^/]+\//, ''), Buffer.from(data));
+    }
+  }
+
+  return files;
+}
+
+module.exports = {
+  formatSize,
+  packDryRun,
+  readTarball
+};
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Tarball Verification Script
+ * Checks what `npm pack` would put into the tarball before it is published:
+ * - every file package.json points at (main, module, types, exports, bin) is included
+ * - no file matches a deny pattern (e.g. .env files or private keys)
+ * - the packed and unpacked sizes stay within the configured budgets
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./flow-rules');
+const { packDryRun, formatSize } = require('./tarball');
+
+// Read inputs from environment
+const PACKAGE_PATH = process.env.PACKAGE_PATH || './package.json';
+const TARBALL_DENY_PATTERNS = process.env.TARBALL_DENY_PATTERNS || '';
+const MAX_PACKED_SIZE = process.env.MAX_PACKED_SIZE || '';
+const MAX_UNPACKED_SIZE = process.env.MAX_UNPACKED_SIZE || '';
+// Where to keep the pack result so diff-tarball.js does not pack (and run prepack) again
+const PACK_RESULT_FILE = process.env.PACK_RESULT_FILE || '';
+const GITHUB_OUTPUT = process.env.GITHUB_OUTPUT || '';
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1000,
+  kib: 1024,
+  mb: 1000 * 1000,
+  mib: 1024 * 1024,
+  gb: 1000 * 1000 * 1000,
+  gib: 1024 * 1024 * 1024
+};
+
+/**
+ * Parse a size budget such as "500kB", "1.5 MB", "2MiB" or "1048576" (bytes)
+ * @param {string} value
+ * @param {string} name - Input name, for error messages
+ * @returns {number|null} - Bytes, or null when no budget is set
+ */
+function parseSize(value, name) {
+  if (!value.trim()) {
+    return null;
+  }
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  const unit = match ? (match[2] || 'b').toLowerCase() : '';
+  if (!match || !SIZE_UNITS[unit]) {
+    throw new Error(`Invalid ${name} '${value}' (expected a size such as 500kB, 2MB or 1MiB)`);
+  }
+  return Math.round(Number(match[1]) * SIZE_UNITS[unit]);
+}
+
+// Tarball paths have no leading "./" and use forward slashes
+function normalizeTarget(target) {
+  return path.posix.normalize(target.replace(/\\/g, '/')).replace(/^(\.\/)+/, '');
+}
+
+/**
+ * Every file path declared in an "exports" map, with where it was declared
+ * @param {*} value - "exports" or a nested condition/subpath value
+ * @param {string} location - e.g. 'exports["./utils"].import'
+ * @returns {object[]} - [{ field, target }]
+ */
+function exportTargets(value, location = 'exports') {
+  if (typeof value === 'string') {
+    return [{ field: location, target: value }];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => exportTargets(item, `${location}[${index}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => exportTargets(item, `${location}["${key}"]`));
+  }
+  // null excludes a subpath
+  return [];
+}
+
+/**
+ * Files package.json requires to be in the tarball
+ * @param {object} manifest
+ * @returns {object[]} - [{ field, target, candidates? }]
+ */
+function requiredTargets(manifest) {
+  const targets = [];
+
+  if (typeof manifest.main === 'string' && manifest.main) {
+    // Resolved like require(): the exact file, an added extension, or a directory index
+    const main = normalizeTarget(manifest.main);
+    targets.push({
+      field: 'main',
+      target: manifest.main,
+      candidates: [main, `${main}.js`, `${main}.json`, `${main}.node`, `${main}/index.js`, `${main}/index.json`, `${main}/index.node`]
+    });
+  }
+
+  ['module', 'types', 'typings'].forEach(field => {
+    if (typeof manifest[field] === 'string' && manifest[field]) {
+      targets.push({ field, target: manifest[field] });
+    }
+  });
+
+  if (manifest.exports !== undefined) {
+    // Only relative targets are files; anything else names a package
+    targets.push(...exportTargets(manifest.exports).filter(({ target }) => target.startsWith('./')));
+  }
+
+  if (typeof manifest.bin === 'string') {
+    targets.push({ field: 'bin', target: manifest.bin });
+  } else if (manifest.bin && typeof manifest.bin === 'object') {
+    Object.entries(manifest.bin).forEach(([name, target]) => {
+      targets.push({ field: `bin["${name}"]`, target });
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * Whether a required target is in the tarball (subpath patterns need at least one match)
+ * @param {object} requirement - From requiredTargets()
+ * @param {Set<string>} files - Tarball paths
+ * @returns {boolean}
+ */
+function isIncluded(requirement, files) {
+  if (requirement.candidates) {
+    return requirement.candidates.some(candidate => files.has(candidate));
+  }
+  const target = normalizeTarget(requirement.target);
+  if (target.includes('*')) {
+    const escaped = target.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`^${escaped.join('.+')}$`);
+    return [...files].some(file => pattern.test(file));
+  }
+  return files.has(target);
+}
+
+/**
+ * Deny pattern matching a tarball path, if any
+ * Patterns without a slash match the file name in any directory, others the whole path
+ * @param {string} file
+ * @param {string[]} patterns
+ * @returns {string|undefined}
+ */
+function deniedBy(file, patterns) {
+  return patterns.find(pattern => {
+    const subject = pattern.includes('/') ? file : path.posix.basename(file);
+    return globToRegExp(pattern.replace(/^\.\//, '')).test(subject);
+  });
+}
+
+function writeOutputs(outputs) {
+  if (GITHUB_OUTPUT) {
+    fs.appendFileSync(GITHUB_OUTPUT, Object.entries(outputs).map(([key, value]) => `${key}=${value}`).join('\n') + '\n');
+  }
+}
+
+function main() {
+  const maxPackedSize = parseSize(MAX_PACKED_SIZE, 'max-packed-size');
+  const maxUnpackedSize = parseSize(MAX_UNPACKED_SIZE, 'max-unpacked-size');
+  const denyPatterns = TARBALL_DENY_PATTERNS.split(',').map(pattern => pattern.trim()).filter(Boolean);
+
+  const packageDir = path.dirname(path.resolve(PACKAGE_PATH));
+  const manifest = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf8'));
+
+  console.log('🔍 Verifying package tarball...');
+  const pack = packDryRun(packageDir);
+  if (PACK_RESULT_FILE) {
+    fs.writeFileSync(PACK_RESULT_FILE, JSON.stringify(pack));
+  }
+
+  const files = new Set(pack.files.map(file => normalizeTarget(file.path)));
+  console.log(`📦 ${pack.name}@${pack.version}: ${files.size} files, ${formatSize(pack.size)} packed, ${formatSize(pack.unpackedSize)} unpacked`);
+
+  const problems = [];
+
+  requiredTargets(manifest).forEach(requirement => {
+    if (!isIncluded(requirement, files)) {
+      problems.push(`${requirement.field} points at ${requirement.target}, which is not in the tarball`);
+    }
+  });
+
+  [...files].sort().forEach(file => {
+    const pattern = deniedBy(file, denyPatterns);
+    if (pattern) {
+      problems.push(`${file} matches the deny pattern "${pattern}"`);
+    }
+  });
+
+  if (maxPackedSize !== null && pack.size > maxPackedSize) {
+    problems.push(`Packed size ${formatSize(pack.size)} exceeds max-packed-size ${MAX_PACKED_SIZE} (${formatSize(maxPackedSize)})`);
+  }
+  if (maxUnpackedSize !== null && pack.unpackedSize > maxUnpackedSize) {
+    problems.push(`Unpacked size ${formatSize(pack.unpackedSize)} exceeds max-unpacked-size ${MAX_UNPACKED_SIZE} (${formatSize(maxUnpackedSize)})`);
+  }
+
+  writeOutputs({
+    'tarball-verified': problems.length === 0,
+    'tarball-packed-size': pack.size,
+    'tarball-unpacked-size': pack.unpackedSize,
+    'tarball-file-count': files.size
+  });
+
+  if (problems.length > 0) {
+    console.log(`❌ Tarball verification failed with ${problems.length} problem(s):`);
+    problems.forEach(problem => console.log(`  - ${problem}`));
+    console.log('');
+    console.log('   Fix the "files" field, .npmignore or build output, or adjust tarball-deny-patterns / the size budgets');
+    process.exit(1);
+  }
+
+  console.log('✅ Tarball verified');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  writeOutputs({ 'tarball-verified': false });
+  process.exit(1);
+}
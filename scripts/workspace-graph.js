@@ -0,0 +1,90 @@
+/**
+ * Workspace Dependency Graph
+ * Shared by resolve-dependency-order.js and cascade-dependents.js to build the
+ * graph of dependencies between workspace packages from their package.json files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Parse a comma-separated list of dependency types
+ * @param {string} value - e.g. "dependencies,peerDependencies"
+ * @returns {string[]} - Dependency types (throws on unknown types)
+ */
+function parseDependencyTypes(value) {
+  const types = String(value || '')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean);
+
+  const invalid = types.filter(type => !DEPENDENCY_TYPES.includes(type));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown dependency type(s): ${invalid.join(', ')} (expected ${DEPENDENCY_TYPES.join(', ')})`);
+  }
+
+  return types;
+}
+
+/**
+ * Build the dependency graph between workspace packages
+ * @param {object[]} packages - Workspace packages with unique name and path
+ * @param {string[]} depTypes - package.json fields that create an edge
+ * @returns {object} - { packageMap, dependencyGraph, dependents }
+ *   dependencyGraph: package name → workspace packages it depends on
+ *   dependents: package name → workspace packages that depend on it
+ */
+function buildDependencyGraph(packages, depTypes) {
+  const packageMap = new Map();
+  packages.forEach(pkg => packageMap.set(pkg.name, pkg));
+
+  const dependencyGraph = new Map();
+  const dependents = new Map();
+  packages.forEach(pkg => {
+    dependencyGraph.set(pkg.name, []);
+    dependents.set(pkg.name, []);
+  });
+
+  packages.forEach(pkg => {
+    const deps = getWorkspaceDependencies(pkg.path, packageMap, depTypes);
+    dependencyGraph.set(pkg.name, deps);
+    deps.forEach(depName => dependents.get(depName).push(pkg.name));
+  });
+
+  return { packageMap, dependencyGraph, dependents };
+}
+
+// Extract workspace dependencies from a package
+// packagePath: full path to package.json file (e.g., "core/package.json")
+function getWorkspaceDependencies(packagePath, packageMap, depTypes) {
+  try {
+    const packageJsonPath = path.resolve(packagePath);
+    if (!fs.existsSync(packageJsonPath)) {
+      console.error(`⚠️  Warning: Package file not found: ${packagePath}`);
+      return [];
+    }
+
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    const workspaceDeps = new Set();
+
+    depTypes.forEach(depType => {
+      if (packageJson[depType]) {
+        Object.keys(packageJson[depType]).forEach(depName => {
+          // Only include if it's a workspace package
+          if (packageMap.has(depName)) {
+            workspaceDeps.add(depName);
+          }
+        });
+      }
+    });
+
+    return Array.from(workspaceDeps);
+  } catch (error) {
+    console.error(`⚠️  Warning: Failed to read dependencies from ${packagePath}: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = { DEPENDENCY_TYPES, parseDependencyTypes, buildDependencyGraph };
@@ -0,0 +1,156 @@
+/**
+ * audit-package.js tests
+ * Runs the audit script against stub package managers that print a fixture
+ * report, so no registry is needed.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const AUDIT_SCRIPT = path.join(__dirname, '..', 'scripts', 'audit-package.js');
+const FIXTURES = path.join(__dirname, 'fixtures', 'audit');
+
+// Create a workspace with the root lockfile and a package in packages/app
+function createWorkspace(t, lockfile) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-package-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'root', private: true }));
+  fs.writeFileSync(path.join(root, lockfile), '');
+  fs.mkdirSync(path.join(root, 'packages', 'app'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'packages', 'app', 'package.json'), JSON.stringify({ name: '@acme/app', version: '1.0.0' }));
+  fs.mkdirSync(path.join(root, 'bin'));
+  return root;
+}
+
+// Stub a package manager: it records its working directory and prints a report
+function stubPackageManager(root, name, { report = '', exitCode = 0, stderr = '' }) {
+  const script = [
+    '#!/bin/bash',
+    `if [ "$1" = "--version" ]; then echo 1.22.22; exit 0; fi`,
+    `pwd -P > "${path.join(root, `${name}.cwd`)}"`,
+    report ? `cat "${report}"` : '',
+    stderr ? `echo "${stderr}" >&2` : '',
+    `exit ${exitCode}`
+  ].join('\n');
+  fs.writeFileSync(path.join(root, 'bin', name), script, { mode: 0o755 });
+}
+
+function runAudit(root, env = {}) {
+  const output = path.join(root, 'github-output');
+  fs.writeFileSync(output, '');
+  const result = spawnSync('node', [AUDIT_SCRIPT], {
+    encoding: 'utf8',
+    env: {
+      PATH: `${path.join(root, 'bin')}:${process.env.PATH}`,
+      GITHUB_WORKSPACE: root,
+      GITHUB_OUTPUT: output,
+      PACKAGE_PATH: path.join(root, 'packages', 'app', 'package.json'),
+      ...env
+    }
+  });
+  const outputs = Object.fromEntries(fs.readFileSync(output, 'utf8').trim().split('\n')
+    .filter(Boolean)
+    .map(line => line.split(/=(.*)/s).slice(0, 2)));
+  return { ...result, outputs };
+}
+
+test('workspace packages are audited against the root lockfile', t => {
+  const root = createWorkspace(t, 'pnpm-lock.yaml');
+  stubPackageManager(root, 'pnpm', { report: path.join(FIXTURES, 'pnpm.json'), exitCode: 1 });
+
+  const { status, stdout, outputs } = runAudit(root, { PACKAGE_MANAGER: 'auto' });
+
+  assert.equal(status, 0, stdout);
+  assert.match(stdout, /Running pnpm audit --json in /);
+  assert.equal(fs.readFileSync(path.join(root, 'pnpm.cwd'), 'utf8').trim(), fs.realpathSync(root));
+  assert.equal(outputs['audit-completed'], 'true');
+  assert.equal(outputs['critical-vulnerabilities'], '1');
+  // The summary stays with the package, where the orchestrator collects it
+  assert.ok(fs.existsSync(path.join(root, 'packages', 'app', 'audit-summary.json')));
+});
+
+test('npm limits a workspace audit to the package', t => {
+  const root = createWorkspace(t, 'package-lock.json');
+  stubPackageManager(root, 'npm', { report: path.join(FIXTURES, 'npm7.json'), exitCode: 1 });
+  fs.writeFileSync(path.join(root, 'bin', 'npm'), fs.readFileSync(path.join(root, 'bin', 'npm'), 'utf8')
+    .replace('#!/bin/bash', `#!/bin/bash\necho "$@" > "${path.join(root, 'npm.args')}"`));
+
+  const { status, outputs } = runAudit(root, { PACKAGE_MANAGER: 'auto' });
+
+  assert.equal(status, 0);
+  assert.equal(fs.readFileSync(path.join(root, 'npm.args'), 'utf8').trim(), 'audit --json --workspace @acme/app');
+  assert.equal(outputs['audit-completed'], 'true');
+});
+
+test('an audit that fails without printing a report is an audit error', t => {
+  const root = createWorkspace(t, 'bun.lock');
+  stubPackageManager(root, 'bun', { exitCode: 1, stderr: 'error: audit is not a bun command' });
+
+  const { status, stderr, outputs } = runAudit(root, { PACKAGE_MANAGER: 'auto' });
+
+  assert.equal(status, 0);
+  assert.match(stderr, /bun audit --json exited with code 1: error: audit is not a bun command/);
+  assert.equal(outputs['audit-completed'], 'false');
+});
+
+// Write an audit ignore list at the workspace root
+function writeIgnoreList(root, entries) {
+  fs.writeFileSync(path.join(root, 'audit-ignore.json'), JSON.stringify(entries.map(entry => ({
+    reason: 'Not reachable from our code',
+    expires: '2099-12-31',
+    ...entry
+  }))));
+}
+
+test('ignored findings are left out of the counts and exported separately', t => {
+  const root = createWorkspace(t, 'package-lock.json');
+  stubPackageManager(root, 'npm', { report: path.join(FIXTURES, 'npm7.json'), exitCode: 1 });
+  writeIgnoreList(root, [{ id: 'GHSA-xvch-5gv4-984h', package: 'minimist' }]);
+
+  const { status, outputs } = runAudit(root, { AUDIT_IGNORE_FILE: 'audit-ignore.json' });
+
+  assert.equal(status, 0);
+  assert.equal(outputs['total-vulnerabilities'], '3');
+  assert.equal(outputs['critical-vulnerabilities'], '0');
+  assert.equal(outputs['high-vulnerabilities'], '1');
+  assert.equal(outputs['ignored-vulnerabilities'], '1');
+  assert.equal(outputs['ignored-critical-vulnerabilities'], '1');
+  assert.equal(outputs['ignored-high-vulnerabilities'], '0');
+});
+
+test('ignoring an unrelated advisory does not change the fail decision', t => {
+  for (const ignored of [[], [{ id: 'GHSA-vh95-rmgr-6w4m' }]]) {
+    const root = createWorkspace(t, 'package-lock.json');
+    stubPackageManager(root, 'npm', { report: path.join(FIXTURES, 'npm7.json'), exitCode: 1 });
+    writeIgnoreList(root, ignored);
+
+    const { status, stderr } = runAudit(root, {
+      AUDIT_IGNORE_FILE: 'audit-ignore.json',
+      FAIL_ON_AUDIT: 'true',
+      AUDIT_LEVEL: 'high'
+    });
+
+    assert.equal(status, 1, `ignoring ${JSON.stringify(ignored)}`);
+    assert.match(stderr, /Found vulnerabilities at or above 'high' level/);
+  }
+});
+
+test('a high finding that is ignored no longer fails the audit', t => {
+  const root = createWorkspace(t, 'package-lock.json');
+  stubPackageManager(root, 'npm', { report: path.join(FIXTURES, 'npm7.json'), exitCode: 1 });
+  writeIgnoreList(root, [{ id: 'GHSA-xvch-5gv4-984h' }, { id: 'GHSA-35jh-r3h4-6jhm' }]);
+
+  const { status, stdout } = runAudit(root, {
+    AUDIT_IGNORE_FILE: 'audit-ignore.json',
+    FAIL_ON_AUDIT: 'true',
+    AUDIT_LEVEL: 'high'
+  });
+
+  assert.equal(status, 0, stdout);
+  assert.match(stdout, /none at or above 'high' level after applying the ignore list/);
+});
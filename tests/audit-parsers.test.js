@@ -0,0 +1,141 @@
+/**
+ * Audit parser tests
+ * Every fixture is the audit of the same project (lodash 4.17.20, minimist 1.2.5
+ * and optimist 0.6.1, which pulls in minimist 0.0.10) in one package manager's format.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseNpmAudit,
+  parseYarnClassicAudit,
+  parseYarnBerryAudit,
+  parseBunAudit
+} = require('../scripts/audit-parsers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'audit');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// Compact view of the advisories: id, package, severity
+function summarize(advisories) {
+  return advisories.map(advisory => `${advisory.id} ${advisory.package} ${advisory.severity}`);
+}
+
+test('npm 6: reads the advisories map and metadata counts', () => {
+  const { counts, advisories } = parseNpmAudit(fixture('npm6.json'));
+
+  assert.deepEqual(counts, { critical: 0, high: 1, moderate: 1, low: 1, info: 0 });
+  assert.deepEqual(summarize(advisories), [
+    '1673 lodash high',
+    '1523 lodash moderate',
+    '1179 minimist low'
+  ]);
+  const minimist = advisories.find(advisory => advisory.package === 'minimist');
+  assert.deepEqual(minimist.paths, ['optimist > minimist']);
+  assert.equal(minimist.fix, 'Upgrade minimist to >=0.2.1 <1.0.0 || >=1.2.3');
+  assert.deepEqual(minimist.cwe, ['CWE-471']);
+});
+
+test('npm 7+: reads advisories from the via entries of the vulnerabilities map', () => {
+  const { counts, advisories } = parseNpmAudit(fixture('npm7.json'));
+
+  assert.deepEqual(counts, { critical: 2, high: 1, moderate: 0, low: 0, info: 0 });
+  assert.deepEqual(summarize(advisories), [
+    'GHSA-xvch-5gv4-984h minimist critical',
+    'GHSA-35jh-r3h4-6jhm lodash high',
+    'GHSA-29mw-wpgm-hmr9 lodash moderate',
+    'GHSA-vh95-rmgr-6w4m minimist moderate'
+  ]);
+
+  // The advisory GitHub splits by range is reported once, with both ranges
+  const prototypePollution = advisories[0];
+  assert.equal(prototypePollution.vulnerableRange, '<0.2.4 || >=1.0.0 <1.2.6');
+  assert.deepEqual(prototypePollution.paths, ['minimist', 'optimist > minimist']);
+  assert.equal(prototypePollution.fix, 'Run `npm audit fix`');
+
+  const commandInjection = advisories[1];
+  assert.equal(commandInjection.fix, 'Upgrade lodash to 4.17.21');
+  assert.deepEqual(commandInjection.cwe, ['CWE-77', 'CWE-94']);
+});
+
+test('npm: an error report is thrown, not read as zero vulnerabilities', () => {
+  assert.throws(() => parseNpmAudit(fixture('npm-error.json')), /audit request failed/);
+});
+
+test('pnpm: reads npm 6-style advisories and drops the importer from paths', () => {
+  const { counts, advisories } = parseNpmAudit(fixture('pnpm.json'));
+
+  assert.deepEqual(counts, { critical: 1, high: 1, moderate: 1, low: 0, info: 0 });
+  assert.deepEqual(summarize(advisories), [
+    'GHSA-xvch-5gv4-984h minimist critical',
+    'GHSA-35jh-r3h4-6jhm lodash high',
+    'GHSA-29mw-wpgm-hmr9 lodash moderate'
+  ]);
+  assert.deepEqual(advisories[0].paths, ['minimist', 'optimist > minimist']);
+  assert.equal(advisories[0].fix, 'Upgrade minimist to >=1.2.6 || >=0.2.4 <1.0.0');
+});
+
+test('Yarn classic: keeps one advisory per ID and reads the audit summary', () => {
+  const { counts, advisories } = parseYarnClassicAudit(fixture('yarn-classic.ndjson'));
+
+  // auditSummary counts every resolution path
+  assert.deepEqual(counts, { critical: 2, high: 1, moderate: 0, low: 0, info: 0 });
+  assert.deepEqual(summarize(advisories), [
+    'GHSA-xvch-5gv4-984h minimist critical',
+    'GHSA-35jh-r3h4-6jhm lodash high'
+  ]);
+});
+
+test('Yarn classic: an error record is thrown', () => {
+  const output = '{"type":"error","data":"An unexpected error occurred: \\"https://registry.yarnpkg.com/-/npm/v1/security/audits: Not Found\\"."}\n';
+  assert.throws(() => parseYarnClassicAudit(output), /Not Found/);
+});
+
+test('Yarn berry (4): reads one record per advisory and builds paths from the dependents', () => {
+  const { counts, advisories } = parseYarnBerryAudit(fixture('yarn-berry.ndjson'));
+
+  assert.deepEqual(counts, { critical: 1, high: 1, moderate: 1, low: 0, info: 0 });
+  assert.deepEqual(summarize(advisories), [
+    'GHSA-xvch-5gv4-984h minimist critical',
+    'GHSA-35jh-r3h4-6jhm lodash high',
+    'GHSA-29mw-wpgm-hmr9 lodash moderate'
+  ]);
+  assert.equal(advisories[0].vulnerableRange, '>=1.0.0 <1.2.6 || <0.2.4');
+  assert.deepEqual(advisories[0].paths, ['minimist', 'optimist > minimist']);
+  assert.equal(advisories[0].fix, null);
+});
+
+test('Yarn berry (2/3): delegates the single npm-style report to the npm parser', () => {
+  const { counts, advisories } = parseYarnBerryAudit(fixture('yarn-berry-v3.json'));
+
+  assert.deepEqual(counts, { critical: 1, high: 1, moderate: 0, low: 0, info: 0 });
+  assert.deepEqual(summarize(advisories), [
+    'GHSA-xvch-5gv4-984h minimist critical',
+    'GHSA-35jh-r3h4-6jhm lodash high'
+  ]);
+});
+
+test('bun: reads the advisories listed per package', () => {
+  const { counts, advisories } = parseBunAudit(fixture('bun.json'));
+
+  assert.deepEqual(counts, { critical: 1, high: 1, moderate: 2, low: 0, info: 0 });
+  assert.deepEqual(summarize(advisories), [
+    'GHSA-xvch-5gv4-984h minimist critical',
+    'GHSA-35jh-r3h4-6jhm lodash high',
+    'GHSA-29mw-wpgm-hmr9 lodash moderate',
+    'GHSA-vh95-rmgr-6w4m minimist moderate'
+  ]);
+  assert.equal(advisories[0].url, 'https://github.com/advisories/GHSA-xvch-5gv4-984h');
+  assert.deepEqual(advisories[0].cwe, ['CWE-1321']);
+});
+
+test('no vulnerabilities: empty reports count nothing', () => {
+  assert.deepEqual(parseBunAudit('{}').counts, { critical: 0, high: 0, moderate: 0, low: 0, info: 0 });
+  assert.deepEqual(parseYarnBerryAudit('').advisories, []);
+});
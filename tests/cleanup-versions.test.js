@@ -0,0 +1,138 @@
+/**
+ * cleanup-versions.js pull request cleanup tests
+ * Serves the GitHub API (GITHUB_API_URL) and a registry from a local HTTP server
+ * and checks which versions a closed PR's cleanup selects (in dry-run mode).
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const CLEANUP_SCRIPT = path.join(__dirname, '..', 'scripts', 'cleanup-versions.js');
+const MARKER = '<!-- package-build-flow-action:sticky-comment -->';
+const OPENED_AT = '2026-01-10T00:00:00.000Z';
+
+// Sticky comment body with a published marker
+function stickyComment(id, login, published) {
+  const encoded = Buffer.from(JSON.stringify(published)).toString('base64');
+  return {
+    id,
+    user: { login, type: login.endsWith('[bot]') ? 'Bot' : 'User' },
+    body: `${MARKER}\nBuild\n<!-- package-build-flow-action:published:${encoded} -->`
+  };
+}
+
+// Full packument whose versions were published on the given dates
+function packument(name, versions) {
+  return {
+    name,
+    'dist-tags': {},
+    versions: Object.fromEntries(Object.keys(versions).map(version => [version, { name, version }])),
+    time: versions
+  };
+}
+
+// GitHub API (the token belongs to github-actions[bot], the PR has no commits) and registry
+async function startServer(t, comments) {
+  const packuments = {
+    pkg: packument('pkg', {
+      '0.9.0-pr.0': '2026-01-01T00:00:00.000Z',
+      '1.0.0': '2026-01-11T00:00:00.000Z',
+      '1.0.0-pr.1': '2026-01-12T00:00:00.000Z',
+      '1.0.0-pr.2': '2026-01-13T00:00:00.000Z'
+    }),
+    other: packument('other', { '1.0.0-pr.1': '2026-01-12T00:00:00.000Z' })
+  };
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const json = data => res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(data));
+      if (req.method === 'POST' && url.pathname === '/graphql') {
+        json({ data: { viewer: { login: 'github-actions[bot]' } } });
+      } else if (url.pathname === '/repos/acme/repo/issues/7/comments') {
+        json(url.searchParams.get('page') === '1' ? comments : []);
+      } else if (url.pathname === '/repos/acme/repo/pulls/7/commits') {
+        json([]);
+      } else if (packuments[decodeURIComponent(url.pathname.slice(1))]) {
+        json(packuments[decodeURIComponent(url.pathname.slice(1))]);
+      } else {
+        res.writeHead(404).end();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Run the pr-closed cleanup of PR #7 for the package "pkg"; returns the versions it would clean up
+async function cleanupPullRequest(t, serverUrl) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-versions-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'pkg', version: '1.0.0' }));
+  const output = path.join(root, 'github-output');
+  fs.writeFileSync(output, '');
+
+  // Asynchronous, so the server keeps answering while the script runs
+  const child = spawn('node', [CLEANUP_SCRIPT], {
+    env: {
+      ...process.env,
+      CLEANUP_TRIGGER: 'pr-closed',
+      DRY_RUN: 'true',
+      REGISTRY: 'npm',
+      NPM_REGISTRY_URL: serverUrl,
+      NPM_TOKEN: 'npm-token',
+      GITHUB_TOKEN: 'github-token',
+      GITHUB_API_URL: serverUrl,
+      GITHUB_GRAPHQL_URL: '',
+      PACKAGE_PATH: path.join(root, 'package.json'),
+      MONOREPO_MODE: 'false',
+      GITHUB_CONTEXT: JSON.stringify({
+        repository: 'acme/repo',
+        event: { pull_request: { number: 7, created_at: OPENED_AT, merged: false } }
+      }),
+      GITHUB_OUTPUT: output
+    }
+  });
+  let stdout = '';
+  child.stdout.on('data', chunk => stdout += chunk);
+  const status = await new Promise(resolve => child.on('close', resolve));
+  assert.equal(status, 0, stdout);
+  const line = fs.readFileSync(output, 'utf8').split('\n').find(entry => entry.startsWith('cleanup-results='));
+  const results = JSON.parse(line.slice('cleanup-results='.length));
+  return { stdout, cleaned: results.map(result => `${result.name}@${result.version}`).sort() };
+}
+
+test('a comment with the marker by another author is ignored', async t => {
+  const serverUrl = await startServer(t, [
+    stickyComment(1, 'mallory', [{ registry: 'npm', name: 'pkg', version: '1.0.0-pr.1' }])
+  ]);
+
+  const { cleaned } = await cleanupPullRequest(t, serverUrl);
+
+  assert.deepEqual(cleaned, []);
+});
+
+test('tracked versions of other packages or outside the PR are ignored', async t => {
+  const serverUrl = await startServer(t, [
+    stickyComment(1, 'mallory', [{ registry: 'npm', name: 'pkg', version: '1.0.0-pr.1' }]),
+    stickyComment(2, 'github-actions[bot]', [
+      { registry: 'npm', name: 'pkg', version: '1.0.0-pr.2+sha.abc1234' },
+      { registry: 'npm', name: 'other', version: '1.0.0-pr.1' },
+      { registry: 'npm', name: 'pkg', version: '0.9.0-pr.0' },
+      { registry: 'npm', name: 'pkg', version: '1.0.0' }
+    ])
+  ]);
+
+  const { stdout, cleaned } = await cleanupPullRequest(t, serverUrl);
+
+  assert.deepEqual(cleaned, ['pkg@1.0.0-pr.2']);
+  assert.match(stdout, /Ignoring tracked other@1\.0\.0-pr\.1: not a package of this repository/);
+  assert.match(stdout, /Ignoring tracked pkg@0\.9\.0-pr\.0: not a pull request prerelease/);
+});
@@ -0,0 +1,107 @@
+/**
+ * discover-workspaces.sh tests
+ * Resolves workspace patterns against the fixture tree and compares the packages
+ * found with `npm query .workspace`, so the glob handling follows npm's.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const DISCOVER_SCRIPT = path.join(__dirname, '..', 'scripts', 'discover-workspaces.sh');
+const FIXTURE = path.join(__dirname, 'fixtures', 'workspaces');
+
+// npm query (npm 8.16+) is the reference implementation
+const npmVersion = spawnSync('npm', ['--version'], { encoding: 'utf8' }).stdout || '';
+const [npmMajor, npmMinor] = npmVersion.trim().split('.').map(Number);
+const NPM_QUERY_AVAILABLE = npmMajor > 8 || (npmMajor === 8 && npmMinor >= 16);
+
+// Copy the fixture packages into a workspace whose root lists the given patterns
+function createWorkspace(t, workspaces) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'discover-workspaces-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.cpSync(FIXTURE, root, { recursive: true });
+  fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'root', private: true, workspaces }));
+  return root;
+}
+
+// Publishable package directories found by discover-workspaces.sh
+function discover(root) {
+  const output = path.join(root, 'github-output');
+  fs.writeFileSync(output, '');
+  const result = spawnSync('bash', [DISCOVER_SCRIPT], {
+    cwd: root,
+    encoding: 'utf8',
+    env: { ...process.env, GITHUB_OUTPUT: output }
+  });
+  assert.equal(result.status, 0, result.stdout);
+  const line = fs.readFileSync(output, 'utf8').split('\n').find(entry => entry.startsWith('discovered-packages='));
+  return JSON.parse(line.slice('discovered-packages='.length)).map(pkg => pkg.dir).sort();
+}
+
+// Publishable workspace directories according to npm (the lockfile is built offline:
+// the fixture packages have no dependencies)
+function npmQueryWorkspaces(root) {
+  const npm = args => spawnSync('npm', args, { cwd: root, encoding: 'utf8', timeout: 120000 });
+  const install = npm(['install', '--package-lock-only', '--ignore-scripts', '--offline', '--no-audit', '--no-fund']);
+  assert.equal(install.status, 0, install.stderr);
+  const query = npm(['query', '.workspace', '--package-lock-only']);
+  assert.equal(query.status, 0, query.stderr);
+  return JSON.parse(query.stdout)
+    .filter(node => !node.private)
+    .map(node => node.location)
+    .sort();
+}
+
+const CASES = [
+  {
+    name: 'single-level globs',
+    workspaces: ['packages/*', 'apps/*'],
+    expected: ['apps/admin', 'apps/docs', 'apps/web', 'packages/a', 'packages/b', 'packages/c']
+  },
+  {
+    name: '! exclusions',
+    workspaces: ['packages/*', '!packages/b', 'apps/*', '!apps/{admin,docs}'],
+    expected: ['apps/web', 'packages/a', 'packages/c']
+  },
+  {
+    name: 'a later include cancels an exclusion',
+    workspaces: ['packages/*', '!packages/b', 'packages/b', '!packages/c/'],
+    expected: ['packages/a', 'packages/b']
+  },
+  {
+    name: '** matches any depth',
+    workspaces: ['tools/**', 'libs/**/utils'],
+    expected: ['libs/utils', 'tools/cli', 'tools/cli/plugins/lint', 'tools/scripts/release']
+  },
+  {
+    name: '** inside a pattern',
+    workspaces: ['**/release', 'tools/**/lint'],
+    expected: ['tools/cli/plugins/lint', 'tools/scripts/release']
+  },
+  {
+    name: 'trailing /',
+    workspaces: ['apps/web/', 'libs/*/', '!libs/ui/'],
+    expected: ['apps/web', 'libs/utils']
+  },
+  {
+    name: '{a,b} alternatives',
+    workspaces: ['apps/{web,docs}', '{libs,tools}/*'],
+    expected: ['apps/docs', 'apps/web', 'libs/ui', 'libs/utils', 'tools/cli']
+  }
+];
+
+for (const { name, workspaces, expected } of CASES) {
+  test(`${name}: ${JSON.stringify(workspaces)}`, { skip: !NPM_QUERY_AVAILABLE && 'npm query is not available' }, t => {
+    const root = createWorkspace(t, workspaces);
+
+    const discovered = discover(root);
+
+    assert.deepEqual(discovered, npmQueryWorkspaces(root));
+    assert.deepEqual(discovered, expected);
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * generate-sbom.js tests
+ * Builds an installed workspace (workspace packages linked into node_modules,
+ * like npm, pnpm, yarn and bun link them) and checks the component versions.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SBOM_SCRIPT = path.join(__dirname, '..', 'scripts', 'generate-sbom.js');
+
+function writeManifest(dir, manifest) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(manifest));
+}
+
+// packages/app → packages/lib (workspace) → packages/util (workspace) and ms (registry)
+// The sources of lib and util still have their version from before the build
+function createWorkspace(t, appDependencies) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'generate-sbom-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  writeManifest(path.join(root, 'packages', 'app'), { name: '@acme/app', version: '1.1.0-dev.3', dependencies: appDependencies });
+  writeManifest(path.join(root, 'packages', 'lib'), {
+    name: '@acme/lib',
+    version: '1.0.0',
+    dependencies: { '@acme/util': 'workspace:*', ms: '^2.1.0' }
+  });
+  writeManifest(path.join(root, 'packages', 'util'), { name: '@acme/util', version: '1.0.0' });
+  writeManifest(path.join(root, 'node_modules', 'ms'), { name: 'ms', version: '2.1.3', license: 'MIT' });
+  fs.mkdirSync(path.join(root, 'node_modules', '@acme'));
+  for (const name of ['app', 'lib', 'util']) {
+    fs.symlinkSync(path.join('..', '..', 'packages', name), path.join(root, 'node_modules', '@acme', name), 'dir');
+  }
+  return root;
+}
+
+function generateSbom(root, env = {}) {
+  const sbomFile = path.join(root, 'sbom.cdx.json');
+  const result = spawnSync('node', [SBOM_SCRIPT], {
+    encoding: 'utf8',
+    env: {
+      ...process.env,
+      PACKAGE_PATH: path.join(root, 'packages', 'app', 'package.json'),
+      SBOM_FILE: sbomFile,
+      ...env
+    }
+  });
+  assert.equal(result.status, 0, result.stderr);
+  const sbom = JSON.parse(fs.readFileSync(sbomFile, 'utf8'));
+  return Object.fromEntries(sbom.components.map(component => [component.name, component.version]));
+}
+
+test('workspace dependencies use the version from the resolved specifier', t => {
+  const root = createWorkspace(t, { '@acme/lib': '^1.1.0-dev.2' });
+
+  const versions = generateSbom(root, { WORKSPACE_VERSIONS: JSON.stringify({ '@acme/util': '1.1.0-dev.1+sha.abc1234' }) });
+
+  assert.deepEqual(versions, {
+    '@acme/lib': '1.1.0-dev.2',
+    // Further down the tree the version built in the run is used, without build metadata
+    '@acme/util': '1.1.0-dev.1',
+    // Registry dependencies keep their installed version
+    ms: '2.1.3'
+  });
+});
+
+test('aliased workspace dependencies use the aliased version', t => {
+  const root = createWorkspace(t, { '@acme/lib': 'npm:@acme/lib@1.1.0-dev.2' });
+
+  assert.equal(generateSbom(root)['@acme/lib'], '1.1.0-dev.2');
+});
+
+test('without a resolved version the source version is used', t => {
+  const root = createWorkspace(t, { '@acme/lib': '>=1.0.0 <2.0.0' });
+
+  const versions = generateSbom(root);
+
+  assert.equal(versions['@acme/lib'], '1.0.0');
+  assert.equal(versions['@acme/util'], '1.0.0');
+});
@@ -0,0 +1,123 @@
+/**
+ * match-flow-rule.js counter tests
+ * Serves packuments from a local HTTP server and checks the {counter} the
+ * script resolves for the dev flow.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const MATCH_SCRIPT = path.join(__dirname, '..', 'scripts', 'match-flow-rule.js');
+const SHA = '0123456789abcdef0123456789abcdef01234567';
+const OTHER_SHA = 'fedcba9876543210fedcba9876543210fedcba98';
+
+// Serve one packument per package name; records the Accept header of each request
+async function startRegistry(t, packuments) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const name = decodeURIComponent(req.url.slice(1));
+    requests.push({ name, accept: req.headers.accept });
+    if (!packuments[name]) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(packuments[name]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+// Packument with the given versions, each published from a commit
+function packument(name, versions) {
+  return {
+    name,
+    versions: Object.fromEntries(Object.entries(versions).map(([version, gitHead]) => [version, { name, version, gitHead }]))
+  };
+}
+
+// Run the script for a push to the dev branch with the counter scheme
+async function matchDevFlow(t, registries, env = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'match-flow-rule-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const output = path.join(root, 'github-output');
+  fs.writeFileSync(output, '');
+
+  // Asynchronous, so the registry server keeps answering while the script runs
+  const child = spawn('node', [MATCH_SCRIPT], {
+    env: {
+      ...process.env,
+      EVENT_NAME: 'push',
+      BRANCH: 'dev',
+      BASE_VERSION: '1.2.0',
+      SHA,
+      SHORT_SHA: SHA.slice(0, 7),
+      PRERELEASE_SCHEME: 'counter',
+      COUNTER_REGISTRIES: JSON.stringify(registries),
+      GITHUB_OUTPUT: output,
+      ...env
+    }
+  });
+  let stdout = '';
+  child.stdout.on('data', chunk => stdout += chunk);
+  const status = await new Promise(resolve => child.on('close', resolve));
+  const version = (fs.readFileSync(output, 'utf8').match(/^version=(.*)$/m) || [])[1];
+  return { status, stdout, version };
+}
+
+test('the next counter is one above the highest published', async t => {
+  const registry = await startRegistry(t, {
+    pkg: packument('pkg', { '1.2.0-dev.0': OTHER_SHA, '1.2.0-dev.1': OTHER_SHA, '1.2.0-pr.7': OTHER_SHA })
+  });
+
+  const { status, version } = await matchDevFlow(t, [{ name: 'pkg', url: registry.url }]);
+
+  assert.equal(status, 0);
+  assert.equal(version, `1.2.0-dev.2+sha.${SHA.slice(0, 7)}`);
+  // gitHead is only part of the full packument
+  assert.equal(registry.requests[0].accept, 'application/json');
+});
+
+test('a re-run of a published commit reuses its counter', async t => {
+  const registry = await startRegistry(t, {
+    pkg: packument('pkg', { '1.2.0-dev.0': OTHER_SHA, '1.2.0-dev.1': SHA, '1.2.0-dev.2': OTHER_SHA })
+  });
+
+  const { status, stdout, version } = await matchDevFlow(t, [{ name: 'pkg', url: registry.url }]);
+
+  assert.equal(status, 0);
+  assert.match(stdout, /counter 1 was already published from 0123456/);
+  assert.equal(version, `1.2.0-dev.1+sha.${SHA.slice(0, 7)}`);
+});
+
+test('a registry missing the commit gets the counter another registry has', async t => {
+  const registry = await startRegistry(t, {
+    pkg: packument('pkg', { '1.2.0-dev.0': OTHER_SHA, '1.2.0-dev.1': SHA }),
+    '@acme/pkg': packument('@acme/pkg', { '1.2.0-dev.0': OTHER_SHA })
+  });
+
+  const { status, version } = await matchDevFlow(t, [
+    { name: 'pkg', url: registry.url },
+    { name: '@acme/pkg', url: registry.url }
+  ]);
+
+  assert.equal(status, 0);
+  assert.equal(version, `1.2.0-dev.1+sha.${SHA.slice(0, 7)}`);
+});
+
+test('a commit published under another base version does not count', async t => {
+  const registry = await startRegistry(t, {
+    pkg: packument('pkg', { '1.1.0-dev.4': SHA, '1.2.0-dev.0': OTHER_SHA })
+  });
+
+  const { status, version } = await matchDevFlow(t, [{ name: 'pkg', url: registry.url }]);
+
+  assert.equal(status, 0);
+  assert.equal(version, `1.2.0-dev.1+sha.${SHA.slice(0, 7)}`);
+});
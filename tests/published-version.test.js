@@ -0,0 +1,257 @@
+/**
+ * Published version tests
+ * Publishes a package to a local Verdaccio registry, then checks that
+ * check-published-version.js finds it and that re-runs of build-and-publish.sh
+ * skip it (existing-version: skip) or fail (existing-version: fail).
+ * Needs Verdaccio 5+: set VERDACCIO_BIN or put `verdaccio` on the PATH.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const SCRIPTS = path.join(__dirname, '..', 'scripts');
+const VERDACCIO_BIN = process.env.VERDACCIO_BIN || 'verdaccio';
+const VERDACCIO_AVAILABLE = spawnSync(VERDACCIO_BIN, ['--version'], { encoding: 'utf8' }).status === 0;
+const PACKAGE_NAME = '@fixture/published';
+
+const registry = { url: '', token: '', dir: '', process: null };
+
+// A free local port for the registry
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Start Verdaccio without uplinks, so nothing is proxied to the public registry
+async function startRegistry() {
+  registry.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verdaccio-'));
+  const config = path.join(registry.dir, 'config.yaml');
+  fs.writeFileSync(config, [
+    `storage: ${path.join(registry.dir, 'storage')}`,
+    'auth:',
+    '  htpasswd:',
+    `    file: ${path.join(registry.dir, 'htpasswd')}`,
+    '    max_users: 1',
+    'packages:',
+    "  '**':",
+    '    access: $all',
+    '    publish: $authenticated',
+    'log: { type: stdout, format: pretty, level: error }',
+    ''
+  ].join('\n'));
+
+  const port = await freePort();
+  registry.url = `http://127.0.0.1:${port}`;
+  registry.process = spawn(VERDACCIO_BIN, ['--config', config, '--listen', `127.0.0.1:${port}`], { stdio: 'ignore' });
+
+  for (let attempt = 0; attempt < 60; attempt++) {
+    try {
+      const response = await fetch(`${registry.url}/-/ping`);
+      if (response.ok) break;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  const response = await fetch(`${registry.url}/-/user/org.couchdb.user:ci`, {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ name: 'ci', password: 'ci-password' })
+  });
+  assert.ok(response.ok, `Could not create a registry user (${response.status})`);
+  registry.token = (await response.json()).token;
+}
+
+test.before(async () => {
+  if (VERDACCIO_AVAILABLE) {
+    await startRegistry();
+  }
+});
+
+test.after(() => {
+  if (registry.process) {
+    registry.process.kill();
+  }
+  if (registry.dir) {
+    fs.rmSync(registry.dir, { recursive: true, force: true });
+  }
+});
+
+// Environment shared by the scripts; npm reads no user configuration
+function scriptEnv(root, env) {
+  const userConfig = path.join(root, 'user-npmrc');
+  fs.writeFileSync(userConfig, '');
+  return {
+    ...process.env,
+    NPM_CONFIG_USERCONFIG: userConfig,
+    ACTION_PATH: path.join(__dirname, '..'),
+    GITHUB_WORKSPACE: root,
+    ...env
+  };
+}
+
+// Read key=value lines of a GITHUB_OUTPUT file
+function readOutputs(file) {
+  return Object.fromEntries(fs.readFileSync(file, 'utf8').trim().split('\n')
+    .filter(Boolean)
+    .map(line => line.split(/=(.*)/s).slice(0, 2)));
+}
+
+function checkPublished(t, version) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'check-published-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const output = path.join(root, 'github-output');
+  fs.writeFileSync(output, '');
+  const result = spawnSync('node', [path.join(SCRIPTS, 'check-published-version.js')], {
+    encoding: 'utf8',
+    env: scriptEnv(root, {
+      PACKAGE_NAME,
+      PACKAGE_VERSION: version,
+      REGISTRY_URL: registry.url,
+      REGISTRY_TOKEN: registry.token,
+      GITHUB_OUTPUT: output
+    })
+  });
+  return { ...result, outputs: readOutputs(output) };
+}
+
+// Configure the registry and build and publish a fresh copy of the package, like the action does
+function buildAndPublish(t, env = {}, manifest = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-and-publish-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: PACKAGE_NAME, version: '0.0.0', ...manifest }));
+  fs.writeFileSync(path.join(root, 'index.js'), 'module.exports = 1;\n');
+  const output = path.join(root, 'github-output');
+  fs.writeFileSync(output, '');
+  const options = {
+    cwd: root,
+    encoding: 'utf8',
+    timeout: 120000,
+    env: scriptEnv(root, {
+      PACKAGE_PATH: 'package.json',
+      PACKAGE_VERSION: '1.0.0',
+      NPM_TAG: 'latest',
+      REGISTRY: 'npm',
+      NPM_REGISTRY_URL: registry.url,
+      NPM_TOKEN: registry.token,
+      PACKAGE_MANAGER: 'npm',
+      PUBLISH_ENABLED: 'true',
+      GITHUB_OUTPUT: output,
+      ...env
+    })
+  };
+
+  const configure = spawnSync('bash', [path.join(SCRIPTS, 'configure-registries.sh')], options);
+  assert.equal(configure.status, 0, configure.stdout + configure.stderr);
+  const result = spawnSync('bash', [path.join(SCRIPTS, 'build-and-publish.sh')], options);
+  const npmrc = fs.existsSync(path.join(root, '.npmrc')) ? fs.readFileSync(path.join(root, '.npmrc'), 'utf8') : '';
+  return { ...result, npmrc, outputs: readOutputs(output) };
+}
+
+const skip = !VERDACCIO_AVAILABLE && 'Verdaccio is not available';
+
+test('an unknown package is not published', { skip }, t => {
+  const { status, stdout, outputs } = checkPublished(t, '1.0.0');
+
+  assert.equal(status, 0);
+  assert.match(stdout, /Package not found on registry \(first publish\)/);
+  assert.equal(outputs.published, 'false');
+});
+
+test('the first run publishes the version', { skip }, t => {
+  const { status, stdout, outputs } = buildAndPublish(t);
+
+  assert.equal(status, 0, stdout);
+  assert.equal(outputs['npm-published'], 'true');
+  assert.equal(outputs['already-published'], 'false');
+});
+
+test('the published version is found on the registry', { skip }, t => {
+  assert.equal(checkPublished(t, '1.0.0').outputs.published, 'true');
+  // Registries store versions without build metadata
+  assert.equal(checkPublished(t, '1.0.0+sha.abc1234').outputs.published, 'true');
+  assert.equal(checkPublished(t, '1.0.1').outputs.published, 'false');
+});
+
+test('a re-run skips the published version', { skip }, t => {
+  const { status, stdout, outputs } = buildAndPublish(t);
+
+  assert.equal(status, 0, stdout);
+  assert.match(stdout, /already published to every target registry, skipping build and publish/);
+  assert.doesNotMatch(stdout, /Installing dependencies/);
+  assert.equal(outputs['npm-published'], 'already-published');
+  assert.equal(outputs['already-published'], 'true');
+});
+
+test('a re-run with existing-version: fail fails', { skip }, t => {
+  const { status, stdout, outputs } = buildAndPublish(t, { EXISTING_VERSION: 'fail' });
+
+  assert.equal(status, 1);
+  assert.match(stdout, /already published \(existing-version: fail\)/);
+  assert.equal(outputs['already-published'], 'true');
+});
+
+test('the next version is published after the skipped one', { skip }, t => {
+  const { status, stdout, outputs } = buildAndPublish(t, { PACKAGE_VERSION: '1.0.1' });
+
+  assert.equal(status, 0, stdout);
+  assert.equal(outputs['npm-published'], 'true');
+  assert.equal(checkPublished(t, '1.0.1').outputs.published, 'true');
+});
+
+// The same registry under another URL, so it is not npm-registry-url
+function publishConfigRegistry() {
+  return { registry: registry.url.replace('127.0.0.1', 'localhost') };
+}
+
+test('publishConfig.registry without its own token fails', { skip }, t => {
+  const { status, stdout, npmrc } = buildAndPublish(t, { PACKAGE_VERSION: '2.0.0', NPM_TOKEN: 'npm-token' },
+    { publishConfig: publishConfigRegistry() });
+
+  assert.equal(status, 1);
+  assert.match(stdout, /differs from npm-registry-url, so npm-token is not used for it/);
+  assert.doesNotMatch(npmrc, /localhost.*npm-token/);
+  assert.equal(checkPublished(t, '2.0.0').outputs.published, 'false');
+});
+
+test('publishConfig.registry is published with publish-config-registry-token', { skip }, t => {
+  const { status, stdout, npmrc, outputs } = buildAndPublish(t, {
+    PACKAGE_VERSION: '2.0.0',
+    NPM_TOKEN: 'npm-token',
+    PUBLISH_CONFIG_REGISTRY_TOKEN: registry.token
+  }, { publishConfig: publishConfigRegistry() });
+
+  assert.equal(status, 0, stdout);
+  assert.match(stdout, /Authenticating publishConfig.registry with publish-config-registry-token/);
+  assert.doesNotMatch(npmrc, /localhost.*npm-token/);
+  assert.equal(outputs['npm-published'], 'true');
+  assert.equal(checkPublished(t, '2.0.0').outputs.published, 'true');
+});
+
+test('a registry target that is the publishConfig.registry is not published twice', { skip }, t => {
+  const { status, stdout, outputs } = buildAndPublish(t, {
+    PACKAGE_VERSION: '2.0.1',
+    NPM_TOKEN: 'npm-token',
+    MIRROR_TOKEN: registry.token,
+    REGISTRY_TARGETS: JSON.stringify([{ name: 'mirror', url: `${publishConfigRegistry().registry}/`, 'token-env': 'MIRROR_TOKEN' }])
+  }, { publishConfig: publishConfigRegistry() });
+
+  assert.equal(status, 0, stdout);
+  assert.match(stdout, /Authenticating publishConfig.registry with registry target 'mirror'/);
+  assert.match(stdout, /mirror is the publishConfig.registry the package was published to, skipping/);
+  assert.equal(outputs['npm-published'], 'true');
+  assert.deepEqual(JSON.parse(outputs['registry-targets']).map(target => [target.name, target.published]), [['mirror', 'true']]);
+});
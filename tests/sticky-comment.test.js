@@ -0,0 +1,71 @@
+/**
+ * sticky-comment.js tests
+ * Serves the GitHub API from a local HTTP server (GITHUB_API_URL) and checks
+ * which PR comment is taken as the action's sticky comment.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const STICKY_COMMENT = path.join(__dirname, '..', 'scripts', 'sticky-comment.js');
+const MARKER = '<!-- package-build-flow-action:sticky-comment -->';
+
+// GitHub API with the given PR comments; the token belongs to github-actions[bot]
+async function startGitHub(t, comments) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      if (req.method === 'POST' && req.url === '/graphql') {
+        assert.match(JSON.parse(body).query, /viewer/);
+        res.end(JSON.stringify({ data: { viewer: { login: 'github-actions[bot]' } } }));
+      } else if (req.url.startsWith('/repos/acme/repo/issues/7/comments')) {
+        res.end(JSON.stringify(new URL(req.url, 'http://localhost').searchParams.get('page') === '1' ? comments : []));
+      } else {
+        res.writeHead(404).end();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Run findStickyComment in a child process, so GITHUB_API_URL is read at load time
+async function findStickyComment(apiUrl) {
+  const script = `require(${JSON.stringify(STICKY_COMMENT)}).findStickyComment('token', 'acme', 'repo', 7)
+    .then(comment => console.log(JSON.stringify(comment)), error => { console.error(error.message); process.exit(1); })`;
+  const child = spawn('node', ['-e', script], { env: { ...process.env, GITHUB_API_URL: apiUrl, GITHUB_GRAPHQL_URL: '' } });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', chunk => stdout += chunk);
+  child.stderr.on('data', chunk => stderr += chunk);
+  const status = await new Promise(resolve => child.on('close', resolve));
+  assert.equal(status, 0, stderr);
+  return JSON.parse(stdout);
+}
+
+test('a comment with the marker by another author is ignored', async t => {
+  const apiUrl = await startGitHub(t, [
+    { id: 1, user: { login: 'mallory', type: 'User' }, body: `${MARKER}\nforged` },
+    { id: 2, user: { login: 'github-actions[bot]', type: 'Bot' }, body: `${MARKER}\nbuild` }
+  ]);
+
+  const comment = await findStickyComment(apiUrl);
+
+  assert.equal(comment.id, 2);
+});
+
+test('without a comment by the token user there is no sticky comment', async t => {
+  const apiUrl = await startGitHub(t, [
+    { id: 1, user: { login: 'mallory', type: 'User' }, body: `${MARKER}\nforged` },
+    { id: 3, user: { login: 'github-actions[bot]', type: 'Bot' }, body: 'Another bot comment' }
+  ]);
+
+  assert.equal(await findStickyComment(apiUrl), null);
+});